@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// Command line checks of model files, without a browser: `model-tester lint models/*.glb`
+// reads each glTF file's JSON (no WebGL or decoders needed), prints its counts, extensions and
+// the animation slot mapping the viewer picks, and exits with 1 when a file fails
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { getAnimationSlots, getBaseSlot, getSlotVariants, getStandInSlot, isOptionalSlot, setSlotTable } from '../src/animationSlots.js';
+import { getReferencedFiles, lintGLTF, readGLTF } from '../src/modelLint.js';
+import { formatBytes } from '../src/panels.js';
+
+const USAGE = `Usage: model-tester lint [options] <file.glb|file.gltf>...
+
+Checks model files the way the viewer loads them and prints the animation
+slot mapping it would pick. Exits with 1 when a file fails a check.
+
+Options:
+  --json               Print the reports as JSON
+  --slot-table <file>  Detect slots with a slot table exported from the viewer
+  --strict             Fail files that have warnings too
+  -h, --help           Show this help`;
+
+// Lint one file, returning its report. Files that can't be read or checked fail with the reason
+async function lintFile(file) {
+    let data;
+    try {
+        data = await readFile(file);
+    } catch (error) {
+        return { file, ok: false, errors: [`Cannot read the file: ${error.message}`], warnings: [] };
+    }
+
+    let json;
+    try {
+        json = readGLTF(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    } catch (error) {
+        return { file, size: data.byteLength, ok: false, errors: [`Cannot parse the file: ${error.message}`], warnings: [] };
+    }
+
+    // Buffers and images of .gltf files live next to them
+    try {
+        const directory = path.dirname(file);
+        const missingFiles = getReferencedFiles(json).filter(uri => !existsSync(path.resolve(directory, uri)));
+
+        return lintGLTF(json, { fileName: file, fileSize: data.byteLength, missingFiles });
+    } catch (error) {
+        return { file, size: data.byteLength, ok: false, errors: [`Cannot check the file: ${error.message}`], warnings: [] };
+    }
+}
+
+// Get the slots in report order: the required slots first, then the optional ones, each followed by its variants
+function getReportSlots() {
+    const baseSlots = getAnimationSlots().filter(slot => getBaseSlot(slot) === slot);
+    return baseSlots.filter(slot => !isOptionalSlot(slot))
+        .concat(baseSlots.filter(slot => isOptionalSlot(slot)))
+        .flatMap(getSlotVariants);
+}
+
+// Format a report as text
+function formatReport(report) {
+    const lines = [`${report.file}  ${report.ok ? 'PASS' : 'FAIL'}`];
+
+    if (report.counts) {
+        const counts = report.counts;
+        lines.push(`  ${formatBytes(report.size)} · ${counts.nodes} nodes · ${counts.meshes} meshes (${counts.skinnedMeshes} skinned) · ` +
+            `${counts.triangles.toLocaleString('en-US')} triangles · ${counts.vertices.toLocaleString('en-US')} vertices`);
+        lines.push(`  ${counts.materials} materials · ${counts.textures} textures · ${counts.skins} skins · ${counts.bones} bones · ${counts.animations} animations`);
+        lines.push(`  Extensions used: ${report.extensions.used.join(', ') || 'none'}`);
+        lines.push(`  Extensions required: ${report.extensions.required.join(', ') || 'none'}`);
+
+        if (report.animations.length > 0) {
+            lines.push('  Slots:');
+            const width = Math.max(...getAnimationSlots().map(slot => slot.length));
+            getReportSlots().forEach((slot) => {
+                const clip = report.animations.find(animation => animation.name === report.mapping[slot]);
+                const standIn = getStandInSlot(slot);
+                let value = report.missingSlots.includes(slot) ? '- MISSING' : '-';
+                if (clip) {
+                    value = `${clip.name} (${clip.duration.toFixed(2)}s)`;
+                } else if (standIn && report.mapping[standIn]) {
+                    value = `- (plays ${standIn})`;
+                }
+                lines.push(`    ${slot.padEnd(width)}  ${value}`);
+            });
+
+            const unassigned = report.animations.filter(animation => !animation.slot);
+            if (unassigned.length > 0) {
+                lines.push(`  Unassigned clips: ${unassigned.map(animation => animation.name).join(', ')}`);
+            }
+        }
+    }
+
+    report.errors.forEach(error => lines.push(`  error: ${error}`));
+    report.warnings.forEach(warning => lines.push(`  warning: ${warning}`));
+    return lines.join('\n');
+}
+
+// Run the command line, returning the exit code
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                json: { type: 'boolean', default: false },
+                'slot-table': { type: 'string' },
+                strict: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const [command, ...files] = positionals;
+    if (command !== 'lint' || files.length === 0) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (values['slot-table']) {
+        try {
+            setSlotTable(JSON.parse(await readFile(values['slot-table'], 'utf8')));
+        } catch (error) {
+            console.error(`Invalid slot table ${values['slot-table']}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    const reports = [];
+    for (const file of files) {
+        const report = await lintFile(file);
+        if (values.strict && report.warnings.length > 0) {
+            report.ok = false;
+        }
+        reports.push(report);
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        console.log(reports.map(formatReport).join('\n\n'));
+
+        const failed = reports.filter(report => !report.ok).length;
+        console.log(`\n${reports.length - failed} passed, ${failed} failed`);
+    }
+
+    return reports.every(report => report.ok) ? 0 : 1;
+}
+
+process.exitCode = await main(process.argv.slice(2));
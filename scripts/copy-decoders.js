@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Copy the Draco decoder and the Basis Universal transcoder of the installed three.js into
+// public/libs, where the viewer's loaders fetch them (so compressed models load offline).
+// Runs before `npm run dev` and `npm run build`, so the files always match the three.js version
+import { copyFileSync, mkdirSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Decoder files by destination folder, with the three.js folder they come from
+const DECODERS = [
+    {
+        from: 'three/examples/jsm/libs/draco/gltf',
+        to: 'draco',
+        files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js']
+    },
+    {
+        from: 'three/examples/jsm/libs/basis',
+        to: 'basis',
+        files: ['basis_transcoder.js', 'basis_transcoder.wasm']
+    }
+];
+
+const require = createRequire(import.meta.url);
+const libsDirectory = fileURLToPath(new URL('../public/libs/', import.meta.url));
+
+DECODERS.forEach(({ from, to, files }) => {
+    const directory = path.join(libsDirectory, to);
+    mkdirSync(directory, { recursive: true });
+
+    files.forEach((file) => {
+        copyFileSync(require.resolve(`${from}/${file}`), path.join(directory, file));
+    });
+});
+
+console.log(`Copied the three.js decoders to ${path.relative(process.cwd(), libsDirectory) || '.'}`);
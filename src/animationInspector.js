@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+import { createToolPanel, escapeHTML } from './panels.js';
+
+// Loop modes offered by the inspector
+const LOOP_MODES = {
+    once: THREE.LoopOnce,
+    repeat: THREE.LoopRepeat,
+    pingpong: THREE.LoopPingPong
+};
+
+// Create the panel to play, pause, scrub and step through any clip of a character's model.
+// While a clip is inspected the character controller must not change that character's animation:
+// onActivate() is called when inspection starts and onDeactivate() when it ends
+export function createAnimationInspector({ getMixer, getClips, onActivate, onDeactivate }) {
+    const { content } = createToolPanel('Animation Inspector', { open: false });
+
+    content.innerHTML = `
+        <select class="inspector-clip"></select>
+        <div class="inspector-transport">
+            <button type="button" class="panel-button inspector-step-back" title="Previous frame">&#9664;&#9646;</button>
+            <button type="button" class="panel-button inspector-play">Play</button>
+            <button type="button" class="panel-button inspector-step-forward" title="Next frame">&#9646;&#9654;</button>
+            <button type="button" class="panel-button inspector-stop">Back to controller</button>
+        </div>
+        <input type="range" class="inspector-timeline" min="0" max="1" step="0.001" value="0">
+        <div class="inspector-time">0.00s / 0.00s · frame 0</div>
+        <label class="panel-field">
+            Speed <span class="inspector-speed-value">1.00x</span>
+            <input type="range" class="inspector-speed" min="-2" max="2" step="0.05" value="1">
+        </label>
+        <label class="panel-field">
+            Loop
+            <select class="inspector-loop">
+                <option value="repeat">LoopRepeat</option>
+                <option value="once">LoopOnce</option>
+                <option value="pingpong">LoopPingPong</option>
+            </select>
+        </label>
+        <label class="panel-field">
+            Frame rate
+            <input type="number" class="inspector-fps" min="1" max="240" value="30">
+        </label>
+    `;
+
+    const clipSelect = content.querySelector('.inspector-clip');
+    const playButton = content.querySelector('.inspector-play');
+    const timeline = content.querySelector('.inspector-timeline');
+    const timeLabel = content.querySelector('.inspector-time');
+    const speedInput = content.querySelector('.inspector-speed');
+    const speedLabel = content.querySelector('.inspector-speed-value');
+    const loopSelect = content.querySelector('.inspector-loop');
+    const fpsInput = content.querySelector('.inspector-fps');
+
+    let active = false;
+    let action = null;
+
+    // Get the frame duration from the frame rate field
+    function getFrameTime() {
+        const fps = parseFloat(fpsInput.value);
+        return 1 / (fps > 0 ? fps : 30);
+    }
+
+    // Take over the character's mixer with the selected clip
+    function activate() {
+        const mixer = getMixer();
+        const clip = getClips()[parseInt(clipSelect.value, 10)];
+        if (!mixer || !clip) return false;
+
+        if (!active) {
+            active = true;
+            onActivate();
+        }
+
+        if (!action || action.getClip() !== clip) {
+            mixer.stopAllAction();
+            action = mixer.clipAction(clip);
+            action.reset();
+            action.setEffectiveWeight(1.0);
+            action.clampWhenFinished = true;
+            applySettings();
+            action.play();
+            action.paused = true;
+        }
+
+        return true;
+    }
+
+    // Release the mixer back to the character controller
+    function deactivate() {
+        if (action) {
+            action.stop();
+            action.timeScale = 1;
+            action.clampWhenFinished = false;
+            action = null;
+        }
+
+        if (active) {
+            active = false;
+            onDeactivate();
+        }
+
+        updateControls();
+    }
+
+    // Apply the speed and loop settings to the inspected action
+    function applySettings() {
+        const timeScale = parseFloat(speedInput.value);
+        speedLabel.textContent = `${timeScale.toFixed(2)}x`;
+
+        if (!action) return;
+
+        action.timeScale = timeScale;
+        action.setLoop(LOOP_MODES[loopSelect.value], Infinity);
+    }
+
+    // Show a pose at a specific time, pausing playback
+    function seek(time) {
+        if (!activate()) return;
+
+        const duration = action.getClip().duration;
+        action.enabled = true;
+        action.paused = true;
+        action.time = THREE.MathUtils.clamp(time, 0, duration);
+        getMixer().update(0);
+        updateControls();
+    }
+
+    // Refresh the play button, timeline and time label from the inspected action
+    function updateControls() {
+        const clip = action ? action.getClip() : getClips()[parseInt(clipSelect.value, 10)];
+        const duration = clip ? clip.duration : 0;
+        const time = action ? action.time : 0;
+        const frame = Math.round(time / getFrameTime());
+
+        playButton.textContent = action && !action.paused ? 'Pause' : 'Play';
+        timeline.max = duration || 1;
+        timeline.value = time;
+        timeLabel.textContent = `${time.toFixed(2)}s / ${duration.toFixed(2)}s · frame ${frame}`;
+    }
+
+    clipSelect.addEventListener('change', () => {
+        if (active) {
+            // Switch the inspected clip, keeping inspection active
+            action.stop();
+            action = null;
+            activate();
+        }
+        updateControls();
+    });
+
+    playButton.addEventListener('click', () => {
+        if (!activate()) return;
+
+        if (action.paused) {
+            // Restart from the beginning when a LoopOnce clip was held on its last frame
+            const duration = action.getClip().duration;
+            if (action.loop === THREE.LoopOnce && action.time >= duration && action.timeScale >= 0) {
+                action.time = 0;
+            }
+
+            action.enabled = true;
+            action.paused = false;
+        } else {
+            action.paused = true;
+        }
+
+        updateControls();
+    });
+
+    content.querySelector('.inspector-step-back').addEventListener('click', () => {
+        seek((action ? action.time : 0) - getFrameTime());
+    });
+
+    content.querySelector('.inspector-step-forward').addEventListener('click', () => {
+        seek((action ? action.time : 0) + getFrameTime());
+    });
+
+    content.querySelector('.inspector-stop').addEventListener('click', () => deactivate());
+
+    timeline.addEventListener('input', () => seek(parseFloat(timeline.value)));
+    speedInput.addEventListener('input', () => applySettings());
+    loopSelect.addEventListener('change', () => applySettings());
+    fpsInput.addEventListener('change', () => updateControls());
+
+    // Rebuild the clip list for a newly loaded model
+    function refresh() {
+        deactivate();
+
+        const clips = getClips();
+        clipSelect.innerHTML = clips.length > 0 ?
+            clips.map((clip, index) =>
+                `<option value="${index}">${escapeHTML(clip.name || `Clip ${index}`)} (${clip.duration.toFixed(2)}s)</option>`
+            ).join('') :
+            '<option value="">No animations</option>';
+
+        updateControls();
+    }
+
+    // Keep the timeline in sync while the clip is inspected (called every frame)
+    function update() {
+        if (active && action) {
+            updateControls();
+        }
+    }
+
+    return {
+        refresh,
+        update,
+        isActive: () => active
+    };
+}
@@ -0,0 +1,264 @@
+import { loadStoredJSON, removeStored, saveStoredJSON } from './storage.js';
+
+// How the controller picks between ATTACK and its variants: in order while attacks follow each
+// other closely (combo) or at random
+export const ATTACK_VARIANT_MODES = ['combo', 'random'];
+
+// Built-in slot table. Each clip takes the first free slot (in table order) with a matching rule,
+// so specific slots such as WALK_BACK or FALL ("Jump_Idle") come before the generic ones.
+// A rule is a keyword found anywhere in the clip name (case-insensitive) or a regular expression
+// written as "/pattern/flags". oneShot slots play once and hold their last frame, optional slots
+// aren't reported as missing and variants (variantOf) are alternatives picked in place of their slot
+const DEFAULT_SLOT_TABLE = {
+    attackVariants: 'combo',
+    slots: [
+        { slot: 'FALL', rules: ['FALL', '/jump.?idle|in.?air|airborne/i'], optional: true },
+        { slot: 'LAND', rules: ['LAND'], oneShot: true, optional: true },
+        { slot: 'IDLE', rules: ['IDLE', 'STOPPED'] },
+        { slot: 'WALK_BACK', rules: ['/walk.?back|back.?walk|backward/i'], optional: true },
+        { slot: 'STRAFE_LEFT', rules: ['/strafe.?l(eft)?\\b|left.?strafe|walk.?left/i'], optional: true },
+        { slot: 'STRAFE_RIGHT', rules: ['/strafe.?r(ight)?\\b|right.?strafe|walk.?right/i'], optional: true },
+        { slot: 'CROUCH', rules: ['CROUCH', 'DUCK', 'SNEAK'], optional: true },
+        { slot: 'WALK', rules: ['WALK'] },
+        { slot: 'RUN', rules: ['RUN', 'SPRINT'] },
+        { slot: 'JUMP', rules: ['JUMP', 'LEAP'], oneShot: true },
+        { slot: 'ATTACK', rules: ['ATTACK', 'SHOOT', 'FIRE', 'PUNCH', 'SLASH', 'KICK'], oneShot: true },
+        { slot: 'ATTACK_2', rules: ['ATTACK', 'SHOOT', 'FIRE', 'PUNCH', 'SLASH', 'KICK'], oneShot: true, optional: true, variantOf: 'ATTACK' },
+        { slot: 'ATTACK_3', rules: ['ATTACK', 'SHOOT', 'FIRE', 'PUNCH', 'SLASH', 'KICK'], oneShot: true, optional: true, variantOf: 'ATTACK' },
+        { slot: 'HIT', rules: ['HIT', 'HURT', 'DAMAGE'], oneShot: true, optional: true },
+        { slot: 'DIE', rules: ['DEATH', 'DYING', 'DEAD'], oneShot: true, optional: true },
+        { slot: 'EMOTE', rules: ['EMOTE', 'WAVE', 'DANCE', 'CHEER', '/\\b(yes|no)$/i'], oneShot: true, optional: true },
+        { slot: 'EMOTE_2', rules: ['EMOTE', 'WAVE', 'DANCE', 'CHEER', '/\\b(yes|no)$/i'], oneShot: true, optional: true, variantOf: 'EMOTE' },
+        { slot: 'EMOTE_3', rules: ['EMOTE', 'WAVE', 'DANCE', 'CHEER', '/\\b(yes|no)$/i'], oneShot: true, optional: true, variantOf: 'EMOTE' }
+    ]
+};
+
+// Slots that play another slot's clip when a model has none of their own: a model with only a
+// run cycle walks with it, like the viewer always did
+const STAND_IN_SLOTS = {
+    WALK: 'RUN'
+};
+
+// Slot names are upper-case words such as WALK_BACK
+const SLOT_NAME_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+
+// Storage key of the edited slot table
+const SLOT_TABLE_KEY = 'slot-table';
+
+// Check if a rule is written as a regular expression
+function isRegexRule(rule) {
+    return rule.length > 2 && rule.startsWith('/') && rule.lastIndexOf('/') > 0;
+}
+
+// Build the regular expression of a "/pattern/flags" rule
+function createRuleRegex(rule) {
+    const end = rule.lastIndexOf('/');
+    return new RegExp(rule.slice(1, end), rule.slice(end + 1));
+}
+
+// Check and convert a slot table { attackVariants, slots }, throwing an error that names the invalid field
+export function parseSlotTable(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.slots)) {
+        throw new Error('a slot table must contain a slots list');
+    }
+
+    const attackVariants = data.attackVariants === undefined ? DEFAULT_SLOT_TABLE.attackVariants : data.attackVariants;
+    if (!ATTACK_VARIANT_MODES.includes(attackVariants)) {
+        throw new Error(`attackVariants must be one of ${ATTACK_VARIANT_MODES.join(', ')}`);
+    }
+
+    const slots = data.slots.map((entry, index) => {
+        const field = `slots[${index}]`;
+        if (!entry || typeof entry !== 'object') throw new Error(`${field} must be an object`);
+
+        if (typeof entry.slot !== 'string' || !SLOT_NAME_PATTERN.test(entry.slot)) {
+            throw new Error(`${field}.slot must be an upper-case name such as WALK_BACK`);
+        }
+        if (!Array.isArray(entry.rules) || entry.rules.some(rule => typeof rule !== 'string' || rule.trim() === '')) {
+            throw new Error(`${field}.rules must be a list of keywords or /regex/ rules`);
+        }
+
+        entry.rules.forEach((rule, ruleIndex) => {
+            if (!isRegexRule(rule)) return;
+            try {
+                createRuleRegex(rule);
+            } catch (e) {
+                throw new Error(`${field}.rules[${ruleIndex}] is not a valid regular expression`);
+            }
+        });
+
+        return {
+            slot: entry.slot,
+            rules: entry.rules.map(rule => rule.trim()),
+            oneShot: Boolean(entry.oneShot),
+            optional: Boolean(entry.optional),
+            variantOf: entry.variantOf || null
+        };
+    });
+
+    const names = slots.map(entry => entry.slot);
+    slots.forEach((entry, index) => {
+        if (names.indexOf(entry.slot) !== index) {
+            throw new Error(`slots[${index}].slot ${entry.slot} is already in the table`);
+        }
+
+        // Variants point at a base slot, never at another variant
+        if (entry.variantOf) {
+            const base = slots.find(other => other.slot === entry.variantOf);
+            if (!base || base.variantOf || base === entry) {
+                throw new Error(`slots[${index}].variantOf must name another slot of the table that isn't a variant`);
+            }
+        }
+    });
+
+    return { attackVariants, slots };
+}
+
+// Read the saved slot table, falling back to the built-in one
+function loadSlotTable() {
+    const saved = loadStoredJSON(SLOT_TABLE_KEY);
+    if (saved) {
+        try {
+            return parseSlotTable(saved);
+        } catch (e) {
+            console.warn('Ignoring the saved slot table:', e);
+        }
+    }
+    return parseSlotTable(DEFAULT_SLOT_TABLE);
+}
+
+// Slot table used by the detection, the controller and the panels
+let slotTable = loadSlotTable();
+
+// Get a copy of the slot table
+export function getSlotTable() {
+    return JSON.parse(JSON.stringify(slotTable));
+}
+
+// Replace the slot table and save it, throwing an error when it is invalid
+export function setSlotTable(data) {
+    slotTable = parseSlotTable(data);
+    saveStoredJSON(SLOT_TABLE_KEY, slotTable);
+}
+
+// Go back to the built-in slot table
+export function resetSlotTable() {
+    slotTable = parseSlotTable(DEFAULT_SLOT_TABLE);
+    removeStored(SLOT_TABLE_KEY);
+}
+
+// Get the names of every slot of the table
+export function getAnimationSlots() {
+    return slotTable.slots.map(entry => entry.slot);
+}
+
+// Get the table entry of a slot
+function getSlotEntry(slot) {
+    return slotTable.slots.find(entry => entry.slot === slot);
+}
+
+// Check if a slot plays once and holds its last frame
+export function isOneShotSlot(slot) {
+    const entry = getSlotEntry(slot);
+    return Boolean(entry && entry.oneShot);
+}
+
+// Check if a model without the slot is still complete
+export function isOptionalSlot(slot) {
+    const entry = getSlotEntry(slot);
+    return Boolean(entry && entry.optional);
+}
+
+// Get the slot whose clip plays when a model has none for a slot, or null
+export function getStandInSlot(slot) {
+    return STAND_IN_SLOTS[slot] || null;
+}
+
+// Get the required slots a slot mapping leaves without a clip. Slots whose stand-in slot
+// (see getStandInSlot) has a clip aren't missing
+export function getMissingSlots(mapping) {
+    return getAnimationSlots().filter((slot) => {
+        const standIn = getStandInSlot(slot);
+        return !mapping[slot] && !isOptionalSlot(slot) && !(standIn && mapping[standIn]);
+    });
+}
+
+// Get the slot a variant stands in for, or the slot itself
+export function getBaseSlot(slot) {
+    const entry = getSlotEntry(slot);
+    return entry && entry.variantOf ? entry.variantOf : slot;
+}
+
+// Get a slot followed by its variants, in table order
+export function getSlotVariants(slot) {
+    return [slot, ...slotTable.slots.filter(entry => entry.variantOf === slot).map(entry => entry.slot)];
+}
+
+// Get how ATTACK variants are picked, see ATTACK_VARIANT_MODES
+export function getAttackVariantMode() {
+    return slotTable.attackVariants;
+}
+
+// Create an empty slot mapping (slot name -> clip name)
+export function createEmptySlotMapping() {
+    const mapping = {};
+    getAnimationSlots().forEach(slot => {
+        mapping[slot] = null;
+    });
+    return mapping;
+}
+
+// Check if a clip name matches any rule of a slot
+function matchesRule(clipName, entry) {
+    const name = clipName.toUpperCase();
+    return entry.rules.some(rule => (isRegexRule(rule) ?
+        createRuleRegex(rule).test(clipName) :
+        name.includes(rule.toUpperCase())));
+}
+
+// Detect the slot mapping of a list of clips from their names.
+// Each clip takes the first matching slot that is still free, so the first
+// "Idle" clip wins and a later "Idle_Shoot" can still be used for ATTACK
+export function detectAnimationSlots(clips) {
+    const mapping = createEmptySlotMapping();
+
+    clips.forEach(clip => {
+        const entry = slotTable.slots.find(entry => mapping[entry.slot] === null && matchesRule(clip.name, entry));
+        if (entry) {
+            mapping[entry.slot] = clip.name;
+        }
+    });
+
+    return mapping;
+}
+
+// Load the slot mapping saved for a model hash, or null if there is none
+export function loadSavedSlotMapping(modelHash) {
+    return loadStoredJSON(`slot-mapping:${modelHash}`);
+}
+
+// Save the slot mapping of a model hash
+export function saveSlotMapping(modelHash, mapping) {
+    saveStoredJSON(`slot-mapping:${modelHash}`, mapping);
+}
+
+// Remove the slot mapping saved for a model hash
+export function clearSavedSlotMapping(modelHash) {
+    removeStored(`slot-mapping:${modelHash}`);
+}
+
+// Merge a saved mapping over a detected one, ignoring clips the model doesn't have
+export function mergeSlotMapping(detected, saved, clips) {
+    const clipNames = clips.map(clip => clip.name);
+    const mapping = Object.assign({}, detected);
+
+    getAnimationSlots().forEach(slot => {
+        if (!saved || !(slot in saved)) return;
+
+        if (saved[slot] === null || clipNames.includes(saved[slot])) {
+            mapping[slot] = saved[slot];
+        }
+    });
+
+    return mapping;
+}
@@ -0,0 +1,60 @@
+import { getBaseSlot } from './animationSlots.js';
+
+// Fade time (in seconds) used for transitions without a specific value
+let defaultFadeTime = 0.25;
+
+// Fade times for specific transitions, keyed by "FROM>TO".
+// Actions start quickly so they feel responsive, locomotion changes blend longer
+const fadeTimes = {
+    'IDLE>ATTACK': 0.1,
+    'WALK>ATTACK': 0.1,
+    'RUN>ATTACK': 0.1,
+    'IDLE>JUMP': 0.1,
+    'WALK>JUMP': 0.1,
+    'RUN>JUMP': 0.1,
+    'WALK>RUN': 0.3,
+    'RUN>WALK': 0.3
+};
+
+// Get the key of a transition between two slots
+function getTransitionKey(fromSlot, toSlot) {
+    return `${fromSlot}>${toSlot}`;
+}
+
+// Get the fade time used when switching from one slot to another. Slot variants
+// (for example ATTACK_2) use the fade times of their base slot unless they have their own
+export function getFadeTime(fromSlot, toSlot) {
+    const keys = [
+        getTransitionKey(fromSlot, toSlot),
+        getTransitionKey(getBaseSlot(fromSlot), getBaseSlot(toSlot))
+    ];
+    const key = keys.find(key => fadeTimes[key] !== undefined);
+    return key ? fadeTimes[key] : defaultFadeTime;
+}
+
+// Get the fade time set for a specific transition, or null if it uses the default
+export function getTransitionFadeTime(fromSlot, toSlot) {
+    const fadeTime = fadeTimes[getTransitionKey(fromSlot, toSlot)];
+    return fadeTime !== undefined ? fadeTime : null;
+}
+
+// Set the fade time of a specific transition, or go back to the default when fadeTime is null
+export function setTransitionFadeTime(fromSlot, toSlot, fadeTime) {
+    const key = getTransitionKey(fromSlot, toSlot);
+
+    if (fadeTime === null) {
+        delete fadeTimes[key];
+    } else {
+        fadeTimes[key] = Math.max(0, fadeTime);
+    }
+}
+
+// Get the default fade time
+export function getDefaultFadeTime() {
+    return defaultFadeTime;
+}
+
+// Set the default fade time
+export function setDefaultFadeTime(fadeTime) {
+    defaultFadeTime = Math.max(0, fadeTime);
+}
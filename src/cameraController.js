@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { createToolPanel } from './panels.js';
+
+// Duration (in seconds) of the camera moves between modes and presets
+const TRANSITION_DURATION = 0.6;
+
+// Preset views, as a direction relative to the way the model faces.
+// Distances and heights are multiplied by the model height
+const PRESET_VIEWS = {
+    front: { label: 'Front', angle: 0, distance: 1.6, height: 0.5, targetHeight: 0.5 },
+    side: { label: 'Side', angle: Math.PI / 2, distance: 1.6, height: 0.5, targetHeight: 0.5 },
+    back: { label: 'Back', angle: Math.PI, distance: 1.6, height: 0.5, targetHeight: 0.5 },
+    top: { label: 'Top', angle: 0, distance: 0.01, height: 2.2, targetHeight: 0.5 },
+    face: { label: 'Face', angle: 0, distance: 0.35, height: 0.9, targetHeight: 0.9 }
+};
+
+// Smooth start and end for camera moves
+function easeInOut(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+// Create the camera controller with the follow camera and an orbit/inspection mode.
+// getFollowPose() returns the { position, target } of the follow camera, getTargetBox()
+// the world bounding box of the player and getHeading() the player's Y rotation.
+// Any of them may return null while the player is not loaded
+export function createCameraController({ camera, domElement, getFollowPose, getTargetBox, getHeading }) {
+    const controls = new OrbitControls(camera, domElement);
+    controls.enabled = false;
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.1;
+
+    let mode = 'follow';
+    let transition = null;
+
+    // Point the camera is currently looking at
+    const lookTarget = new THREE.Vector3();
+
+    // Get the center of the player's bounding box and its height
+    function getTargetInfo() {
+        const box = getTargetBox();
+        if (!box || box.isEmpty()) return null;
+
+        return {
+            box,
+            center: box.getCenter(new THREE.Vector3()),
+            height: Math.max(box.max.y - box.min.y, 0.1)
+        };
+    }
+
+    // Get the camera pose of a preset view around the player
+    function getPresetPose(presetName) {
+        const info = getTargetInfo();
+        if (!info) return null;
+
+        const preset = PRESET_VIEWS[presetName];
+        const angle = (getHeading() || 0) + preset.angle;
+
+        // The model faces +Z when its heading is 0, so the front view looks from +Z
+        const target = new THREE.Vector3(info.center.x, info.box.min.y + info.height * preset.targetHeight, info.center.z);
+        const position = new THREE.Vector3(
+            target.x + Math.sin(angle) * info.height * preset.distance,
+            info.box.min.y + info.height * preset.height,
+            target.z + Math.cos(angle) * info.height * preset.distance
+        );
+
+        return { position, target };
+    }
+
+    // Start a smooth camera move towards a (possibly moving) goal pose
+    function startTransition(getGoal) {
+        controls.enabled = false;
+        transition = {
+            fromPosition: camera.position.clone(),
+            fromTarget: lookTarget.clone(),
+            elapsed: 0,
+            getGoal
+        };
+    }
+
+    // Switch between the 'follow' and 'orbit' modes
+    function setMode(newMode) {
+        if (newMode === mode) return;
+        mode = newMode;
+
+        if (mode === 'orbit') {
+            // Keep the camera where it is and turn it towards the center of the player
+            const position = camera.position.clone();
+            startTransition(() => {
+                const info = getTargetInfo();
+                return info ? { position, target: info.center } : null;
+            });
+        } else {
+            startTransition(getFollowPose);
+        }
+
+        updatePanel();
+    }
+
+    // Move the orbit camera to a preset view
+    function showPreset(presetName) {
+        if (mode !== 'orbit') {
+            mode = 'orbit';
+            updatePanel();
+        }
+        startTransition(() => getPresetPose(presetName));
+    }
+
+    // Advance the current transition, returning false when there is none
+    function updateTransition(deltaTime) {
+        if (!transition) return false;
+
+        const goal = transition.getGoal();
+        if (!goal) return true;
+
+        transition.elapsed += deltaTime;
+        const t = easeInOut(Math.min(transition.elapsed / TRANSITION_DURATION, 1));
+
+        camera.position.lerpVectors(transition.fromPosition, goal.position, t);
+        lookTarget.lerpVectors(transition.fromTarget, goal.target, t);
+        camera.lookAt(lookTarget);
+
+        if (t >= 1) {
+            transition = null;
+
+            if (mode === 'orbit') {
+                controls.target.copy(goal.target);
+                controls.enabled = true;
+                controls.update();
+            }
+        }
+
+        return true;
+    }
+
+    // Update the camera (called every frame after the player moved)
+    function update(deltaTime) {
+        if (updateTransition(deltaTime)) return;
+
+        if (mode === 'follow') {
+            const pose = getFollowPose();
+            if (!pose) return;
+
+            camera.position.copy(pose.position);
+            lookTarget.copy(pose.target);
+            camera.lookAt(lookTarget);
+        } else {
+            // Carry the orbit camera along when the player moves
+            const info = getTargetInfo();
+            if (info) {
+                const delta = info.center.clone().sub(controls.target);
+                delta.y = 0;
+                camera.position.add(delta);
+                controls.target.add(delta);
+            }
+
+            controls.update();
+            lookTarget.copy(controls.target);
+        }
+    }
+
+    // Panel with the camera mode and preset views
+    const { content } = createToolPanel('Camera', { open: false });
+
+    content.innerHTML = `
+        <label class="panel-field">
+            Mode
+            <select class="camera-mode">
+                <option value="follow">Follow</option>
+                <option value="orbit">Orbit / inspect</option>
+            </select>
+        </label>
+        <div class="camera-presets">
+            ${Object.keys(PRESET_VIEWS).map(name =>
+                `<button type="button" class="panel-button" data-preset="${name}">${PRESET_VIEWS[name].label}</button>`
+            ).join('')}
+        </div>
+        <p class="panel-hint">Orbit: drag to rotate, right-drag to pan, scroll to zoom.</p>
+    `;
+
+    const modeSelect = content.querySelector('.camera-mode');
+    modeSelect.addEventListener('change', () => setMode(modeSelect.value));
+
+    content.querySelector('.camera-presets').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-preset]');
+        if (button) {
+            showPreset(button.dataset.preset);
+        }
+    });
+
+    // Show the current mode in the panel
+    function updatePanel() {
+        modeSelect.value = mode;
+    }
+
+    return {
+        update,
+        setMode,
+        showPreset,
+        getMode: () => mode
+    };
+}
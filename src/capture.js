@@ -0,0 +1,285 @@
+import * as THREE from 'three';
+import { zipSync } from 'three/examples/jsm/libs/fflate.module.js';
+
+// Resolution multipliers offered for still captures and PNG sequences
+export const CAPTURE_SCALES = [1, 2, 4];
+
+// Video formats tried for WebM recordings, best first
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Distance of the turntable camera, relative to the distance that just fits the model in view
+const TURNTABLE_MARGIN = 1.4;
+
+// Render the current view to a PNG, scale times the size of the canvas (kept within what the
+// GPU can draw), with the background left out when transparent is set. Resolves with the Blob
+function renderStill(renderer, scene, camera, { scale = 1, transparent = false } = {}) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const ratio = Math.min(pixelRatio * scale, maxSize / Math.max(size.x, size.y, 1));
+
+    const background = scene.background;
+    const clearAlpha = renderer.getClearAlpha();
+
+    renderer.setPixelRatio(ratio);
+    if (transparent) {
+        scene.background = null;
+        renderer.setClearAlpha(0);
+    }
+
+    renderer.render(scene, camera);
+
+    // The canvas is copied right away, before it is resized back
+    const promise = new Promise((resolve, reject) => {
+        renderer.domElement.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The view could not be captured'))), 'image/png');
+    });
+
+    scene.background = background;
+    renderer.setClearAlpha(clearAlpha);
+    renderer.setPixelRatio(pixelRatio);
+    return promise;
+}
+
+// Get the camera pose of a turntable around a bounding box: the camera circles it at the height
+// of its center, angle 0 looking at the front of a model facing +Z
+function getTurntablePose(box, camera, angle) {
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const extent = Math.max(size.y, Math.hypot(size.x, size.z), 0.1);
+    const distance = extent / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * TURNTABLE_MARGIN;
+
+    return {
+        position: new THREE.Vector3(center.x + Math.sin(angle) * distance, center.y, center.z + Math.cos(angle) * distance),
+        target: center
+    };
+}
+
+// Check if the browser can record the canvas to WebM
+function canRecordVideo(canvas) {
+    return typeof MediaRecorder !== 'undefined' && typeof canvas.captureStream === 'function' &&
+        VIDEO_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+}
+
+// Create a recorder of a canvas to WebM: start(fps) starts recording and stop() resolves with the video Blob
+function createVideoRecorder(canvas) {
+    let recorder = null;
+    let chunks = [];
+
+    function start(fps) {
+        const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        chunks = [];
+        recorder = new MediaRecorder(canvas.captureStream(fps), { mimeType });
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) chunks.push(e.data);
+        });
+        recorder.start();
+    }
+
+    function stop() {
+        const finished = recorder;
+        recorder = null;
+
+        return new Promise((resolve) => {
+            finished.addEventListener('stop', () => {
+                finished.stream.getTracks().forEach(track => track.stop());
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            }, { once: true });
+            finished.stop();
+        });
+    }
+
+    return { start, stop };
+}
+
+// Get a file name part from a clip or model name
+function toFileName(name) {
+    return (name || 'capture').replace(/[^a-z0-9_-]+/gi, '_').replace(/^_+|_+$/g, '') || 'capture';
+}
+
+// Create the capture controller: still PNGs, the turntable around a character, WebM recordings
+// of the live view, a clip or a turntable, and PNG sequences of a clip. getCharacter() returns the
+// captured character. takeOverMixer(character) and releaseMixer(character) are called around the
+// clip captures, which play the clip on the character's mixer instead of its controller
+// (takeOverMixer throws when the mixer can't be taken). onSave(blob, fileName) receives the files
+export function createCaptureController({ renderer, scene, camera, getCharacter, takeOverMixer, releaseMixer, onSave }) {
+    const video = createVideoRecorder(renderer.domElement);
+
+    // Running capture: { type: 'turntable' | 'live' | 'clip' | 'sequence', ... }, null when idle
+    let job = null;
+
+    // Get the world bounding box of a character's model
+    function getBox(character) {
+        return character.model ? new THREE.Box3().setFromObject(character.model) : null;
+    }
+
+    // Check that nothing is being captured and the character has a model
+    function startJob(type, { needsModel = true } = {}) {
+        if (job) throw new Error(`A ${job.type} capture is running`);
+
+        const character = getCharacter();
+        if (needsModel && !character.model) throw new Error('The character has no model');
+
+        job = { type, character, elapsed: 0 };
+        return job;
+    }
+
+    // Play a clip from its start on the character's mixer, held on its last frame
+    function playClip(character, clip) {
+        takeOverMixer(character);
+
+        character.mixer.stopAllAction();
+        const action = character.mixer.clipAction(clip);
+        action.reset();
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = true;
+        action.setEffectiveWeight(1);
+        action.play();
+        return action;
+    }
+
+    // Give the mixer back to the character's controller
+    function stopClip(character, action) {
+        action.stop();
+        action.clampWhenFinished = false;
+        releaseMixer(character);
+    }
+
+    // Save a PNG of the current view
+    function captureStill(options) {
+        const character = getCharacter();
+        return renderStill(renderer, scene, camera, options).then((blob) => {
+            onSave(blob, `${toFileName(character.asset ? character.asset.name.replace(/\.[^.]+$/, '') : 'view')}.png`);
+        });
+    }
+
+    // Circle the camera once around the character in duration seconds, recording it to WebM
+    // when record is set (at fps frames per second)
+    function startTurntable({ duration, record = false, fps = 30 }) {
+        const turntable = startJob('turntable');
+        turntable.duration = Math.max(duration, 1);
+        turntable.heading = turntable.character.model.rotation.y;
+        turntable.record = record;
+
+        if (record) video.start(fps);
+    }
+
+    // Record the live view to WebM until stop()
+    function startLiveVideo({ fps = 30 }) {
+        startJob('live', { needsModel: false });
+        video.start(fps);
+    }
+
+    // Record a clip of the character to WebM, played once from its start in real time
+    function startClipVideo({ clip, fps = 30 }) {
+        const capture = startJob('clip');
+        try {
+            capture.action = playClip(capture.character, clip);
+        } catch (error) {
+            job = null;
+            throw error;
+        }
+        capture.clip = clip;
+        video.start(fps);
+    }
+
+    // Export a clip as a zip of PNG frames taken fps times per second of clip time. The clip is
+    // posed at each frame's time instead of playing, so every export gives the same frames.
+    // onProgress(frame, count) follows the export. Resolves once the zip is saved
+    async function exportSequence({ clip, fps = 30, scale = 1, transparent = false, onProgress = () => {} }) {
+        const capture = startJob('sequence');
+        const { character } = capture;
+        let action;
+        try {
+            action = playClip(character, clip);
+        } catch (error) {
+            job = null;
+            throw error;
+        }
+        action.paused = true;
+
+        const count = Math.max(Math.round(clip.duration * fps), 1);
+        const files = {};
+        const digits = String(count - 1).length;
+        const name = toFileName(clip.name);
+
+        try {
+            for (let frame = 0; frame < count; frame++) {
+                action.time = Math.min(frame / fps, clip.duration);
+                character.mixer.update(0);
+
+                const blob = await renderStill(renderer, scene, camera, { scale, transparent });
+                files[`${name}_${String(frame).padStart(Math.max(digits, 4), '0')}.png`] = new Uint8Array(await blob.arrayBuffer());
+                onProgress(frame + 1, count);
+
+                // Stopped while exporting
+                if (job !== capture) return;
+            }
+
+            // PNGs are already compressed
+            onSave(new Blob([zipSync(files, { level: 0 })], { type: 'application/zip' }), `${name}_${fps}fps.zip`);
+        } finally {
+            stopClip(character, action);
+            if (job === capture) job = null;
+        }
+    }
+
+    // Stop the running capture, saving the video recorded so far
+    function stop() {
+        if (!job) return;
+
+        const finished = job;
+        job = null;
+
+        if (finished.type === 'clip') {
+            stopClip(finished.character, finished.action);
+        }
+
+        if (finished.type === 'live' || finished.type === 'clip' || finished.record) {
+            const name = finished.type === 'clip' ? toFileName(finished.clip.name) :
+                finished.type === 'turntable' ? 'turntable' : 'session';
+            video.stop().then(blob => onSave(blob, `${name}.webm`));
+        }
+    }
+
+    // Advance the running capture, call once per frame. Returns true while the capture moves the
+    // camera, the camera controller must leave it alone then
+    function update(deltaTime) {
+        if (!job) return false;
+        job.elapsed += deltaTime;
+
+        if (job.type === 'clip' && job.action.time >= job.clip.duration) {
+            stop();
+            return false;
+        }
+
+        if (job.type !== 'turntable') return false;
+
+        const box = getBox(job.character);
+        if (!box || job.elapsed >= job.duration) {
+            stop();
+            return false;
+        }
+
+        const pose = getTurntablePose(box, camera, job.heading + job.elapsed / job.duration * Math.PI * 2);
+        camera.position.copy(pose.position);
+        camera.lookAt(pose.target);
+        return true;
+    }
+
+    // Get the running capture type (null when idle) and how long it has been running, in seconds
+    function getStatus() {
+        return job ? { type: job.type, elapsed: job.elapsed, duration: job.duration || (job.clip ? job.clip.duration : null) } : null;
+    }
+
+    return {
+        captureStill,
+        startTurntable,
+        startLiveVideo,
+        startClipVideo,
+        exportSequence,
+        stop,
+        update,
+        getStatus,
+        canRecordVideo: () => canRecordVideo(renderer.domElement)
+    };
+}
@@ -0,0 +1,157 @@
+import { CAPTURE_SCALES } from './capture.js';
+import { createToolPanel, escapeHTML } from './panels.js';
+
+// Create the panel to capture the view: a high-resolution PNG (optionally without background),
+// a turntable around the selected character, WebM recordings of the live view, a clip or the
+// turntable, and PNG sequences of a clip. capture is the controller created by
+// createCaptureController and getClips() returns the clips of the selected character
+export function createCapturePanel({ capture, getClips }) {
+    const { content } = createToolPanel('Capture', { open: false });
+    const videoSupported = capture.canRecordVideo();
+
+    content.innerHTML = `
+        <label class="panel-field">
+            Resolution
+            <select class="capture-scale">
+                ${CAPTURE_SCALES.map(scale => `<option value="${scale}">${scale}x</option>`).join('')}
+            </select>
+        </label>
+        <label class="panel-field">
+            Transparent background
+            <input type="checkbox" class="capture-transparent">
+        </label>
+        <button type="button" class="panel-button capture-still">Save PNG</button>
+        <div class="panel-subtitle">Turntable</div>
+        <label class="panel-field">
+            Duration (s)
+            <input type="number" class="capture-duration" min="1" max="120" step="1" value="8">
+        </label>
+        <div class="capture-buttons">
+            <button type="button" class="panel-button capture-turntable">Turntable</button>
+            <button type="button" class="panel-button capture-turntable-video" data-video>Record turntable</button>
+        </div>
+        <div class="panel-subtitle">Clip</div>
+        <select class="capture-clip"></select>
+        <label class="panel-field">
+            Frame rate
+            <input type="number" class="capture-fps" min="1" max="60" step="1" value="30">
+        </label>
+        <div class="capture-buttons">
+            <button type="button" class="panel-button capture-clip-video" data-video>Record clip</button>
+            <button type="button" class="panel-button capture-sequence">PNG sequence</button>
+        </div>
+        <div class="panel-subtitle">Live session</div>
+        <div class="capture-buttons">
+            <button type="button" class="panel-button capture-live" data-video>Record live</button>
+            <button type="button" class="panel-button capture-stop" disabled>Stop</button>
+        </div>
+        <p class="capture-status"></p>
+        <p class="panel-hint">${videoSupported ? 'Videos record the 3D view in real time.' : 'This browser can\'t record WebM videos.'} PNG sequences pose the clip at each frame instead of playing it, at the resolution and background chosen above, and are saved as a zip.</p>
+    `;
+
+    const scaleSelect = content.querySelector('.capture-scale');
+    const transparentInput = content.querySelector('.capture-transparent');
+    const durationInput = content.querySelector('.capture-duration');
+    const clipSelect = content.querySelector('.capture-clip');
+    const fpsInput = content.querySelector('.capture-fps');
+    const stopButton = content.querySelector('.capture-stop');
+    const status = content.querySelector('.capture-status');
+
+    // Get the still and sequence options
+    function getImageOptions() {
+        return { scale: parseFloat(scaleSelect.value), transparent: transparentInput.checked };
+    }
+
+    // Get the frame rate from its field
+    function getFps() {
+        const fps = parseFloat(fpsInput.value);
+        return fps > 0 ? Math.min(fps, 60) : 30;
+    }
+
+    // Get the selected clip
+    function getClip() {
+        return getClips()[parseInt(clipSelect.value, 10)] || null;
+    }
+
+    // Run a capture action, showing its errors
+    function run(action) {
+        try {
+            const result = action();
+            if (result && result.catch) result.catch(showError);
+        } catch (error) {
+            showError(error);
+        }
+    }
+
+    // Show a capture error
+    function showError(error) {
+        console.error('Capture failed:', error);
+        alert(`Capture failed: ${error.message}`);
+    }
+
+    content.querySelector('.capture-still').addEventListener('click', () => {
+        run(() => capture.captureStill(getImageOptions()));
+    });
+
+    content.querySelector('.capture-turntable').addEventListener('click', () => {
+        run(() => capture.startTurntable({ duration: parseFloat(durationInput.value) || 8 }));
+    });
+
+    content.querySelector('.capture-turntable-video').addEventListener('click', () => {
+        run(() => capture.startTurntable({ duration: parseFloat(durationInput.value) || 8, record: true, fps: getFps() }));
+    });
+
+    content.querySelector('.capture-clip-video').addEventListener('click', () => {
+        const clip = getClip();
+        if (clip) run(() => capture.startClipVideo({ clip, fps: getFps() }));
+    });
+
+    content.querySelector('.capture-sequence').addEventListener('click', () => {
+        const clip = getClip();
+        if (!clip) return;
+
+        run(() => capture.exportSequence(Object.assign({
+            clip,
+            fps: getFps(),
+            onProgress: (frame, count) => {
+                status.textContent = `Exporting frame ${frame} / ${count}…`;
+            }
+        }, getImageOptions())));
+    });
+
+    content.querySelector('.capture-live').addEventListener('click', () => {
+        run(() => capture.startLiveVideo({ fps: getFps() }));
+    });
+
+    stopButton.addEventListener('click', () => capture.stop());
+
+    content.querySelectorAll('[data-video]').forEach((button) => {
+        button.disabled = !videoSupported;
+    });
+
+    // Rebuild the clip list for the selected character's model
+    function refresh() {
+        const clips = getClips();
+        clipSelect.innerHTML = clips.length > 0 ?
+            clips.map((clip, index) =>
+                `<option value="${index}">${escapeHTML(clip.name || `Clip ${index}`)} (${clip.duration.toFixed(2)}s)</option>`
+            ).join('') :
+            '<option value="">No animations</option>';
+    }
+
+    // Show the running capture, call once per frame. PNG sequences show their progress instead
+    function update() {
+        const running = capture.getStatus();
+        stopButton.disabled = !running;
+
+        if (!running) {
+            status.textContent = '';
+        } else if (running.type !== 'sequence') {
+            status.textContent = `Capturing ${running.type}… ${running.elapsed.toFixed(1)} s`;
+        }
+    }
+
+    refresh();
+
+    return { refresh, update };
+}
@@ -0,0 +1,68 @@
+import * as THREE from 'three';
+
+// Create HTML labels that float over points of the 3D scene (for example above characters),
+// with an optional text and health bar
+export function createCharacterLabels(camera) {
+    const container = document.createElement('div');
+    container.className = 'character-labels';
+    document.body.appendChild(container);
+
+    // Label elements by id
+    const labels = new Map();
+    const projected = new THREE.Vector3();
+
+    // Show a label for each { id, position, text, health } entry and remove the others (called
+    // every frame). health is the share of health left (0 to 1), or null for no health bar
+    function update(entries) {
+        const ids = new Set();
+
+        entries.forEach((entry) => {
+            ids.add(entry.id);
+
+            let label = labels.get(entry.id);
+            if (!label) {
+                label = document.createElement('div');
+                label.className = 'character-label-tag';
+                label.innerHTML = `
+                    <div class="character-label-text"></div>
+                    <div class="character-health"><div class="character-health-fill"></div></div>
+                `;
+                container.appendChild(label);
+                labels.set(entry.id, label);
+            }
+
+            // Hide labels behind the camera
+            projected.copy(entry.position).project(camera);
+            label.hidden = projected.z > 1;
+            if (label.hidden) return;
+
+            const x = (projected.x + 1) / 2 * window.innerWidth;
+            const y = (1 - projected.y) / 2 * window.innerHeight;
+            label.style.transform = `translate(-50%, -100%) translate(${x}px, ${y}px)`;
+
+            const text = label.querySelector('.character-label-text');
+            text.hidden = !entry.text;
+            if (text.textContent !== entry.text) {
+                text.textContent = entry.text;
+            }
+
+            const health = label.querySelector('.character-health');
+            const hasHealth = typeof entry.health === 'number';
+            health.hidden = !hasHealth;
+            if (hasHealth) {
+                const fill = health.firstElementChild;
+                fill.style.width = `${Math.round(THREE.MathUtils.clamp(entry.health, 0, 1) * 100)}%`;
+                fill.classList.toggle('low', entry.health < 0.3);
+            }
+        });
+
+        labels.forEach((label, id) => {
+            if (!ids.has(id)) {
+                label.remove();
+                labels.delete(id);
+            }
+        });
+    }
+
+    return { update };
+}
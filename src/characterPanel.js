@@ -0,0 +1,75 @@
+import { createToolPanel, escapeHTML } from './panels.js';
+
+// Largest number of NPCs spawned at once
+const MAX_SPAWN_COUNT = 20;
+
+// Create the panel listing the player and the NPCs with the controls to spawn and remove NPCs.
+// spawnPoints is a list of { name, position }. onSelect(id) picks the character whose model is
+// shown in the other panels, onSpawn(spawnIndex, count) spawns NPCs at a spawn point and
+// onRemove(id) removes an NPC
+export function createCharacterPanel({ spawnPoints, onSelect, onSpawn, onRemove }) {
+    const { content } = createToolPanel('Characters', { open: false });
+
+    content.innerHTML = `
+        <div class="character-list"></div>
+        <label class="panel-field">
+            Spawn point
+            <select class="character-spawn-point"></select>
+        </label>
+        <label class="panel-field">
+            Count
+            <input type="number" class="character-spawn-count" min="1" max="${MAX_SPAWN_COUNT}" value="1">
+        </label>
+        <button type="button" class="panel-button character-spawn">Spawn NPCs</button>
+        <p class="panel-hint">The selected character's model is shown in the other panels.</p>
+    `;
+
+    const list = content.querySelector('.character-list');
+    const spawnSelect = content.querySelector('.character-spawn-point');
+    const countInput = content.querySelector('.character-spawn-count');
+
+    // Show the spawn points
+    function setSpawnPoints(points) {
+        spawnSelect.innerHTML = points.map((point, index) =>
+            `<option value="${index}">${escapeHTML(point.name)}</option>`
+        ).join('');
+    }
+
+    setSpawnPoints(spawnPoints);
+
+    list.addEventListener('change', (e) => {
+        if (e.target.name === 'character-select') {
+            onSelect(e.target.value);
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove]');
+        if (button) {
+            onRemove(button.dataset.remove);
+        }
+    });
+
+    content.querySelector('.character-spawn').addEventListener('click', () => {
+        const count = Math.min(Math.max(parseInt(countInput.value, 10) || 1, 1), MAX_SPAWN_COUNT);
+        const spawnIndex = parseInt(spawnSelect.value, 10);
+        if (!Number.isNaN(spawnIndex)) {
+            onSpawn(spawnIndex, count);
+        }
+    });
+
+    // Show the characters, their model and which one is selected
+    function update(characters, selectedId) {
+        list.innerHTML = characters.map(character => `
+            <label class="character-row">
+                <input type="radio" name="character-select" value="${character.id}"${character.id === selectedId ? ' checked' : ''}>
+                <span class="character-label">${escapeHTML(character.label)}</span>
+                <span class="character-model">${character.asset ? escapeHTML(character.asset.name) : 'loading…'}</span>
+                ${character.role === 'npc' ?
+                    `<button type="button" class="character-remove" data-remove="${character.id}" title="Remove">&times;</button>` : ''}
+            </label>
+        `).join('');
+    }
+
+    return { update, setSpawnPoints };
+}
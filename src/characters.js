@@ -0,0 +1,97 @@
+import * as THREE from 'three';
+import { getAnimationSlots } from './animationSlots.js';
+import { getCombatSetting } from './combat.js';
+import { createLocomotionBlend } from './locomotion.js';
+
+// Movement and behavior settings of each character role
+const ROLE_SETTINGS = {
+    player: {
+        moveSpeed: 5,
+        runSpeed: 10,
+        rotationSpeed: 3,
+        jumpHeight: 3,
+        jumpSpeed: 5
+    },
+    npc: {
+        attackCooldown: 0
+    }
+};
+
+// Create an animation map with an empty entry for every slot
+export function createAnimationMap() {
+    const map = {};
+    getAnimationSlots().forEach(slot => {
+        map[slot] = { clip: null, duration: 0 };
+    });
+    return map;
+}
+
+// Create a model asset: a loaded model file shared by every character that uses it.
+// It holds the loader result (set once loaded), the content hash used to save its data,
+// its slot mapping and normalization settings, the root motion extracted from its clips
+// (see extractRootMotion), its foot bones and clip speeds (see estimateClipSpeeds) and the
+// file details used by the model report
+export function createModelAsset({ name, fileSize = null, totalSize = null, missingFiles = [] }) {
+    return {
+        name,
+        hash: null,
+        mapping: null,
+        settings: null,
+        rootMotion: null,
+        locomotion: null,
+        result: null,
+        fileSize,
+        totalSize,
+        missingFiles
+    };
+}
+
+// Get the clips of a character's model
+export function getCharacterClips(character) {
+    return character.asset && character.asset.result ? character.asset.result.animations : [];
+}
+
+// Create a character with a role ('player' or 'npc') standing at a position.
+// The model, mixer and slot actions are set when a model asset is assigned to it
+export function createCharacter({ id, label, role, position, rotationY = 0 }) {
+    return {
+        id,
+        label,
+        role,
+        asset: null,
+        model: null,
+        mixer: null,
+        animations: {},
+        map: createAnimationMap(),
+        // Collision capsule { radius, height } sized from the model, see getCharacterBody
+        body: null,
+        // State machine data of NPCs, see createNpcBrain
+        brain: null,
+        // Speed blend of the IDLE, WALK and RUN slots, see createLocomotionBlend
+        blend: createLocomotionBlend(),
+        state: Object.assign({
+            position: position.clone(),
+            rotation: new THREE.Euler(0, rotationY, 0),
+            velocity: new THREE.Vector3(0, 0, 0),
+            // Horizontal speed (in meters per second), ramped towards the input speed
+            speed: 0,
+            currentAnimation: 'IDLE',
+            isAttacking: false,
+            isJumping: false,
+            // Slot of the current swing (ATTACK or a variant), the combo position and when the last swing
+            // ended (in simulation time)
+            attackSlot: null,
+            comboIndex: 0,
+            lastAttackEnd: -Infinity,
+            // One-shot slot (LAND, EMOTE) playing until it ends or the character moves
+            actionSlot: null,
+            // Combat state, see createCombatSystem. attackHits holds the ids hit by the current swing
+            health: getCombatSetting('maxHealth'),
+            isDead: false,
+            hitStun: 0,
+            respawnTime: 0,
+            knockback: new THREE.Vector3(),
+            attackHits: null
+        }, ROLE_SETTINGS[role])
+    };
+}
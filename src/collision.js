@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+
+// Number of push-out passes per move, more passes settle characters squeezed between colliders
+const RESOLVE_ITERATIONS = 3;
+
+// The capsule radius is a share of the model height, but never wider than its slimmest side
+const BODY_RADIUS_FACTOR = 0.15;
+const MIN_BODY_RADIUS = 0.1;
+
+// Get the capsule of a character root created by createCharacterRoot: { radius, height },
+// measured from the model bounds and the normalizer scale
+export function getCharacterBody(root) {
+    const size = root.userData.bounds.getSize(new THREE.Vector3()).multiplyScalar(root.userData.normalizer.scale.x);
+
+    // Arms stretched in a T-pose make the model much wider than its body, so use the slimmest side
+    const radius = Math.max(Math.min(size.x / 2, size.z / 2, size.y * BODY_RADIUS_FACTOR), MIN_BODY_RADIUS);
+    return { radius, height: Math.max(size.y, radius * 2) };
+}
+
+// Create a collider around an object from its world bounding box, or null for an empty object.
+// shape is 'box' (axis-aligned box) or 'circle' (circle around the box center)
+export function createObjectCollider(object, shape = 'box') {
+    object.updateWorldMatrix(true, true);
+
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return null;
+
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const collider = shape === 'circle' ?
+        { type: 'circle', x: center.x, z: center.z, radius: Math.max(size.x, size.z) / 2 } :
+        { type: 'box', x: center.x, z: center.z, halfWidth: size.x / 2, halfDepth: size.z / 2, rotation: 0 };
+
+    // Characters can step over colliders whose top is below their feet
+    collider.top = box.max.y;
+    collider.source = object.name || 'mesh';
+    return collider;
+}
+
+// Push a circle (x, z, radius) out of a circle collider
+function pushOutOfCircle(position, radius, collider) {
+    const dx = position.x - collider.x;
+    const dz = position.z - collider.z;
+    const distance = Math.hypot(dx, dz);
+    const minDistance = collider.radius + radius;
+
+    if (distance >= minDistance) return false;
+
+    if (distance > 0) {
+        position.x = collider.x + dx / distance * minDistance;
+        position.z = collider.z + dz / distance * minDistance;
+    } else {
+        position.x = collider.x + minDistance;
+    }
+    return true;
+}
+
+// Push a circle out of a (possibly rotated) box collider
+function pushOutOfBox(position, radius, collider) {
+    const rotation = collider.rotation || 0;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+
+    // Work in the box's own space
+    const dx = position.x - collider.x;
+    const dz = position.z - collider.z;
+    const localX = dx * cos - dz * sin;
+    const localZ = dx * sin + dz * cos;
+
+    const closestX = THREE.MathUtils.clamp(localX, -collider.halfWidth, collider.halfWidth);
+    const closestZ = THREE.MathUtils.clamp(localZ, -collider.halfDepth, collider.halfDepth);
+    let offsetX = localX - closestX;
+    let offsetZ = localZ - closestZ;
+    const distance = Math.hypot(offsetX, offsetZ);
+
+    if (distance >= radius) return false;
+
+    let resolvedX;
+    let resolvedZ;
+
+    if (distance > 0) {
+        // Center outside the box: move it away from the closest point
+        resolvedX = closestX + offsetX / distance * radius;
+        resolvedZ = closestZ + offsetZ / distance * radius;
+    } else {
+        // Center inside the box: leave through the nearest side
+        const exitX = collider.halfWidth - Math.abs(localX);
+        const exitZ = collider.halfDepth - Math.abs(localZ);
+        offsetX = exitX < exitZ ? Math.sign(localX) || 1 : 0;
+        offsetZ = exitX < exitZ ? 0 : Math.sign(localZ) || 1;
+        resolvedX = offsetX ? offsetX * (collider.halfWidth + radius) : localX;
+        resolvedZ = offsetZ ? offsetZ * (collider.halfDepth + radius) : localZ;
+    }
+
+    // Back to world space
+    position.x = collider.x + resolvedX * cos + resolvedZ * sin;
+    position.z = collider.z - resolvedX * sin + resolvedZ * cos;
+    return true;
+}
+
+// Keep a circle inside a rectangular bounds collider
+function keepInsideBounds(position, radius, collider) {
+    const limitX = Math.max(collider.halfWidth - radius, 0);
+    const limitZ = Math.max(collider.halfDepth - radius, 0);
+    const x = THREE.MathUtils.clamp(position.x, collider.x - limitX, collider.x + limitX);
+    const z = THREE.MathUtils.clamp(position.z, collider.z - limitZ, collider.z + limitZ);
+    const moved = x !== position.x || z !== position.z;
+
+    position.x = x;
+    position.z = z;
+    return moved;
+}
+
+// Push a circle out of a static collider, returning true if it was moved
+function resolveCollider(position, radius, collider) {
+    switch (collider.type) {
+        case 'circle':
+            return pushOutOfCircle(position, radius, collider);
+        case 'box':
+            return pushOutOfBox(position, radius, collider);
+        case 'bounds':
+            return keepInsideBounds(position, radius, collider);
+        default:
+            return false;
+    }
+}
+
+// Create the collision world: a registry of static colliders ({ type: 'circle', x, z, radius },
+// { type: 'box', x, z, halfWidth, halfDepth, rotation } or { type: 'bounds', x, z, halfWidth,
+// halfDepth } that characters can't leave, each with an optional top height) and the character capsules. getCharacters() returns the
+// characters that collide with each other, each with a state.position and a body capsule
+export function createCollisionWorld({ getCharacters }) {
+    const colliders = [];
+
+    // Register a static collider
+    function addCollider(collider) {
+        colliders.push(collider);
+        return collider;
+    }
+
+    // Remove a static collider
+    function removeCollider(collider) {
+        const index = colliders.indexOf(collider);
+        if (index !== -1) {
+            colliders.splice(index, 1);
+        }
+    }
+
+    // Remove every static collider
+    function clearColliders() {
+        colliders.length = 0;
+    }
+
+    // Check if two capsules standing at feet heights overlap vertically
+    function overlapsVertically(bottomA, heightA, bottomB, heightB) {
+        return bottomA < bottomB + heightB && bottomB < bottomA + heightA;
+    }
+
+    // Move a character's capsule to a new ground position (changed in place), sliding along
+    // static colliders and other characters instead of stopping at them
+    function resolveMove(character, position) {
+        const body = character.body;
+        if (!body) return position;
+
+        const feet = character.state.position.y;
+
+        for (let i = 0; i < RESOLVE_ITERATIONS; i++) {
+            let moved = false;
+
+            colliders.forEach((collider) => {
+                // Jumped over a low collider
+                if (collider.top !== undefined && feet >= collider.top) return;
+
+                if (resolveCollider(position, body.radius, collider)) {
+                    moved = true;
+                }
+            });
+
+            getCharacters().forEach((other) => {
+                if (other === character || !other.body || !other.model) return;
+                if (!overlapsVertically(feet, body.height, other.state.position.y, other.body.height)) return;
+
+                const otherCircle = { x: other.state.position.x, z: other.state.position.z, radius: other.body.radius };
+                if (pushOutOfCircle(position, body.radius, otherCircle)) {
+                    moved = true;
+                }
+            });
+
+            if (!moved) break;
+        }
+
+        return position;
+    }
+
+    return {
+        addCollider,
+        removeCollider,
+        clearColliders,
+        getColliders: () => colliders,
+        resolveMove
+    };
+}
@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+
+// Hit area shapes: a cone in front of the attacker or a sphere at its reach
+export const HIT_SHAPES = ['cone', 'sphere'];
+
+// Tunable combat parameters shared by every character (distances in meters, times in seconds,
+// the hit window in fractions of the ATTACK clip)
+const combatSettings = {
+    maxHealth: 100,
+    damage: 20,
+    hitWindowStart: 0.3,
+    hitWindowEnd: 0.6,
+    hitShape: 'cone',
+    reach: 2,
+    coneAngle: 90,
+    sphereRadius: 0.6,
+    knockback: 6,
+    hitStunTime: 0.4,
+    respawnTime: 3
+};
+
+// How fast a knockback slows down (per second)
+const KNOCKBACK_DAMPING = 8;
+
+// Knockbacks slower than this (meters per second) stop
+const MIN_KNOCKBACK_SPEED = 0.05;
+
+// Gravity for characters falling while stunned or dead
+const GRAVITY = 9.8;
+
+// Get a combat parameter
+export function getCombatSetting(key) {
+    return combatSettings[key];
+}
+
+// Set a combat parameter, ignoring unknown shapes and negative numbers
+export function setCombatSetting(key, value) {
+    if (!(key in combatSettings)) return;
+
+    if (key === 'hitShape') {
+        if (HIT_SHAPES.includes(value)) {
+            combatSettings.hitShape = value;
+        }
+    } else if (value >= 0) {
+        combatSettings[key] = value;
+    }
+}
+
+// Check if a character can act (move, attack or jump): alive and not reeling from a hit
+export function canAct(character) {
+    return !character.state.isDead && character.state.hitStun <= 0;
+}
+
+// Get how far the ATTACK clip (or the variant swung) of a character has played (0 to 1),
+// or null when it isn't attacking
+function getAttackProgress(character) {
+    const action = character.animations[character.state.attackSlot];
+    if (!character.state.isAttacking || !action) return null;
+
+    const duration = action.getClip().duration;
+    return duration > 0 ? action.time / duration : 1;
+}
+
+// Check if an attack of a character is in the active window of its ATTACK clip
+export function isHitWindowActive(character) {
+    const progress = getAttackProgress(character);
+    return progress !== null && progress >= combatSettings.hitWindowStart && progress <= combatSettings.hitWindowEnd;
+}
+
+// Get the hit area of an attacking character { position, rotationY, shape, reach, coneAngle,
+// sphereRadius, active } (used by the debug view), or null when it isn't attacking
+export function getHitArea(character) {
+    if (getAttackProgress(character) === null) return null;
+
+    return {
+        position: character.state.position,
+        rotationY: character.state.rotation.y,
+        shape: combatSettings.hitShape,
+        reach: combatSettings.reach,
+        coneAngle: combatSettings.coneAngle,
+        sphereRadius: combatSettings.sphereRadius,
+        active: isHitWindowActive(character)
+    };
+}
+
+// Check if a target's capsule is inside an attacker's hit area
+function isInHitArea(attacker, target) {
+    const from = attacker.state.position;
+    const to = target.state.position;
+    const targetRadius = target.body ? target.body.radius : 0;
+    const forward = new THREE.Vector3(Math.sin(attacker.state.rotation.y), 0, Math.cos(attacker.state.rotation.y));
+
+    if (combatSettings.hitShape === 'sphere') {
+        const center = from.clone().addScaledVector(forward, combatSettings.reach);
+        return Math.hypot(to.x - center.x, to.z - center.z) <= combatSettings.sphereRadius + targetRadius;
+    }
+
+    const offset = new THREE.Vector3(to.x - from.x, 0, to.z - from.z);
+    const distance = offset.length();
+    if (distance > combatSettings.reach + targetRadius) return false;
+
+    // Targets overlapping the attacker are always in front of it
+    if (distance <= targetRadius) return true;
+
+    const angle = THREE.MathUtils.radToDeg(forward.angleTo(offset));
+    return angle <= combatSettings.coneAngle / 2;
+}
+
+// Create the combat system: hit detection during the active window of ATTACK clips, damage,
+// knockback, HIT/DIE reactions and respawns.
+// getCharacters() returns every character that can fight, resolveMove(character, position)
+// slides knockbacks along the colliders, setAnimation/getLocomotionAnimation are the character
+// animation controls, getRespawnPoint(character) returns { position, rotationY } and
+// onHit(attacker, target, damage), onDeath(character) and onRespawn(character) report combat events
+export function createCombatSystem({
+    getCharacters,
+    resolveMove,
+    setAnimation,
+    getLocomotionAnimation,
+    getRespawnPoint,
+    onHit,
+    onDeath,
+    onRespawn
+}) {
+    // Play a reaction slot from its start, even if it is already playing
+    function playReaction(character, slot) {
+        if (!character.animations[slot]) return false;
+
+        if (character.state.currentAnimation === slot) {
+            character.animations[slot].reset().play();
+        } else {
+            setAnimation(character, slot);
+        }
+        return character.state.currentAnimation === slot;
+    }
+
+    // Apply a hit from an attacker to a target
+    function applyHit(attacker, target) {
+        const state = target.state;
+        const damage = combatSettings.damage;
+
+        state.health = Math.max(state.health - damage, 0);
+
+        // Push the target away from the attacker
+        const away = new THREE.Vector3(state.position.x - attacker.state.position.x, 0, state.position.z - attacker.state.position.z);
+        if (away.lengthSq() === 0) {
+            away.set(Math.sin(attacker.state.rotation.y), 0, Math.cos(attacker.state.rotation.y));
+        }
+        state.knockback.copy(away.normalize().multiplyScalar(combatSettings.knockback));
+
+        // A hit interrupts the target's own attack
+        state.isAttacking = false;
+        state.attackSlot = null;
+        state.actionSlot = null;
+        state.attackHits = null;
+
+        onHit(attacker, target, damage);
+
+        if (state.health <= 0) {
+            kill(target);
+            return;
+        }
+
+        // Reel for the length of the HIT clip, or the stun time without one
+        const hasReaction = playReaction(target, 'HIT');
+        state.hitStun = hasReaction ?
+            target.animations.HIT.getClip().duration :
+            combatSettings.hitStunTime;
+    }
+
+    // Kill a character, playing its DIE clip or laying the model down without one
+    function kill(character) {
+        const state = character.state;
+        state.isDead = true;
+        state.hitStun = 0;
+        state.respawnTime = combatSettings.respawnTime;
+        state.velocity.x = 0;
+        state.velocity.z = 0;
+
+        if (!playReaction(character, 'DIE') && character.model) {
+            character.model.rotation.x = -Math.PI / 2;
+        }
+
+        onDeath(character);
+    }
+
+    // Bring a dead character back at its respawn point with full health
+    function respawn(character) {
+        const state = character.state;
+        const point = getRespawnPoint(character);
+
+        state.isDead = false;
+        state.health = combatSettings.maxHealth;
+        state.knockback.set(0, 0, 0);
+        state.velocity.set(0, 0, 0);
+        state.isJumping = false;
+        state.isAttacking = false;
+        state.attackSlot = null;
+        state.actionSlot = null;
+        state.position.copy(point.position);
+        state.rotation.y = point.rotationY;
+
+        if (character.model) {
+            character.model.position.copy(state.position);
+            character.model.rotation.set(0, point.rotationY, 0);
+        }
+
+        // Start over from IDLE, the DIE clip holds its last frame until stopped
+        state.currentAnimation = 'NONE';
+        if (character.mixer) {
+            character.mixer.stopAllAction();
+        }
+        setAnimation(character, 'IDLE');
+
+        onRespawn(character);
+    }
+
+    // Check the hits of an attacking character, each swing hits a target once
+    function updateAttack(attacker, characters) {
+        if (!isHitWindowActive(attacker) || attacker.state.isDead) return;
+
+        if (!attacker.state.attackHits) {
+            attacker.state.attackHits = new Set();
+        }
+
+        characters.forEach((target) => {
+            if (target === attacker || !target.model || target.state.isDead) return;
+            if (attacker.state.attackHits.has(target.id)) return;
+
+            // Only player and NPCs fight each other
+            if (target.role === attacker.role) return;
+
+            if (isInHitArea(attacker, target)) {
+                attacker.state.attackHits.add(target.id);
+                applyHit(attacker, target);
+            }
+        });
+    }
+
+    // Move a character along its knockback and let it fall while it can't act
+    function updateReaction(character, deltaTime) {
+        const state = character.state;
+
+        if (state.knockback.lengthSq() > MIN_KNOCKBACK_SPEED * MIN_KNOCKBACK_SPEED) {
+            const next = state.position.clone().addScaledVector(state.knockback, deltaTime);
+            resolveMove(character, next);
+            state.position.x = next.x;
+            state.position.z = next.z;
+            state.knockback.multiplyScalar(Math.exp(-KNOCKBACK_DAMPING * deltaTime));
+        } else {
+            state.knockback.set(0, 0, 0);
+        }
+
+        // The player's jump physics is paused while it can't act
+        if (!canAct(character) && state.position.y > 0) {
+            state.velocity.y -= GRAVITY * deltaTime;
+            state.position.y = Math.max(state.position.y + state.velocity.y * deltaTime, 0);
+            if (state.position.y === 0) {
+                state.velocity.y = 0;
+                state.isJumping = false;
+            }
+        }
+
+        character.model.position.copy(state.position);
+
+        if (state.hitStun > 0) {
+            state.hitStun -= deltaTime;
+            if (state.hitStun <= 0 && !state.isDead) {
+                setAnimation(character, getLocomotionAnimation(character));
+            }
+        }
+
+        if (state.isDead) {
+            state.respawnTime -= deltaTime;
+            if (state.respawnTime <= 0) {
+                respawn(character);
+            }
+        }
+    }
+
+    // Run one combat step (called every frame)
+    function update(deltaTime) {
+        const characters = getCharacters().filter(character => character.model);
+
+        characters.forEach(character => updateAttack(character, characters));
+        characters.forEach(character => updateReaction(character, deltaTime));
+    }
+
+    return { update, respawn };
+}
@@ -0,0 +1,72 @@
+import { HIT_SHAPES, getCombatSetting, setCombatSetting } from './combat.js';
+import { createToolPanel } from './panels.js';
+
+// Parameters shown in the panel. The hit window is shown in percent of the ATTACK clip
+const SETTING_FIELDS = [
+    { key: 'maxHealth', label: 'Max health', step: 10 },
+    { key: 'damage', label: 'Damage per hit', step: 5 },
+    { key: 'hitWindowStart', label: 'Hit window start (% of ATTACK)', step: 5, percent: true },
+    { key: 'hitWindowEnd', label: 'Hit window end (% of ATTACK)', step: 5, percent: true },
+    { key: 'reach', label: 'Reach (m)', step: 0.1 },
+    { key: 'coneAngle', label: 'Cone angle (°)', step: 5 },
+    { key: 'sphereRadius', label: 'Sphere radius (m)', step: 0.1 },
+    { key: 'knockback', label: 'Knockback speed (m/s)', step: 0.5 },
+    { key: 'hitStunTime', label: 'Stun without HIT clip (s)', step: 0.1 },
+    { key: 'respawnTime', label: 'Respawn time (s)', step: 0.5 }
+];
+
+// Get the value of a setting as shown in the panel
+function getFieldValue(field) {
+    const value = getCombatSetting(field.key);
+    return field.percent ? Math.round(value * 100) : value;
+}
+
+// Create the panel with the combat parameters and the toggle of the health bars
+export function createCombatPanel() {
+    const { content } = createToolPanel('Combat', { open: false });
+
+    content.innerHTML = `
+        <label class="panel-field">
+            Show health bars
+            <input type="checkbox" class="combat-health-bars" checked>
+        </label>
+        <label class="panel-field">
+            Hit area
+            <select data-setting="hitShape">
+                ${HIT_SHAPES.map(shape =>
+                    `<option value="${shape}"${shape === getCombatSetting('hitShape') ? ' selected' : ''}>${shape}</option>`
+                ).join('')}
+            </select>
+        </label>
+        ${SETTING_FIELDS.map(field => `
+            <label class="panel-field">
+                ${field.label}
+                <input type="number" min="0"${field.percent ? ' max="100"' : ''} step="${field.step}" data-setting="${field.key}" value="${getFieldValue(field)}">
+            </label>
+        `).join('')}
+        <p class="panel-hint">Targets are hit while the ATTACK clip is inside the hit window. HIT and DIE play when the model has them, the Debug View shows the hit areas.</p>
+    `;
+
+    const healthBarsInput = content.querySelector('.combat-health-bars');
+
+    content.addEventListener('change', (e) => {
+        const key = e.target.dataset.setting;
+        if (!key) return;
+
+        if (key === 'hitShape') {
+            setCombatSetting(key, e.target.value);
+            return;
+        }
+
+        const field = SETTING_FIELDS.find(field => field.key === key);
+        const value = parseFloat(e.target.value);
+        if (value >= 0) {
+            setCombatSetting(key, field.percent ? Math.min(value, 100) / 100 : value);
+        }
+        e.target.value = getFieldValue(field);
+    });
+
+    return {
+        areHealthBarsVisible: () => healthBarsInput.checked
+    };
+}
@@ -0,0 +1,233 @@
+import { getAnimationSlots } from './animationSlots.js';
+import { COMPARISON_LAYOUTS, TIMELINE_MODES } from './modelComparison.js';
+import { collectDroppedFiles, collectInputFiles } from './modelFiles.js';
+import { createToolPanel, downloadFile, escapeHTML } from './panels.js';
+
+// Sides of the comparison
+const SIDES = ['a', 'b'];
+
+// Format a duration in seconds, or a dash when the model has no such clip
+function formatDuration(duration) {
+    return duration === null ? '–' : `${duration.toFixed(2)}s`;
+}
+
+// Format the difference B - A of two numbers, with its sign
+function formatDelta(a, b, digits = 0) {
+    if (a === null || b === null) return '';
+
+    const delta = b - a;
+    if (Math.abs(delta) < Math.pow(10, -digits) / 2) return '=';
+    return `${delta > 0 ? '+' : ''}${delta.toFixed(digits)}`;
+}
+
+// Create the panel to compare two models (for example two versions of the same character):
+// each side loads model files or takes the player's model, then the comparison shows them side
+// by side or B as a ghost over A, playing the clips of one slot on a shared timeline, with a
+// summary of their differences. comparison is the controller created by createModelComparison,
+// onLoad(side, entriesPromise) loads uploaded files into a side and onUsePlayer(side) puts the
+// player's model there. onStart() and onStop() enter and leave the comparison view and getDiff()
+// returns the differences of the two models (see compareModels), or null until both are loaded
+export function createComparisonPanel({ comparison, onLoad, onUsePlayer, onStart, onStop, getDiff }) {
+    const { content } = createToolPanel('Compare Models', { open: false });
+
+    content.innerHTML = `
+        <div class="comparison-sides">
+            ${SIDES.map(side => `
+                <div class="comparison-side" data-side="${side}">
+                    <div class="panel-subtitle">${side.toUpperCase()}</div>
+                    <div class="comparison-name"></div>
+                    <input type="file" id="comparison-input-${side}" accept=".glb,.gltf,.fbx,.obj,.mtl,.dae,.bin,.png,.jpg,.jpeg,.webp,.tga,.ktx2,.zip" multiple>
+                    <label for="comparison-input-${side}" class="panel-button">Select files</label>
+                    <button type="button" class="panel-button comparison-use-player">Player's model</button>
+                </div>
+            `).join('')}
+        </div>
+        <button type="button" class="panel-button comparison-toggle">Start comparing</button>
+        <label class="panel-field">
+            Layout
+            <select class="comparison-layout">
+                ${Object.keys(COMPARISON_LAYOUTS).map(layout => `<option value="${layout}">${COMPARISON_LAYOUTS[layout]}</option>`).join('')}
+            </select>
+        </label>
+        <label class="panel-field">
+            Ghost opacity
+            <input type="range" class="comparison-opacity" min="0.1" max="0.9" step="0.05" value="0.35">
+        </label>
+        <label class="panel-field">
+            Slot
+            <select class="comparison-slot"></select>
+        </label>
+        <label class="panel-field">
+            Timeline
+            <select class="comparison-timeline-mode">
+                ${Object.keys(TIMELINE_MODES).map(mode => `<option value="${mode}">${TIMELINE_MODES[mode]}</option>`).join('')}
+            </select>
+        </label>
+        <div class="comparison-transport">
+            <button type="button" class="panel-button comparison-play">Pause</button>
+            <input type="range" class="comparison-timeline" min="0" max="1" step="0.001" value="0">
+        </div>
+        <div class="comparison-time"></div>
+        <div class="panel-subtitle">Differences</div>
+        <div class="comparison-diff"></div>
+        <button type="button" class="panel-button comparison-export" disabled>Export JSON</button>
+        <p class="panel-hint">Drop files on a side or select them. A takes the left of the front view and stays opaque in the ghost overlay. The game pauses while comparing and the camera orbits the two models.</p>
+    `;
+
+    const toggleButton = content.querySelector('.comparison-toggle');
+    const layoutSelect = content.querySelector('.comparison-layout');
+    const opacityInput = content.querySelector('.comparison-opacity');
+    const slotSelect = content.querySelector('.comparison-slot');
+    const timelineModeSelect = content.querySelector('.comparison-timeline-mode');
+    const playButton = content.querySelector('.comparison-play');
+    const timeline = content.querySelector('.comparison-timeline');
+    const timeLabel = content.querySelector('.comparison-time');
+    const diffView = content.querySelector('.comparison-diff');
+    const exportButton = content.querySelector('.comparison-export');
+
+    // Differences of the two models shown, exported as JSON
+    let diff = null;
+
+    content.querySelectorAll('.comparison-side').forEach((sideElement) => {
+        const side = sideElement.dataset.side;
+
+        ['dragenter', 'dragover'].forEach((type) => {
+            sideElement.addEventListener(type, (e) => {
+                e.preventDefault();
+                sideElement.classList.add('highlight');
+            });
+        });
+
+        ['dragleave', 'drop'].forEach((type) => {
+            sideElement.addEventListener(type, (e) => {
+                e.preventDefault();
+                sideElement.classList.remove('highlight');
+            });
+        });
+
+        sideElement.addEventListener('drop', (e) => onLoad(side, collectDroppedFiles(e.dataTransfer)));
+
+        sideElement.querySelector('input[type="file"]').addEventListener('change', (e) => {
+            onLoad(side, Promise.resolve(collectInputFiles(e.target.files)));
+            e.target.value = '';
+        });
+
+        sideElement.querySelector('.comparison-use-player').addEventListener('click', () => onUsePlayer(side));
+    });
+
+    toggleButton.addEventListener('click', () => {
+        if (comparison.isActive()) {
+            onStop();
+        } else {
+            onStart();
+        }
+        refresh();
+    });
+
+    layoutSelect.addEventListener('change', () => comparison.setLayout(layoutSelect.value));
+    opacityInput.addEventListener('input', () => comparison.setGhostOpacity(parseFloat(opacityInput.value)));
+    slotSelect.addEventListener('change', () => comparison.setSlot(slotSelect.value));
+    timelineModeSelect.addEventListener('change', () => comparison.setTimelineMode(timelineModeSelect.value));
+
+    playButton.addEventListener('click', () => comparison.setPlaying(!comparison.isPlaying()));
+
+    timeline.addEventListener('input', () => {
+        comparison.setPlaying(false);
+        comparison.seek(parseFloat(timeline.value));
+    });
+
+    exportButton.addEventListener('click', () => {
+        if (diff) {
+            downloadFile(JSON.stringify(diff, null, 2), 'model-comparison.json', 'application/json');
+        }
+    });
+
+    // Show the differences of the two models: counts, bones, clip durations and slots
+    function renderDiff() {
+        diff = getDiff();
+        exportButton.disabled = !diff;
+
+        if (!diff) {
+            diffView.innerHTML = '<p class="panel-empty">Load a model on both sides to compare them</p>';
+            return;
+        }
+
+        const row = (label, a, b, delta) => `
+            <tr>
+                <th>${escapeHTML(label)}</th>
+                <td>${escapeHTML(a)}</td>
+                <td>${escapeHTML(b)}</td>
+                <td class="comparison-delta">${escapeHTML(delta)}</td>
+            </tr>
+        `;
+        const header = first => `<tr><th>${first}</th><th>A</th><th>B</th><th>B - A</th></tr>`;
+
+        const countRows = diff.counts.map(count =>
+            row(count.label, count.a.toLocaleString('en-US'), count.b.toLocaleString('en-US'), formatDelta(count.a, count.b))
+        ).join('');
+
+        const slotRows = diff.slots.map(entry => row(
+            entry.slot,
+            entry.a ? `${entry.a.clip} (${formatDuration(entry.a.duration)})` : '–',
+            entry.b ? `${entry.b.clip} (${formatDuration(entry.b.duration)})` : '–',
+            formatDelta(entry.a ? entry.a.duration : null, entry.b ? entry.b.duration : null, 2)
+        )).join('');
+
+        const clipRows = diff.clips.map(clip =>
+            row(clip.name, formatDuration(clip.a), formatDuration(clip.b), formatDelta(clip.a, clip.b, 2))
+        ).join('');
+
+        const boneList = (label, bones) => (bones.length > 0 ?
+            `<p class="comparison-bones">${label}: ${bones.map(escapeHTML).join(', ')}</p>` : '');
+
+        diffView.innerHTML = `
+            <table class="comparison-table">${header('')}${countRows}</table>
+            ${boneList('Bones only in A', diff.bones.onlyA)}
+            ${boneList('Bones only in B', diff.bones.onlyB)}
+            <table class="comparison-table">${header('Slot')}${slotRows}</table>
+            ${clipRows ? `<table class="comparison-table">${header('Changed clip')}${clipRows}</table>` : ''}
+            <p class="comparison-same">${diff.sameClips} clips with the same name and duration</p>
+        `;
+    }
+
+    // Show the models of both sides, the slots they can play and their differences
+    function refresh() {
+        content.querySelectorAll('.comparison-side').forEach((sideElement) => {
+            const asset = comparison.getAsset(sideElement.dataset.side);
+            sideElement.querySelector('.comparison-name').textContent = asset ? asset.name : 'No model';
+        });
+
+        toggleButton.textContent = comparison.isActive() ? 'Stop comparing' : 'Start comparing';
+
+        // Offer the slots either model has a clip for
+        const assets = SIDES.map(side => comparison.getAsset(side)).filter(asset => asset && asset.mapping);
+        const slots = getAnimationSlots().filter(slot => assets.some(asset => asset.mapping[slot]));
+        if (!slots.includes(comparison.getSlot())) {
+            slots.unshift(comparison.getSlot());
+        }
+        slotSelect.innerHTML = slots.map(slot => `<option value="${escapeHTML(slot)}">${escapeHTML(slot)}</option>`).join('');
+        slotSelect.value = comparison.getSlot();
+
+        renderDiff();
+    }
+
+    // Keep the timeline and the clip times in sync (called every frame)
+    function update() {
+        if (!comparison.isActive()) return;
+
+        const time = comparison.getTime();
+        const duration = comparison.getDuration();
+
+        playButton.textContent = comparison.isPlaying() ? 'Pause' : 'Play';
+        timeline.max = duration || 1;
+        timeline.value = time;
+        timeLabel.textContent = `${time.toFixed(2)}s / ${duration.toFixed(2)}s · ` + SIDES.map((side) => {
+            const clip = comparison.getClip(side);
+            return `${side.toUpperCase()} ${clip ? `${comparison.getSideTime(side).toFixed(2)}s` : 'no clip'}`;
+        }).join(' · ');
+    }
+
+    refresh();
+
+    return { refresh, update };
+}
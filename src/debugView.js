@@ -0,0 +1,354 @@
+import * as THREE from 'three';
+import { VertexNormalsHelper } from 'three/examples/jsm/helpers/VertexNormalsHelper.js';
+import { createToolPanel } from './panels.js';
+
+// Debug overlays that can be toggled from the panel
+const DEBUG_OPTIONS = [
+    { key: 'skeleton', label: 'Skeleton' },
+    { key: 'wireframe', label: 'Wireframe' },
+    { key: 'normals', label: 'Vertex normals' },
+    { key: 'boundingBoxes', label: 'Bounding boxes' },
+    { key: 'colliders', label: 'Colliders' },
+    { key: 'enemyRanges', label: 'NPC attack/sight ranges' },
+    { key: 'hitAreas', label: 'Attack hit areas' }
+];
+
+// Colors of the overlays
+const COLLIDER_COLOR = 0xff00ff;
+const BODY_COLOR = 0x00ff88;
+const BOUNDING_BOX_COLOR = 0xffff00;
+const ATTACK_RANGE_COLOR = 0xff3333;
+const SIGHT_RANGE_COLOR = 0xffaa00;
+const HIT_AREA_COLOR = 0x888888;
+const HIT_AREA_ACTIVE_COLOR = 0xff0000;
+
+// Create a flat circle of radius 1 on the ground, scaled to the radius it shows
+function createGroundCircle(color) {
+    const points = [];
+    for (let i = 0; i < 64; i++) {
+        const angle = (i / 64) * Math.PI * 2;
+        points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+    }
+
+    const circle = new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })
+    );
+    circle.renderOrder = 999;
+    return circle;
+}
+
+// Create a flat square outline of half size 1 on the ground
+function createGroundSquare(color) {
+    const points = [
+        new THREE.Vector3(-1, 0, -1),
+        new THREE.Vector3(1, 0, -1),
+        new THREE.Vector3(1, 0, 1),
+        new THREE.Vector3(-1, 0, 1)
+    ];
+
+    return new THREE.LineLoop(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color })
+    );
+}
+
+// Create the wireframe of a character capsule standing on the ground
+function createCapsule(radius, height) {
+    const length = Math.max(height - radius * 2, 0);
+    const capsule = new THREE.LineSegments(
+        new THREE.WireframeGeometry(new THREE.CapsuleGeometry(radius, length, 2, 12)),
+        new THREE.LineBasicMaterial({ color: BODY_COLOR, depthTest: false, transparent: true })
+    );
+    capsule.renderOrder = 999;
+    capsule.userData.size = `${radius}:${height}`;
+    return capsule;
+}
+
+// Get the outline points of an attack hit area, relative to the attacker and facing +Z
+function getHitAreaPoints(area) {
+    const points = [];
+
+    if (area.shape === 'sphere') {
+        for (let i = 0; i < 32; i++) {
+            const angle = (i / 32) * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle) * area.sphereRadius, 0, area.reach + Math.sin(angle) * area.sphereRadius));
+        }
+        return points;
+    }
+
+    // Cone: a circle sector of the reach
+    const halfAngle = THREE.MathUtils.degToRad(Math.min(area.coneAngle, 360)) / 2;
+    points.push(new THREE.Vector3(0, 0, 0));
+    for (let i = 0; i <= 16; i++) {
+        const angle = -halfAngle + (i / 16) * halfAngle * 2;
+        points.push(new THREE.Vector3(Math.sin(angle) * area.reach, 0, Math.cos(angle) * area.reach));
+    }
+    return points;
+}
+
+// Dispose of a helper's geometry and material and remove it from the scene
+function disposeHelper(helper) {
+    if (!helper) return;
+
+    helper.removeFromParent();
+    if (helper.geometry) helper.geometry.dispose();
+    if (helper.material) helper.material.dispose();
+}
+
+// Set the wireframe flag of every material in a model
+function setWireframe(model, enabled) {
+    model.traverse((node) => {
+        if (!node.isMesh) return;
+
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.filter(Boolean).forEach((material) => {
+            material.wireframe = enabled;
+        });
+    });
+}
+
+// Create the debug overlays (skeletons, wireframe, normals, bounding boxes, colliders, NPC
+// ranges and attack hit areas) and the panel that toggles them. The getters are read on every update:
+// getCharacters() returns the character roots, getColliders() the static colliders of the
+// collision world, getBodies() the character capsules { position, radius, height } and
+// getEnemyRanges() a list of NPC { position, attackRange, sightRange } and getHitAreas() the hit
+// areas of the attacking characters (see getHitArea)
+export function createDebugView({ scene, getCharacters, getColliders, getBodies, getEnemyRanges, getHitAreas }) {
+    const { content } = createToolPanel('Debug View', { open: false });
+
+    content.innerHTML = DEBUG_OPTIONS.map(option => `
+        <label class="panel-field">
+            ${option.label}
+            <input type="checkbox" data-option="${option.key}">
+        </label>
+    `).join('');
+
+    const options = {};
+    DEBUG_OPTIONS.forEach(option => {
+        options[option.key] = false;
+    });
+
+    content.addEventListener('change', (e) => {
+        const key = e.target.dataset.option;
+        if (key) {
+            options[key] = e.target.checked;
+        }
+    });
+
+    // Helpers created for each character root
+    const characterHelpers = new Map();
+
+    // Collider and range overlays
+    const colliderGroup = new THREE.Group();
+    colliderGroup.name = 'DebugColliders';
+    scene.add(colliderGroup);
+
+    // Attack and sight range circles, one pair per NPC
+    const rangeCircles = [];
+
+    // Character capsules, one per character
+    const capsules = [];
+
+    // Hit area outlines, one per attacking character
+    const hitAreaOutlines = [];
+
+    // Create or remove the helpers of one character to match the enabled options
+    function syncCharacterHelpers(model, helpers) {
+        if (options.skeleton && !helpers.skeleton) {
+            helpers.skeleton = new THREE.SkeletonHelper(model);
+            scene.add(helpers.skeleton);
+        } else if (!options.skeleton && helpers.skeleton) {
+            disposeHelper(helpers.skeleton);
+            helpers.skeleton = null;
+        }
+
+        if (options.boundingBoxes && !helpers.box) {
+            helpers.box = new THREE.BoxHelper(model, BOUNDING_BOX_COLOR);
+            scene.add(helpers.box);
+        } else if (!options.boundingBoxes && helpers.box) {
+            disposeHelper(helpers.box);
+            helpers.box = null;
+        }
+
+        if (options.normals && helpers.normals.length === 0) {
+            // Size the normals relative to the model so they are visible at any scale
+            const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+            const normalLength = Math.max(size.x, size.y, size.z) * 0.02 || 0.05;
+
+            model.traverse((node) => {
+                if (node.isMesh && node.geometry.attributes.normal) {
+                    const helper = new VertexNormalsHelper(node, normalLength, 0x00ffff);
+                    scene.add(helper);
+                    helpers.normals.push(helper);
+                }
+            });
+        } else if (!options.normals && helpers.normals.length > 0) {
+            helpers.normals.forEach(disposeHelper);
+            helpers.normals = [];
+        }
+
+        if (helpers.wireframe !== options.wireframe) {
+            setWireframe(model, options.wireframe);
+            helpers.wireframe = options.wireframe;
+        }
+
+        if (helpers.box) helpers.box.update();
+        helpers.normals.forEach(helper => helper.update());
+    }
+
+    // Remove every helper of a character that is no longer in the scene
+    function removeCharacterHelpers(helpers) {
+        disposeHelper(helpers.skeleton);
+        disposeHelper(helpers.box);
+        helpers.normals.forEach(disposeHelper);
+    }
+
+    // Rebuild the collider outlines
+    function updateColliders() {
+        colliderGroup.visible = options.colliders;
+        if (!options.colliders) return;
+
+        const colliders = getColliders();
+        const key = JSON.stringify(colliders);
+
+        // Only rebuild the outlines when the colliders changed
+        if (colliderGroup.userData.key === key) return;
+        colliderGroup.userData.key = key;
+
+        colliderGroup.children.slice().forEach(disposeHelper);
+
+        colliders.forEach((collider) => {
+            let outline;
+
+            if (collider.type === 'circle') {
+                outline = createGroundCircle(COLLIDER_COLOR);
+                outline.position.set(collider.x, 0.05, collider.z);
+                outline.scale.setScalar(collider.radius);
+            } else if (collider.type === 'box') {
+                outline = createGroundSquare(COLLIDER_COLOR);
+                outline.position.set(collider.x, 0.05, collider.z);
+                outline.rotation.y = collider.rotation || 0;
+                outline.scale.set(collider.halfWidth, 1, collider.halfDepth);
+            } else if (collider.type === 'bounds') {
+                outline = createGroundSquare(COLLIDER_COLOR);
+                outline.position.set(collider.x, 0.05, collider.z);
+                outline.scale.set(collider.halfWidth, 1, collider.halfDepth);
+            }
+
+            if (outline) {
+                colliderGroup.add(outline);
+            }
+        });
+    }
+
+    // Move the capsules to the characters, rebuilding the ones whose size changed
+    function updateBodies() {
+        const bodies = options.colliders ? getBodies() : [];
+
+        bodies.forEach((body, index) => {
+            let capsule = capsules[index];
+
+            if (!capsule || capsule.userData.size !== `${body.radius}:${body.height}`) {
+                disposeHelper(capsule);
+                capsule = createCapsule(body.radius, body.height);
+                scene.add(capsule);
+                capsules[index] = capsule;
+            }
+
+            capsule.visible = true;
+            capsule.position.set(body.position.x, body.position.y + body.height / 2, body.position.z);
+        });
+
+        capsules.slice(bodies.length).forEach((capsule) => {
+            capsule.visible = false;
+        });
+    }
+
+    // Outline the hit areas of the attacking characters, red while the hit window is active
+    function updateHitAreas() {
+        const areas = options.hitAreas ? getHitAreas() : [];
+
+        areas.forEach((area, index) => {
+            let outline = hitAreaOutlines[index];
+            if (!outline) {
+                outline = new THREE.LineLoop(
+                    new THREE.BufferGeometry(),
+                    new THREE.LineBasicMaterial({ depthTest: false, transparent: true })
+                );
+                outline.renderOrder = 999;
+                scene.add(outline);
+                hitAreaOutlines[index] = outline;
+            }
+
+            // Only rebuild the outline when the shape changed
+            const key = `${area.shape}:${area.reach}:${area.coneAngle}:${area.sphereRadius}`;
+            if (outline.userData.key !== key) {
+                outline.geometry.dispose();
+                outline.geometry = new THREE.BufferGeometry().setFromPoints(getHitAreaPoints(area));
+                outline.userData.key = key;
+            }
+
+            outline.visible = true;
+            outline.material.color.setHex(area.active ? HIT_AREA_ACTIVE_COLOR : HIT_AREA_COLOR);
+            outline.position.set(area.position.x, area.position.y + 0.1, area.position.z);
+            outline.rotation.y = area.rotationY;
+        });
+
+        hitAreaOutlines.slice(areas.length).forEach((outline) => {
+            outline.visible = false;
+        });
+    }
+
+    // Move the range circles to the NPCs, adding circles when there are more NPCs
+    function updateEnemyRanges() {
+        const ranges = options.enemyRanges ? getEnemyRanges() : [];
+
+        while (rangeCircles.length < ranges.length) {
+            const circles = {
+                attack: createGroundCircle(ATTACK_RANGE_COLOR),
+                sight: createGroundCircle(SIGHT_RANGE_COLOR)
+            };
+            scene.add(circles.attack, circles.sight);
+            rangeCircles.push(circles);
+        }
+
+        rangeCircles.forEach((circles, index) => {
+            const range = ranges[index];
+            circles.attack.visible = !!range;
+            circles.sight.visible = !!range;
+            if (!range) return;
+
+            circles.attack.position.set(range.position.x, 0.05, range.position.z);
+            circles.attack.scale.setScalar(range.attackRange);
+            circles.sight.position.set(range.position.x, 0.05, range.position.z);
+            circles.sight.scale.setScalar(range.sightRange);
+        });
+    }
+
+    // Sync the overlays with the current characters (called every frame)
+    function update() {
+        const characters = getCharacters();
+
+        characterHelpers.forEach((helpers, model) => {
+            if (!characters.includes(model)) {
+                removeCharacterHelpers(helpers);
+                characterHelpers.delete(model);
+            }
+        });
+
+        characters.forEach((model) => {
+            if (!characterHelpers.has(model)) {
+                characterHelpers.set(model, { skeleton: null, box: null, normals: [], wireframe: false });
+            }
+            syncCharacterHelpers(model, characterHelpers.get(model));
+        });
+
+        updateColliders();
+        updateBodies();
+        updateEnemyRanges();
+        updateHitAreas();
+    }
+
+    return { update };
+}
@@ -0,0 +1,389 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js';
+import { Sky } from 'three/examples/jsm/objects/Sky.js';
+import { createToolPanel, escapeHTML } from './panels.js';
+
+// Lighting presets: background, environment map and the intensity/color of the scene lights
+const LIGHTING_PRESETS = {
+    default: {
+        label: 'Default',
+        background: 0x87ceeb,
+        environment: null,
+        ambient: { color: 0xffffff, intensity: 1.2 },
+        directional: { color: 0xffffff, intensity: 1.2, position: [5, 10, 7] },
+        hemisphere: { sky: 0xffffbb, ground: 0x080820, intensity: 0.5 }
+    },
+    studio: {
+        label: 'Studio',
+        background: 0x3a3a3a,
+        environment: 'room',
+        ambient: { color: 0xffffff, intensity: 0 },
+        directional: { color: 0xffffff, intensity: 1.0, position: [5, 10, 7] },
+        hemisphere: { sky: 0xffffff, ground: 0x444444, intensity: 0 }
+    },
+    outdoor: {
+        label: 'Outdoor',
+        background: 'environment',
+        environment: 'sky',
+        ambient: { color: 0xffffff, intensity: 0 },
+        directional: { color: 0xfff1dd, intensity: 3.0, position: [10, 12, 6] },
+        hemisphere: { sky: 0xbfd9ff, ground: 0x3c5e35, intensity: 0.6 }
+    },
+    night: {
+        label: 'Night',
+        background: 0x0b1026,
+        environment: null,
+        ambient: { color: 0x223355, intensity: 0.3 },
+        directional: { color: 0x9db4ff, intensity: 0.6, position: [-6, 12, -4] },
+        hemisphere: { sky: 0x1a2a55, ground: 0x05050a, intensity: 0.3 }
+    },
+    hdri: {
+        label: 'HDRI (custom file)',
+        background: 'environment',
+        environment: 'hdri',
+        ambient: { color: 0xffffff, intensity: 0 },
+        directional: { color: 0xffffff, intensity: 1.0, position: [5, 10, 7] },
+        hemisphere: { sky: 0xffffff, ground: 0x444444, intensity: 0 }
+    }
+};
+
+// Tone mapping options offered in the panel
+const TONE_MAPPINGS = {
+    none: { label: 'None', value: THREE.NoToneMapping },
+    linear: { label: 'Linear', value: THREE.LinearToneMapping },
+    reinhard: { label: 'Reinhard', value: THREE.ReinhardToneMapping },
+    cineon: { label: 'Cineon', value: THREE.CineonToneMapping },
+    aces: { label: 'ACES Filmic', value: THREE.ACESFilmicToneMapping },
+    agx: { label: 'AgX', value: THREE.AgXToneMapping },
+    neutral: { label: 'Neutral', value: THREE.NeutralToneMapping }
+};
+
+// Shadow quality options: shadow map size and filtering
+const SHADOW_QUALITIES = {
+    off: { label: 'Off', enabled: false },
+    low: { label: 'Low', enabled: true, mapSize: 1024, type: THREE.PCFShadowMap },
+    medium: { label: 'Medium', enabled: true, mapSize: 2048, type: THREE.PCFShadowMap },
+    high: { label: 'High', enabled: true, mapSize: 4096, type: THREE.PCFSoftShadowMap }
+};
+
+// Check if a key names one of the options of a table (not an inherited property such as "toString")
+function isOption(options, key) {
+    return Object.prototype.hasOwnProperty.call(options, key);
+}
+
+// Check if a file name is an HDR environment image
+export function isEnvironmentFile(fileName) {
+    const lowerName = fileName.toLowerCase();
+    return lowerName.endsWith('.hdr') || lowerName.endsWith('.exr');
+}
+
+// Create the lighting presets, HDRI environments, tone mapping and shadow controls
+// for the scene lights { ambient, directional, hemisphere }
+export function createEnvironmentLighting({ scene, renderer, lights }) {
+    const pmremGenerator = new THREE.PMREMGenerator(renderer);
+
+    // Environment maps are created on first use and kept for later preset switches
+    const environments = { room: null, sky: null, hdri: null };
+    let hdriBackground = null;
+    let hdriName = null;
+    let currentPreset = 'default';
+    let showBackground = true;
+
+    // Render the procedural sky into an environment map, lit from the directional light
+    function createSkyEnvironment() {
+        const sky = new Sky();
+        sky.scale.setScalar(10);
+
+        const uniforms = sky.material.uniforms;
+        uniforms.turbidity.value = 6;
+        uniforms.rayleigh.value = 1.5;
+        uniforms.mieCoefficient.value = 0.005;
+        uniforms.mieDirectionalG.value = 0.8;
+        uniforms.sunPosition.value.fromArray(LIGHTING_PRESETS.outdoor.directional.position).normalize();
+
+        const skyScene = new THREE.Scene();
+        skyScene.add(sky);
+
+        const target = pmremGenerator.fromScene(skyScene);
+        sky.geometry.dispose();
+        sky.material.dispose();
+        return target.texture;
+    }
+
+    // Get (creating it if needed) the environment map of a preset
+    function getEnvironment(name) {
+        if (!name) return null;
+
+        if (!environments[name]) {
+            if (name === 'room') {
+                const room = new RoomEnvironment();
+                environments.room = pmremGenerator.fromScene(room, 0.04).texture;
+                room.dispose();
+            } else if (name === 'sky') {
+                environments.sky = createSkyEnvironment();
+            }
+        }
+
+        return environments[name];
+    }
+
+    // Apply a lighting preset to the scene
+    function applyPreset(presetName) {
+        const preset = LIGHTING_PRESETS[presetName];
+        if (!preset) return;
+
+        // The HDRI preset needs a loaded file
+        if (presetName === 'hdri' && !environments.hdri) {
+            presetSelect.value = currentPreset;
+            return;
+        }
+
+        currentPreset = presetName;
+
+        lights.ambient.color.setHex(preset.ambient.color);
+        lights.ambient.intensity = preset.ambient.intensity;
+
+        lights.directional.color.setHex(preset.directional.color);
+        lights.directional.intensity = preset.directional.intensity;
+        lights.directional.position.fromArray(preset.directional.position);
+
+        lights.hemisphere.color.setHex(preset.hemisphere.sky);
+        lights.hemisphere.groundColor.setHex(preset.hemisphere.ground);
+        lights.hemisphere.intensity = preset.hemisphere.intensity;
+
+        scene.environment = getEnvironment(preset.environment);
+        updateBackground();
+        updatePanel();
+    }
+
+    // Show the environment as background, or the preset color
+    function updateBackground() {
+        const preset = LIGHTING_PRESETS[currentPreset];
+
+        if (scene.environment && showBackground && preset.environment) {
+            // A sharp equirectangular image looks better than the filtered environment map
+            scene.background = preset.environment === 'hdri' && hdriBackground ? hdriBackground : scene.environment;
+        } else {
+            scene.background = new THREE.Color(typeof preset.background === 'number' ? preset.background : LIGHTING_PRESETS.default.background);
+        }
+    }
+
+    // Load a local .hdr or .exr file as the HDRI environment
+    function loadEnvironmentFile(file) {
+        const url = URL.createObjectURL(file);
+        const loader = file.name.toLowerCase().endsWith('.exr') ? new EXRLoader() : new RGBELoader();
+
+        loader.load(url, (texture) => {
+            URL.revokeObjectURL(url);
+
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+
+            if (environments.hdri) environments.hdri.dispose();
+            if (hdriBackground) hdriBackground.dispose();
+
+            environments.hdri = pmremGenerator.fromEquirectangular(texture).texture;
+            hdriBackground = texture;
+            hdriName = file.name;
+
+            applyPreset('hdri');
+        }, undefined, (error) => {
+            URL.revokeObjectURL(url);
+            console.error('Error loading environment file:', error);
+            alert(`Error loading environment "${file.name}". Please try a different file.`);
+        });
+    }
+
+    // Set the tone mapping operator
+    function setToneMapping(key) {
+        renderer.toneMapping = TONE_MAPPINGS[key].value;
+    }
+
+    // Set the shadow map quality of the renderer and the directional light
+    function setShadowQuality(key) {
+        const quality = SHADOW_QUALITIES[key];
+
+        renderer.shadowMap.enabled = quality.enabled;
+        lights.directional.castShadow = quality.enabled;
+
+        if (quality.enabled) {
+            renderer.shadowMap.type = quality.type;
+            lights.directional.shadow.mapSize.set(quality.mapSize, quality.mapSize);
+
+            // The shadow map is recreated with the new size on the next render
+            if (lights.directional.shadow.map) {
+                lights.directional.shadow.map.dispose();
+                lights.directional.shadow.map = null;
+            }
+        }
+
+        // Materials must be recompiled when shadows are switched on or off or change type
+        scene.traverse((node) => {
+            if (!node.material) return;
+            const materials = Array.isArray(node.material) ? node.material : [node.material];
+            materials.forEach((material) => {
+                material.needsUpdate = true;
+            });
+        });
+    }
+
+    // Panel with the lighting controls
+    const { content } = createToolPanel('Lighting', { open: false });
+
+    content.innerHTML = `
+        <label class="panel-field">
+            Preset
+            <select class="lighting-preset">
+                ${Object.keys(LIGHTING_PRESETS).map(name =>
+                    `<option value="${name}">${LIGHTING_PRESETS[name].label}</option>`
+                ).join('')}
+            </select>
+        </label>
+        <div class="lighting-hdri-drop">
+            <span class="lighting-hdri-name">Drop a .hdr or .exr file here</span>
+            <input type="file" id="hdri-input" accept=".hdr,.exr">
+            <label for="hdri-input" class="panel-button">Load HDRI</label>
+        </div>
+        <label class="panel-field">
+            Environment as background
+            <input type="checkbox" class="lighting-background" checked>
+        </label>
+        <label class="panel-field">
+            Environment intensity
+            <input type="range" class="lighting-env-intensity" min="0" max="3" step="0.05" value="1">
+        </label>
+        <label class="panel-field">
+            Tone mapping
+            <select class="lighting-tone-mapping">
+                ${Object.keys(TONE_MAPPINGS).map(key =>
+                    `<option value="${key}">${TONE_MAPPINGS[key].label}</option>`
+                ).join('')}
+            </select>
+        </label>
+        <label class="panel-field">
+            Exposure <span class="lighting-exposure-value">1.00</span>
+            <input type="range" class="lighting-exposure" min="0" max="3" step="0.05" value="1">
+        </label>
+        <label class="panel-field">
+            Shadow quality
+            <select class="lighting-shadows">
+                ${Object.keys(SHADOW_QUALITIES).map(key =>
+                    `<option value="${key}">${SHADOW_QUALITIES[key].label}</option>`
+                ).join('')}
+            </select>
+        </label>
+    `;
+
+    const presetSelect = content.querySelector('.lighting-preset');
+    const hdriDrop = content.querySelector('.lighting-hdri-drop');
+    const hdriLabel = content.querySelector('.lighting-hdri-name');
+    const hdriInput = content.querySelector('#hdri-input');
+    const backgroundInput = content.querySelector('.lighting-background');
+    const envIntensityInput = content.querySelector('.lighting-env-intensity');
+    const toneMappingSelect = content.querySelector('.lighting-tone-mapping');
+    const exposureInput = content.querySelector('.lighting-exposure');
+    const exposureLabel = content.querySelector('.lighting-exposure-value');
+    const shadowSelect = content.querySelector('.lighting-shadows');
+
+    presetSelect.addEventListener('change', () => applyPreset(presetSelect.value));
+
+    hdriInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            loadEnvironmentFile(file);
+        }
+        e.target.value = '';
+    });
+
+    ['dragenter', 'dragover'].forEach(eventName => {
+        hdriDrop.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            hdriDrop.classList.add('highlight');
+        });
+    });
+
+    ['dragleave', 'drop'].forEach(eventName => {
+        hdriDrop.addEventListener(eventName, (e) => {
+            e.preventDefault();
+            hdriDrop.classList.remove('highlight');
+        });
+    });
+
+    hdriDrop.addEventListener('drop', (e) => {
+        const file = Array.from(e.dataTransfer.files).find(file => isEnvironmentFile(file.name));
+        if (file) {
+            loadEnvironmentFile(file);
+        } else {
+            alert('Please drop a .hdr or .exr file');
+        }
+    });
+
+    backgroundInput.addEventListener('change', () => {
+        showBackground = backgroundInput.checked;
+        updateBackground();
+    });
+
+    envIntensityInput.addEventListener('input', () => {
+        scene.environmentIntensity = parseFloat(envIntensityInput.value);
+    });
+
+    toneMappingSelect.addEventListener('change', () => setToneMapping(toneMappingSelect.value));
+
+    exposureInput.addEventListener('input', () => {
+        renderer.toneMappingExposure = parseFloat(exposureInput.value);
+        exposureLabel.textContent = renderer.toneMappingExposure.toFixed(2);
+    });
+
+    shadowSelect.addEventListener('change', () => setShadowQuality(shadowSelect.value));
+
+    // Show the current preset and HDRI file in the panel
+    function updatePanel() {
+        presetSelect.value = currentPreset;
+        hdriLabel.innerHTML = hdriName ? `HDRI: ${escapeHTML(hdriName)}` : 'Drop a .hdr or .exr file here';
+    }
+
+    // Apply lighting settings, for example those of a level: { preset, background,
+    // environmentIntensity, toneMapping, exposure, shadows }. Missing or unknown values are skipped
+    function applySettings(settings) {
+        if (isOption(TONE_MAPPINGS, settings.toneMapping)) {
+            toneMappingSelect.value = settings.toneMapping;
+            setToneMapping(settings.toneMapping);
+        }
+
+        if (typeof settings.exposure === 'number') {
+            exposureInput.value = settings.exposure;
+            renderer.toneMappingExposure = settings.exposure;
+            exposureLabel.textContent = settings.exposure.toFixed(2);
+        }
+
+        if (typeof settings.environmentIntensity === 'number') {
+            envIntensityInput.value = settings.environmentIntensity;
+            scene.environmentIntensity = settings.environmentIntensity;
+        }
+
+        if (isOption(SHADOW_QUALITIES, settings.shadows) && settings.shadows !== shadowSelect.value) {
+            shadowSelect.value = settings.shadows;
+            setShadowQuality(settings.shadows);
+        }
+
+        if (typeof settings.background === 'boolean') {
+            showBackground = settings.background;
+            backgroundInput.checked = settings.background;
+        }
+
+        if (isOption(LIGHTING_PRESETS, settings.preset)) {
+            applyPreset(settings.preset);
+        } else {
+            updateBackground();
+        }
+    }
+
+    // Start from the renderer's current settings
+    toneMappingSelect.value = Object.keys(TONE_MAPPINGS).find(key => TONE_MAPPINGS[key].value === renderer.toneMapping) || 'none';
+    shadowSelect.value = renderer.shadowMap.enabled ? 'medium' : 'off';
+    setShadowQuality(shadowSelect.value);
+    applyPreset('default');
+
+    return { applyPreset, applySettings, loadEnvironmentFile };
+}
@@ -0,0 +1,314 @@
+import { loadStoredJSON, removeStored, saveStoredJSON } from './storage.js';
+import { createTouchControls } from './touchControls.js';
+
+// Player actions. Held actions are read every frame, press actions fire once when pressed
+export const INPUT_ACTIONS = [
+    { action: 'moveForward', label: 'Move forward' },
+    { action: 'moveBackward', label: 'Move backward' },
+    { action: 'turnLeft', label: 'Turn left' },
+    { action: 'turnRight', label: 'Turn right' },
+    { action: 'strafeLeft', label: 'Strafe left' },
+    { action: 'strafeRight', label: 'Strafe right' },
+    { action: 'run', label: 'Run' },
+    { action: 'crouch', label: 'Crouch' },
+    { action: 'jump', label: 'Jump', press: true },
+    { action: 'attack', label: 'Attack', press: true },
+    { action: 'emote', label: 'Emote', press: true }
+];
+
+// Built-in bindings of each action. Keys are KeyboardEvent codes: the position of the key, not
+// its letter, so W/A/S/D are Z/Q/S/D on AZERTY keyboards. Mouse0-2 are the mouse buttons
+// (on the 3D view) and Pad0-16 the buttons of a standard gamepad (Pad0 is A, Pad2 X, Pad7 RT)
+const DEFAULT_BINDINGS = {
+    moveForward: ['KeyW', 'ArrowUp', 'Pad12'],
+    moveBackward: ['KeyS', 'ArrowDown', 'Pad13'],
+    turnLeft: ['KeyA', 'ArrowLeft', 'Pad14'],
+    turnRight: ['KeyD', 'ArrowRight', 'Pad15'],
+    strafeLeft: ['KeyQ', 'Pad4'],
+    strafeRight: ['KeyE', 'Pad5'],
+    run: ['ShiftLeft', 'ShiftRight', 'Pad10', 'Pad6'],
+    crouch: ['KeyC', 'Pad1'],
+    jump: ['Space', 'Pad0'],
+    attack: ['KeyF', 'Mouse0', 'Pad2', 'Pad7'],
+    emote: ['KeyG', 'Pad3']
+};
+
+// Keyboard codes, mouse buttons or gamepad buttons
+const BINDING_PATTERN = /^(Mouse[0-2]|Pad([0-9]|1[0-6])|[A-Z][A-Za-z0-9]*)$/;
+
+// Names of the standard gamepad buttons and the mouse buttons
+const PAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D-pad up', 'D-pad down', 'D-pad left', 'D-pad right', 'Home'];
+const MOUSE_BUTTON_NAMES = ['Left click', 'Middle click', 'Right click'];
+
+// Names of the keys that don't print a character
+const KEY_NAMES = {
+    Space: 'Space',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+// Storage key of the edited bindings
+const BINDINGS_KEY = 'input-bindings';
+
+// Tunable input parameters: the part of the stick travel ignored around its center
+const inputSettings = {
+    deadzone: 0.2
+};
+
+// Letters printed on the keys of the user's keyboard layout (code -> letter), when the browser tells
+let keyboardLayout = null;
+
+// Check and convert the bindings of every action { action: [binding, ...] }, throwing an error
+// that names the invalid field. Actions without bindings keep their built-in ones
+export function parseInputBindings(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('input bindings must be an object of action lists');
+    }
+
+    const bindings = {};
+    INPUT_ACTIONS.forEach(({ action }) => {
+        const list = data[action] === undefined ? DEFAULT_BINDINGS[action] : data[action];
+        if (!Array.isArray(list) || list.some(binding => typeof binding !== 'string' || !BINDING_PATTERN.test(binding))) {
+            throw new Error(`${action} must be a list of key codes, Mouse0-2 or Pad0-16`);
+        }
+        bindings[action] = Array.from(new Set(list));
+    });
+    return bindings;
+}
+
+// Read the saved bindings, falling back to the built-in ones
+function loadInputBindings() {
+    const saved = loadStoredJSON(BINDINGS_KEY);
+    if (saved) {
+        try {
+            return parseInputBindings(saved);
+        } catch (e) {
+            console.warn('Ignoring the saved input bindings:', e);
+        }
+    }
+    return parseInputBindings(DEFAULT_BINDINGS);
+}
+
+// Bindings used by the input controller and the controls panel
+let inputBindings = loadInputBindings();
+
+// Get a copy of the bindings of every action
+export function getInputBindings() {
+    return JSON.parse(JSON.stringify(inputBindings));
+}
+
+// Replace the bindings of an action and save them, throwing an error when they are invalid
+export function setActionBindings(action, list) {
+    inputBindings = parseInputBindings(Object.assign({}, inputBindings, { [action]: list }));
+    saveStoredJSON(BINDINGS_KEY, inputBindings);
+}
+
+// Go back to the built-in bindings
+export function resetInputBindings() {
+    inputBindings = parseInputBindings(DEFAULT_BINDINGS);
+    removeStored(BINDINGS_KEY);
+}
+
+// Get an input parameter
+export function getInputSetting(key) {
+    return inputSettings[key];
+}
+
+// Set an input parameter, ignoring values outside of 0-1
+export function setInputSetting(key, value) {
+    if (key in inputSettings && value >= 0 && value < 1) {
+        inputSettings[key] = value;
+    }
+}
+
+// Read the letters of the user's keyboard layout so bindings show the letter printed on the key.
+// Resolves once they are known (browsers without the Keyboard API keep the QWERTY names)
+export function loadKeyboardLayout() {
+    if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return Promise.resolve();
+
+    return navigator.keyboard.getLayoutMap()
+        .then((layout) => {
+            keyboardLayout = layout;
+        })
+        .catch((error) => {
+            console.warn('Could not read the keyboard layout:', error);
+        });
+}
+
+// Get the name of a binding as shown to the user
+export function getBindingLabel(binding) {
+    if (binding.startsWith('Pad')) return `Pad ${PAD_BUTTON_NAMES[Number(binding.slice(3))]}`;
+    if (binding.startsWith('Mouse')) return MOUSE_BUTTON_NAMES[Number(binding.slice(5))];
+    if (KEY_NAMES[binding]) return KEY_NAMES[binding];
+    if (keyboardLayout && keyboardLayout.has(binding)) return keyboardLayout.get(binding).toUpperCase();
+    return binding.replace(/^(Key|Digit)/, '');
+}
+
+// Remove the part of a stick's travel inside the deadzone, keeping the rest between 0 and 1
+function applyDeadzone(x, y) {
+    const length = Math.hypot(x, y);
+    const deadzone = inputSettings.deadzone;
+    if (length <= deadzone) return { x: 0, y: 0 };
+
+    const scale = Math.min((length - deadzone) / (1 - deadzone), 1) / length;
+    return { x: x * scale, y: y * scale };
+}
+
+// Get the connected gamepads
+function getGamepads() {
+    return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+}
+
+// Keep an axis between -1 and 1
+function clampAxis(value) {
+    return Math.max(-1, Math.min(value, 1));
+}
+
+// Create the player input controller: the keyboard, mouse buttons pressed on element, the
+// gamepads (polled by update()) and the on-screen touch controls, read through the actions.
+// onPress(action) is called when a press action (jump, attack, emote) is pressed and
+// isPointerEnabled() tells if mouse buttons currently control the player
+export function createInputController({ element, onPress, isPointerEnabled }) {
+    // Keys and mouse buttons held down, and the gamepad buttons held at the last update
+    const pressed = new Set();
+    let padButtons = new Set();
+    let stick = { x: 0, y: 0 };
+    let turnStick = 0;
+
+    // Callback waiting for the next binding pressed, see captureBinding
+    let capture = null;
+
+    const touchControls = createTouchControls({ onPress });
+
+    // Call onPress for every press action bound to a binding, or give it to the waiting capture
+    function press(binding) {
+        if (capture) {
+            const callback = capture;
+            capture = null;
+            callback(binding);
+            return;
+        }
+
+        INPUT_ACTIONS
+            .filter(({ action, press }) => press && inputBindings[action].includes(binding))
+            .forEach(({ action }) => onPress(action));
+    }
+
+    window.addEventListener('keydown', (e) => {
+        if (capture) {
+            // Escape cancels the new binding instead of binding it
+            e.preventDefault();
+            if (e.code === 'Escape') {
+                const callback = capture;
+                capture = null;
+                callback(null);
+            } else {
+                press(e.code);
+            }
+            return;
+        }
+
+        // Typing in a panel field doesn't control the player
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
+
+        pressed.add(e.code);
+        if (!e.repeat) {
+            press(e.code);
+        }
+    });
+
+    window.addEventListener('keyup', (e) => {
+        pressed.delete(e.code);
+    });
+
+    // Keys released while the window isn't focused never send keyup
+    window.addEventListener('blur', () => {
+        pressed.clear();
+    });
+
+    // Only mouse buttons pressed on the 3D view count, so clicks on the panels and the upload
+    // box don't attack. Touches use the on-screen controls instead
+    element.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'mouse') return;
+
+        const binding = `Mouse${e.button}`;
+        if (!capture && !isPointerEnabled()) return;
+
+        pressed.add(binding);
+        press(binding);
+    });
+
+    window.addEventListener('pointerup', (e) => {
+        if (e.pointerType === 'mouse') {
+            pressed.delete(`Mouse${e.button}`);
+        }
+    });
+
+    // Poll the gamepads, call once per frame. The left stick moves and strafes, the right stick turns
+    function update() {
+        const pads = getGamepads();
+        const previous = padButtons;
+
+        padButtons = new Set();
+        pads.forEach(pad => pad.buttons.forEach((button, index) => {
+            if (button.pressed) padButtons.add(`Pad${index}`);
+        }));
+        padButtons.forEach((binding) => {
+            if (!previous.has(binding)) press(binding);
+        });
+
+        const pad = pads.find(pad => pad.axes.length >= 2);
+        stick = pad ? applyDeadzone(pad.axes[0], pad.axes[1]) : { x: 0, y: 0 };
+        turnStick = pad && pad.axes.length >= 4 ? applyDeadzone(pad.axes[2], 0).x : 0;
+    }
+
+    // Check if any binding of an action (or its touch button) is held
+    function isDown(action) {
+        const bindings = inputBindings[action];
+        return bindings.some(binding => pressed.has(binding) || padButtons.has(binding)) || touchControls.isDown(action);
+    }
+
+    // Get the movement input between -1 and 1: forward (backward when negative), strafe
+    // (right when positive) and turn (left when positive), adding up every device
+    function getMovement() {
+        const axis = (positive, negative) => (isDown(positive) ? 1 : 0) - (isDown(negative) ? 1 : 0);
+        const joystick = touchControls.getStick();
+
+        return {
+            forward: clampAxis(axis('moveForward', 'moveBackward') - stick.y - joystick.y),
+            strafe: clampAxis(axis('strafeRight', 'strafeLeft') + stick.x),
+            turn: clampAxis(axis('turnLeft', 'turnRight') - turnStick - joystick.x)
+        };
+    }
+
+    // Wait for the next key, mouse button (on the 3D view) or gamepad button instead of acting on it.
+    // callback(binding) receives it, or null when Escape cancels
+    function captureBinding(callback) {
+        capture = callback;
+    }
+
+    // Stop waiting for a binding
+    function cancelCapture() {
+        capture = null;
+    }
+
+    return {
+        update,
+        isDown,
+        getMovement,
+        captureBinding,
+        cancelCapture,
+        isCapturing: () => capture !== null,
+        getGamepadName: () => (getGamepads()[0] || { id: null }).id,
+        setTouchControlsVisible: touchControls.setVisible,
+        areTouchControlsVisible: touchControls.isVisible
+    };
+}
@@ -0,0 +1,118 @@
+import {
+    INPUT_ACTIONS,
+    getBindingLabel,
+    getInputBindings,
+    getInputSetting,
+    loadKeyboardLayout,
+    resetInputBindings,
+    setActionBindings,
+    setInputSetting
+} from './input.js';
+import { createToolPanel, escapeHTML } from './panels.js';
+
+// Create the panel to rebind the player actions to keys, mouse buttons and gamepad buttons,
+// with the gamepad status, the stick deadzone and the toggle of the on-screen touch controls.
+// input is the controller created by createInputController
+export function createInputPanel({ input }) {
+    const { content } = createToolPanel('Controls', { open: false });
+
+    content.innerHTML = `
+        <p class="panel-hint input-gamepad"></p>
+        <label class="panel-field">
+            Stick deadzone
+            <input type="number" class="input-deadzone" min="0" max="0.9" step="0.05" value="${getInputSetting('deadzone')}">
+        </label>
+        <label class="panel-field">
+            On-screen touch controls
+            <input type="checkbox" class="input-touch"${input.areTouchControlsVisible() ? ' checked' : ''}>
+        </label>
+        <div class="input-list"></div>
+        <p class="panel-hint">Keys are bound by their position, so W/A/S/D are Z/Q/S/D on AZERTY keyboards. Press + then a key, a mouse button on the 3D view or a gamepad button, Escape cancels. The left stick moves and strafes, the right stick turns.</p>
+        <button type="button" class="panel-button input-reset">Reset to defaults</button>
+    `;
+
+    const gamepadHint = content.querySelector('.input-gamepad');
+    const list = content.querySelector('.input-list');
+
+    // Action waiting for its new binding
+    let capturingAction = null;
+
+    // Show the bindings of every action
+    function render() {
+        const bindings = getInputBindings();
+
+        list.innerHTML = INPUT_ACTIONS.map(({ action, label }) => `
+            <div class="input-row" data-action="${action}">
+                <span class="input-label">${label}</span>
+                <span class="input-bindings">
+                    ${bindings[action].map(binding => `
+                        <span class="input-binding">
+                            ${escapeHTML(getBindingLabel(binding))}
+                            <button type="button" class="input-remove" data-binding="${escapeHTML(binding)}" title="Remove">×</button>
+                        </span>
+                    `).join('')}
+                    <button type="button" class="input-add" title="Add a binding">${action === capturingAction ? 'Press…' : '+'}</button>
+                </span>
+            </div>
+        `).join('');
+    }
+
+    // Show which gamepad is connected
+    function updateGamepad() {
+        const name = input.getGamepadName();
+        gamepadHint.textContent = name ? `Gamepad: ${name}` : 'No gamepad connected, press a button on it to connect it.';
+    }
+
+    list.addEventListener('click', (e) => {
+        const row = e.target.closest('.input-row');
+        if (!row) return;
+
+        const action = row.dataset.action;
+
+        if (e.target.closest('.input-remove')) {
+            const binding = e.target.closest('.input-remove').dataset.binding;
+            setActionBindings(action, getInputBindings()[action].filter(other => other !== binding));
+            render();
+        } else if (e.target.closest('.input-add')) {
+            capturingAction = action;
+            render();
+
+            input.captureBinding((binding) => {
+                capturingAction = null;
+                if (binding) {
+                    setActionBindings(action, getInputBindings()[action].concat(binding));
+                }
+                render();
+            });
+        }
+    });
+
+    content.querySelector('.input-deadzone').addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value)) {
+            setInputSetting('deadzone', Math.min(value, 0.9));
+        }
+        e.target.value = getInputSetting('deadzone');
+    });
+
+    content.querySelector('.input-touch').addEventListener('change', (e) => {
+        input.setTouchControlsVisible(e.target.checked);
+    });
+
+    content.querySelector('.input-reset').addEventListener('click', () => {
+        input.cancelCapture();
+        capturingAction = null;
+        resetInputBindings();
+        render();
+    });
+
+    // Gamepads only show up once a button is pressed
+    window.addEventListener('gamepadconnected', updateGamepad);
+    window.addEventListener('gamepaddisconnected', updateGamepad);
+
+    render();
+    updateGamepad();
+
+    // Show the letters of the user's keyboard layout once the browser tells them
+    loadKeyboardLayout().then(render);
+}
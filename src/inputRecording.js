@@ -0,0 +1,196 @@
+// Version of the recording files written by createInputSession
+const RECORDING_VERSION = 1;
+
+// Actions that can be pressed during a step (see INPUT_ACTIONS)
+const PRESS_ACTIONS = ['jump', 'attack', 'emote'];
+
+// Held inputs stored in the recordings: the movement axes and the held actions
+const AXES = ['forward', 'strafe', 'turn'];
+const HELD_ACTIONS = ['run', 'crouch'];
+
+// Create the input of one simulation step: the movement axes between -1 and 1 (see getMovement),
+// the held actions and the actions pressed on this step
+export function createStepInput() {
+    return { forward: 0, strafe: 0, turn: 0, run: false, crouch: false, presses: [] };
+}
+
+// Create a random number generator (0 <= value < 1) that gives the same numbers for the same seed,
+// so the random clip variants play again the same way in a replay (mulberry32)
+export function createSeededRandom(seed) {
+    let value = seed >>> 0;
+
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Check if the held inputs of two steps differ
+function hasHeldChange(input, previous) {
+    return AXES.some(axis => input[axis] !== previous[axis]) ||
+        HELD_ACTIONS.some(action => input[action] !== previous[action]);
+}
+
+// Check and convert a recording file, throwing an error that names the invalid field.
+// A recording is { version, step, steps, seed, model, level, events, result } where events
+// list the held input changes { step, forward, strafe, turn, run, crouch } and the presses
+// { step, press } in step order
+export function parseInputRecording(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('a recording must contain an object');
+    }
+    if (data.version !== RECORDING_VERSION) {
+        throw new Error(`version must be ${RECORDING_VERSION}`);
+    }
+    if (typeof data.step !== 'number' || !(data.step > 0)) {
+        throw new Error('step must be the simulation step in seconds');
+    }
+    if (!Number.isInteger(data.steps) || data.steps < 0) {
+        throw new Error('steps must be the number of recorded steps');
+    }
+    if (!Number.isInteger(data.seed)) {
+        throw new Error('seed must be an integer');
+    }
+    if (!Array.isArray(data.events)) {
+        throw new Error('events must be a list');
+    }
+
+    let lastStep = 0;
+    const events = data.events.map((event, index) => {
+        const field = `events[${index}]`;
+        if (!event || typeof event !== 'object') throw new Error(`${field} must be an object`);
+
+        if (!Number.isInteger(event.step) || event.step < lastStep || event.step >= Math.max(data.steps, 1)) {
+            throw new Error(`${field}.step must be a recorded step, in order`);
+        }
+        lastStep = event.step;
+
+        if ('press' in event) {
+            if (!PRESS_ACTIONS.includes(event.press)) {
+                throw new Error(`${field}.press must be one of ${PRESS_ACTIONS.join(', ')}`);
+            }
+            return { step: event.step, press: event.press };
+        }
+
+        const held = { step: event.step };
+        AXES.forEach((axis) => {
+            if (typeof event[axis] !== 'number' || Math.abs(event[axis]) > 1) {
+                throw new Error(`${field}.${axis} must be a number between -1 and 1`);
+            }
+            held[axis] = event[axis];
+        });
+        HELD_ACTIONS.forEach((action) => {
+            held[action] = Boolean(event[action]);
+        });
+        return held;
+    });
+
+    return {
+        version: RECORDING_VERSION,
+        step: data.step,
+        steps: data.steps,
+        seed: data.seed,
+        model: typeof data.model === 'string' ? data.model : null,
+        level: typeof data.level === 'string' ? data.level : null,
+        events,
+        result: data.result && typeof data.result === 'object' ? data.result : null
+    };
+}
+
+// Create the input session of the player: it passes the live input through, records it step by
+// step or replays a recording instead of it. next() is called once per simulation step
+export function createInputSession() {
+    let mode = 'idle';
+    let step = 0;
+    let recording = null;
+
+    // Recorded events and the held input of the last step while recording
+    let events = [];
+    let lastHeld = createStepInput();
+
+    // Replayed recording, the position in its events and its held input
+    let replay = null;
+    let eventIndex = 0;
+    let replayHeld = createStepInput();
+
+    // Start recording the steps, info { step, seed, model, level } is stored with them
+    function startRecording(info) {
+        mode = 'recording';
+        step = 0;
+        events = [];
+        lastHeld = createStepInput();
+        recording = Object.assign({ version: RECORDING_VERSION, steps: 0, events }, info, { result: null });
+    }
+
+    // Start replaying a recording (see parseInputRecording)
+    function startReplay(data) {
+        mode = 'replaying';
+        step = 0;
+        replay = data;
+        eventIndex = 0;
+        replayHeld = createStepInput();
+    }
+
+    // Stop recording or replaying. Returns the finished recording, with result (the state the
+    // recorded steps ended in) stored in it, or null when nothing was recorded
+    function stop(result = null) {
+        const finished = mode === 'recording' ? recording : null;
+        if (finished) {
+            finished.steps = step;
+            finished.result = result;
+        }
+
+        mode = 'idle';
+        replay = null;
+        return finished;
+    }
+
+    // Get the input of the next step: the live input (recorded while recording) or the replayed one
+    function next(liveInput) {
+        if (mode === 'replaying') {
+            const input = Object.assign({}, replayHeld, { presses: [] });
+
+            while (eventIndex < replay.events.length && replay.events[eventIndex].step === step) {
+                const event = replay.events[eventIndex++];
+                if (event.press) {
+                    input.presses.push(event.press);
+                } else {
+                    AXES.forEach((axis) => { input[axis] = event[axis]; });
+                    HELD_ACTIONS.forEach((action) => { input[action] = event[action]; });
+                    replayHeld = Object.assign({}, input, { presses: [] });
+                }
+            }
+
+            step++;
+            return input;
+        }
+
+        if (mode === 'recording') {
+            if (hasHeldChange(liveInput, lastHeld)) {
+                const event = { step };
+                AXES.forEach((axis) => { event[axis] = liveInput[axis]; });
+                HELD_ACTIONS.forEach((action) => { event[action] = liveInput[action]; });
+                events.push(event);
+                lastHeld = liveInput;
+            }
+            liveInput.presses.forEach(press => events.push({ step, press }));
+            step++;
+        }
+
+        return liveInput;
+    }
+
+    return {
+        startRecording,
+        startReplay,
+        stop,
+        next,
+        getMode: () => mode,
+        getStep: () => step,
+        // The replay played every recorded step
+        isReplayFinished: () => mode === 'replaying' && step >= replay.steps
+    };
+}
@@ -0,0 +1,548 @@
+import * as THREE from 'three';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { createObjectCollider } from './collision.js';
+import { isEnvironmentFile } from './environmentLighting.js';
+import { collectInputFiles, createModelFileSet, expandArchives, normalizePath } from './modelFiles.js';
+import { loadModelFile } from './modelLoaders.js';
+import { createToolPanel, downloadFile, escapeHTML } from './panels.js';
+
+// Built-in level: a meadow with a pine tree in the middle. Also offered as a template for level files
+export const DEFAULT_LEVEL = {
+    name: 'Default',
+    ground: { size: 50, color: '#3c5e35' },
+    props: [
+        { type: 'pineTree', position: [0, 0, 0] }
+    ],
+    colliders: [],
+    spawns: {
+        player: { position: [-8, 0, -8], rotation: 0 },
+        npcs: [
+            { name: 'North-East', position: [10, 0, 10] },
+            { name: 'North-West', position: [-10, 0, 10] },
+            { name: 'South-East', position: [10, 0, -10] },
+            { name: 'East', position: [18, 0, 0] },
+            { name: 'West', position: [-18, 0, 0] }
+        ]
+    },
+    lighting: { preset: 'default' }
+};
+
+// Prop types and the collider they get when the level doesn't set one
+const PROP_COLLIDERS = {
+    pineTree: 'circle',
+    box: 'box',
+    cylinder: 'circle',
+    model: 'auto'
+};
+
+// Collider shapes a prop can ask for ('auto' uses the collider meshes of a model, see getAutoColliders)
+const COLLIDER_SHAPES = ['box', 'circle', 'auto', 'none'];
+
+// Meshes lower than this are walked over instead of getting a collider
+const STEP_HEIGHT = 0.3;
+
+// Meshes covering more than this share of the level are floors or terrain, not obstacles
+const FLOOR_AREA_SHARE = 0.25;
+
+// Node names of environment models: collider meshes (for example "COL_wall" or "wall_collider"),
+// the player spawn point and NPC spawn points (for example "spawn_npc_gate")
+const COLLIDER_NODE_NAME = /^(col|ucx)[_-]|[_-]col(lider)?$/i;
+const PLAYER_SPAWN_NODE_NAME = /^spawn[_-]?player/i;
+const NPC_SPAWN_NODE_NAME = /^spawn[_-]?npc/i;
+
+// Add a simple pine tree, its trunk is the part characters collide with
+function createSimplePineTree() {
+    const tree = new THREE.Group();
+
+    // Tree trunk
+    const trunkGeometry = new THREE.CylinderGeometry(0.5, 0.7, 5, 8);
+    const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+    const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+    trunk.name = 'Trunk';
+    trunk.position.y = 2.5;
+    trunk.castShadow = true;
+    trunk.receiveShadow = true;
+    tree.add(trunk);
+
+    // Tree top (single cone)
+    const coneGeometry = new THREE.ConeGeometry(3, 7, 8);
+    const coneMaterial = new THREE.MeshStandardMaterial({ color: 0x2E8B57 });
+    const cone = new THREE.Mesh(coneGeometry, coneMaterial);
+    cone.position.y = 8.5;
+    cone.castShadow = true;
+    cone.receiveShadow = true;
+    tree.add(cone);
+
+    tree.userData.colliderNode = trunk;
+    return tree;
+}
+
+// Create a primitive prop standing on its position (box or cylinder)
+function createPrimitiveProp(prop) {
+    const geometry = prop.type === 'box' ?
+        new THREE.BoxGeometry(prop.size[0], prop.size[1], prop.size[2]) :
+        new THREE.CylinderGeometry(prop.radius, prop.radius, prop.height, 24);
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: prop.color }));
+    mesh.position.y = prop.type === 'box' ? prop.size[1] / 2 : prop.height / 2;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+
+    const group = new THREE.Group();
+    group.add(mesh);
+    return group;
+}
+
+// Read a list of numbers from a level file, or the fallback when the value is missing
+function readNumbers(value, length, fallback, field) {
+    if (value === undefined) return fallback;
+
+    if (!Array.isArray(value) || value.length !== length || !value.every(Number.isFinite)) {
+        throw new Error(`${field} must be a list of ${length} numbers`);
+    }
+    return value;
+}
+
+// Read a number from a level file, or the fallback when the value is missing
+function readNumber(value, fallback, field) {
+    if (value === undefined) return fallback;
+
+    if (!Number.isFinite(value)) {
+        throw new Error(`${field} must be a number`);
+    }
+    return value;
+}
+
+// Read a position from a level file
+function readPosition(value, field) {
+    return new THREE.Vector3().fromArray(readNumbers(value, 3, [0, 0, 0], field));
+}
+
+// Read a prop of a level file, see README for the format
+function readProp(prop, index) {
+    const field = `props[${index}]`;
+
+    if (!prop || !Object.prototype.hasOwnProperty.call(PROP_COLLIDERS, prop.type)) {
+        throw new Error(`${field}.type must be one of ${Object.keys(PROP_COLLIDERS).join(', ')}`);
+    }
+    if (prop.type === 'model' && typeof prop.model !== 'string') {
+        throw new Error(`${field}.model must be the path of an uploaded model file`);
+    }
+
+    const collider = prop.collider === undefined ? PROP_COLLIDERS[prop.type] : prop.collider;
+    if (!COLLIDER_SHAPES.includes(collider)) {
+        throw new Error(`${field}.collider must be one of ${COLLIDER_SHAPES.join(', ')}`);
+    }
+
+    const rotation = readNumbers(prop.rotation, 3, [0, 0, 0], `${field}.rotation`).map(THREE.MathUtils.degToRad);
+    const scale = typeof prop.scale === 'number' ?
+        [prop.scale, prop.scale, prop.scale] :
+        readNumbers(prop.scale, 3, [1, 1, 1], `${field}.scale`);
+
+    return {
+        type: prop.type,
+        model: prop.type === 'model' ? normalizePath(prop.model) : null,
+        position: readPosition(prop.position, `${field}.position`),
+        rotation: new THREE.Euler().fromArray(rotation),
+        scale: new THREE.Vector3().fromArray(scale),
+        size: readNumbers(prop.size, 3, [1, 1, 1], `${field}.size`),
+        radius: readNumber(prop.radius, 0.5, `${field}.radius`),
+        height: readNumber(prop.height, 1, `${field}.height`),
+        color: prop.color || '#888888',
+        collider
+    };
+}
+
+// Read a collider of a level file. Angles are in degrees in the file
+function readCollider(collider, index) {
+    const field = `colliders[${index}]`;
+    const top = collider && collider.top !== undefined ? readNumber(collider.top, 0, `${field}.top`) : undefined;
+
+    if (collider && collider.type === 'circle') {
+        return {
+            type: 'circle',
+            x: readNumber(collider.x, 0, `${field}.x`),
+            z: readNumber(collider.z, 0, `${field}.z`),
+            radius: readNumber(collider.radius, 0.5, `${field}.radius`),
+            top,
+            source: `colliders[${index}]`
+        };
+    }
+
+    if (collider && collider.type === 'box') {
+        return {
+            type: 'box',
+            x: readNumber(collider.x, 0, `${field}.x`),
+            z: readNumber(collider.z, 0, `${field}.z`),
+            halfWidth: readNumber(collider.halfWidth, 0.5, `${field}.halfWidth`),
+            halfDepth: readNumber(collider.halfDepth, 0.5, `${field}.halfDepth`),
+            rotation: THREE.MathUtils.degToRad(readNumber(collider.rotation, 0, `${field}.rotation`)),
+            top,
+            source: `colliders[${index}]`
+        };
+    }
+
+    throw new Error(`${field}.type must be circle or box`);
+}
+
+// Read the spawn points of a level file
+function readSpawns(spawns) {
+    if (!spawns) return { player: null, npcs: [] };
+
+    const player = spawns.player ? {
+        position: readPosition(spawns.player.position, 'spawns.player.position'),
+        rotationY: THREE.MathUtils.degToRad(readNumber(spawns.player.rotation, 0, 'spawns.player.rotation'))
+    } : null;
+
+    if (spawns.npcs !== undefined && !Array.isArray(spawns.npcs)) {
+        throw new Error('spawns.npcs must be a list');
+    }
+
+    const npcs = (spawns.npcs || []).map((spawn, index) => {
+        const field = `spawns.npcs[${index}]`;
+        if (!spawn || typeof spawn !== 'object') {
+            throw new Error(`${field} must be an object`);
+        }
+        if (spawn.waypoints !== undefined && !Array.isArray(spawn.waypoints)) {
+            throw new Error(`${field}.waypoints must be a list of positions`);
+        }
+
+        return {
+            name: spawn.name || `Spawn ${index + 1}`,
+            position: readPosition(spawn.position, `${field}.position`),
+            waypoints: spawn.waypoints ?
+                spawn.waypoints.map((point, pointIndex) => readPosition(point, `${field}.waypoints[${pointIndex}]`)) :
+                undefined
+        };
+    });
+
+    return { player, npcs };
+}
+
+// Check and convert the content of a level file, throwing an error that names the invalid field
+export function parseLevel(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('a level file must contain an object');
+    }
+
+    let ground = null;
+    if (data.ground) {
+        const size = typeof data.ground.size === 'number' ?
+            [data.ground.size, data.ground.size] :
+            readNumbers(data.ground.size, 2, [50, 50], 'ground.size');
+        ground = { width: size[0], depth: size[1], color: data.ground.color || '#3c5e35' };
+    }
+
+    if (data.props !== undefined && !Array.isArray(data.props)) throw new Error('props must be a list');
+    if (data.colliders !== undefined && !Array.isArray(data.colliders)) throw new Error('colliders must be a list');
+
+    return {
+        name: typeof data.name === 'string' ? data.name : 'Untitled level',
+        ground,
+        props: (data.props || []).map(readProp),
+        colliders: (data.colliders || []).map(readCollider),
+        spawns: readSpawns(data.spawns),
+        lighting: data.lighting && typeof data.lighting === 'object' ? data.lighting : null
+    };
+}
+
+// Get the colliders of an environment model: its collider meshes (hidden), or else every
+// mesh that rises above STEP_HEIGHT and isn't as large as a floor
+function getAutoColliders(object, levelArea) {
+    const colliderNodes = [];
+    object.traverse((node) => {
+        if (node.isMesh && COLLIDER_NODE_NAME.test(node.name)) {
+            colliderNodes.push(node);
+        }
+    });
+
+    if (colliderNodes.length > 0) {
+        colliderNodes.forEach((node) => {
+            node.visible = false;
+        });
+        return colliderNodes.map(node => createObjectCollider(node, 'box')).filter(Boolean);
+    }
+
+    const colliders = [];
+    object.traverse((node) => {
+        if (!node.isMesh) return;
+
+        const collider = createObjectCollider(node, 'box');
+        if (!collider) return;
+
+        const bottom = new THREE.Box3().setFromObject(node).min.y;
+        const area = collider.halfWidth * collider.halfDepth * 4;
+        if (collider.top - bottom < STEP_HEIGHT || area > levelArea * FLOOR_AREA_SHARE) return;
+
+        colliders.push(collider);
+    });
+    return colliders;
+}
+
+// Get the spawn points marked by named nodes of an environment model
+function getSpawnNodes(object) {
+    const spawns = { player: null, npcs: [] };
+
+    object.traverse((node) => {
+        const position = node.getWorldPosition(new THREE.Vector3());
+
+        if (PLAYER_SPAWN_NODE_NAME.test(node.name) && !spawns.player) {
+            const rotation = new THREE.Euler().setFromQuaternion(node.getWorldQuaternion(new THREE.Quaternion()), 'YXZ');
+            spawns.player = { position, rotationY: rotation.y };
+        } else if (NPC_SPAWN_NODE_NAME.test(node.name)) {
+            spawns.npcs.push({ name: node.name, position });
+        }
+    });
+
+    return spawns;
+}
+
+// Dispose of the geometries and materials of a level
+function disposeLevelObject(object) {
+    object.traverse((node) => {
+        if (node.geometry) node.geometry.dispose();
+
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.filter(Boolean).forEach(material => material.dispose());
+    });
+}
+
+// Create the level loader and its panel. Levels replace the ground, props, static colliders of
+// the collision world and (when the level sets them) the lighting, then onLevelLoaded(level) is
+// called with the loaded level so the application can place the characters at its spawns
+export function createLevelManager({ scene, collisionWorld, environmentLighting, createGLTFLoader, onLevelLoaded }) {
+    let levelObject = null;
+    let currentLevel = null;
+
+    // Build a parsed level into the scene. models maps the model paths used by the props to their
+    // loader results, files are the uploaded files (used for an HDRI named in the lighting)
+    function buildLevel(level, models = new Map(), files = new Map()) {
+        const group = new THREE.Group();
+        group.name = `Level: ${level.name}`;
+
+        if (level.ground) {
+            const ground = new THREE.Mesh(
+                new THREE.PlaneGeometry(level.ground.width, level.ground.depth),
+                new THREE.MeshStandardMaterial({ color: level.ground.color })
+            );
+            ground.name = 'Ground';
+            ground.rotation.x = -Math.PI / 2;
+            ground.receiveShadow = true;
+            group.add(ground);
+        }
+
+        const props = level.props.map((prop) => {
+            let object;
+
+            if (prop.type === 'pineTree') {
+                object = createSimplePineTree();
+            } else if (prop.type === 'model') {
+                object = SkeletonUtils.clone(models.get(prop.model).scene);
+                object.traverse((node) => {
+                    if (node.isMesh) {
+                        node.castShadow = true;
+                        node.receiveShadow = true;
+                    }
+                });
+            } else {
+                object = createPrimitiveProp(prop);
+            }
+
+            object.position.copy(prop.position);
+            object.rotation.copy(prop.rotation);
+            object.scale.multiply(prop.scale);
+            group.add(object);
+            return object;
+        });
+
+        group.updateMatrixWorld(true);
+
+        // Without a ground the level extends as far as its props
+        const levelBox = new THREE.Box3().setFromObject(group);
+        const bounds = level.ground ?
+            { type: 'bounds', x: 0, z: 0, halfWidth: level.ground.width / 2, halfDepth: level.ground.depth / 2 } :
+            {
+                type: 'bounds',
+                x: (levelBox.min.x + levelBox.max.x) / 2,
+                z: (levelBox.min.z + levelBox.max.z) / 2,
+                halfWidth: (levelBox.max.x - levelBox.min.x) / 2,
+                halfDepth: (levelBox.max.z - levelBox.min.z) / 2
+            };
+        const levelArea = bounds.halfWidth * bounds.halfDepth * 4;
+
+        const colliders = [];
+        const spawns = { player: level.spawns.player, npcs: level.spawns.npcs.slice() };
+
+        level.props.forEach((prop, index) => {
+            const object = props[index];
+
+            if (prop.collider === 'auto') {
+                colliders.push(...getAutoColliders(object, levelArea));
+            } else if (prop.collider === 'box' && prop.type === 'box') {
+                // Keep the box turned with the prop
+                colliders.push({
+                    type: 'box',
+                    x: prop.position.x,
+                    z: prop.position.z,
+                    halfWidth: prop.size[0] * prop.scale.x / 2,
+                    halfDepth: prop.size[2] * prop.scale.z / 2,
+                    rotation: prop.rotation.y,
+                    top: prop.position.y + prop.size[1] * prop.scale.y,
+                    source: prop.type
+                });
+            } else if (prop.collider !== 'none') {
+                const collider = createObjectCollider(object.userData.colliderNode || object, prop.collider);
+                if (collider) {
+                    collider.source = prop.type;
+                    colliders.push(collider);
+                }
+            }
+
+            // Models can mark spawn points with named nodes, used when the level doesn't list its own
+            if (prop.type === 'model') {
+                const nodeSpawns = getSpawnNodes(object);
+                spawns.player = spawns.player || nodeSpawns.player;
+                if (level.spawns.npcs.length === 0) {
+                    spawns.npcs.push(...nodeSpawns.npcs);
+                }
+            }
+        });
+
+        colliders.push(...level.colliders);
+
+        // Replace the previous level
+        if (levelObject) {
+            scene.remove(levelObject);
+            disposeLevelObject(levelObject);
+        }
+        levelObject = group;
+        scene.add(group);
+
+        collisionWorld.clearColliders();
+        collisionWorld.addCollider(bounds);
+        colliders.forEach(collisionWorld.addCollider);
+
+        if (level.lighting) {
+            environmentLighting.applySettings(level.lighting);
+
+            const hdriPath = typeof level.lighting.hdri === 'string' ? normalizePath(level.lighting.hdri) : null;
+            if (hdriPath && files.has(hdriPath) && isEnvironmentFile(hdriPath)) {
+                environmentLighting.loadEnvironmentFile(files.get(hdriPath));
+            }
+        }
+
+        // Levels without spawn points use the middle of the level
+        const center = new THREE.Vector3(bounds.x, 0, bounds.z);
+        currentLevel = {
+            name: level.name,
+            bounds,
+            propCount: props.length,
+            colliderCount: colliders.length,
+            spawns: {
+                player: spawns.player || { position: center.clone(), rotationY: 0 },
+                npcs: spawns.npcs.length > 0 ? spawns.npcs : [{ name: 'Center', position: center.clone() }]
+            }
+        };
+
+        updatePanel();
+        onLevelLoaded(currentLevel);
+        return currentLevel;
+    }
+
+    // Load the models used by the props of a level from the uploaded files
+    function loadPropModels(level, fileSet) {
+        const paths = Array.from(new Set(level.props.filter(prop => prop.model).map(prop => prop.model)));
+
+        return Promise.all(paths.map(path => new Promise((resolve, reject) => {
+            loadModelFile(fileSet, path, createGLTFLoader,
+                result => resolve([path, result]),
+                undefined,
+                () => reject(new Error(`could not load the prop model "${path}"`)));
+        }))).then(entries => new Map(entries));
+    }
+
+    // Load the built-in level
+    function loadDefaultLevel() {
+        return buildLevel(parseLevel(DEFAULT_LEVEL));
+    }
+
+    // Load a level from uploaded files { path, file }: a .json level file with the models and
+    // HDRI it uses, or a model used as the whole environment
+    function loadLevelFiles(entries) {
+        const levelEntry = entries.find(entry => entry.path.toLowerCase().endsWith('.json'));
+        const fileSet = createModelFileSet(entries);
+
+        let levelPromise;
+        if (levelEntry) {
+            levelPromise = levelEntry.file.text().then(text => parseLevel(JSON.parse(text)));
+        } else if (fileSet.rootPath) {
+            levelPromise = Promise.resolve(parseLevel({
+                name: fileSet.rootName,
+                props: [{ type: 'model', model: fileSet.rootPath }]
+            }));
+        } else {
+            fileSet.dispose();
+            return Promise.reject(new Error('no .json level file or environment model was uploaded'));
+        }
+
+        return levelPromise
+            .then(level => loadPropModels(level, fileSet).then(models => buildLevel(level, models, fileSet.files)))
+            .finally(() => fileSet.dispose());
+    }
+
+    // Panel with the current level, level file loading and the template download
+    const { content } = createToolPanel('Level', { open: false });
+
+    content.innerHTML = `
+        <div class="level-summary"></div>
+        <input type="file" id="level-input" accept=".json,.glb,.gltf,.fbx,.obj,.mtl,.dae,.bin,.png,.jpg,.jpeg,.webp,.ktx2,.zip,.hdr,.exr" multiple>
+        <label for="level-input" class="panel-button">Load level or environment</label>
+        <button type="button" class="panel-button level-default">Load default level</button>
+        <button type="button" class="panel-button level-template">Download level template</button>
+        <p class="panel-hint">Select a .json level file together with the models and HDRI it uses, or a single model to use as the environment.</p>
+    `;
+
+    const summary = content.querySelector('.level-summary');
+
+    content.querySelector('#level-input').addEventListener('change', (e) => {
+        loadUploadedLevel(Promise.resolve(collectInputFiles(e.target.files)));
+        e.target.value = '';
+    });
+
+    content.querySelector('.level-default').addEventListener('click', loadDefaultLevel);
+
+    content.querySelector('.level-template').addEventListener('click', () => {
+        downloadFile(JSON.stringify(DEFAULT_LEVEL, null, 2), 'level.json', 'application/json');
+    });
+
+    // Load uploaded level files, reporting errors to the user
+    function loadUploadedLevel(entriesPromise) {
+        return entriesPromise
+            .then(entries => expandArchives(entries))
+            .then(entries => loadLevelFiles(entries))
+            .catch((error) => {
+                console.error('Error loading level:', error);
+                alert(`Error loading level: ${error.message}`);
+            });
+    }
+
+    // Show the current level in the panel
+    function updatePanel() {
+        if (!currentLevel) return;
+
+        const { bounds } = currentLevel;
+        summary.innerHTML = `
+            <div class="level-name">${escapeHTML(currentLevel.name)}</div>
+            <div class="panel-hint">
+                ${(bounds.halfWidth * 2).toFixed(1)} × ${(bounds.halfDepth * 2).toFixed(1)} m ·
+                ${currentLevel.propCount} props · ${currentLevel.colliderCount} colliders ·
+                ${currentLevel.spawns.npcs.length} NPC spawns
+            </div>
+        `;
+    }
+
+    return {
+        loadDefaultLevel,
+        loadUploadedLevel,
+        getLevel: () => currentLevel
+    };
+}
@@ -0,0 +1,335 @@
+import * as THREE from 'three';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { findRootMotionBone } from './rootMotion.js';
+
+// Virtual slot played while the speed blend drives the IDLE, WALK and RUN slots together
+export const BLEND_SLOT = 'LOCOMOTION';
+
+// Slots mixed by the speed blend, slowest first
+export const BLEND_SLOTS = ['IDLE', 'WALK', 'RUN'];
+
+// Tunable locomotion parameters (speeds in meters per second, accelerations in meters per second²)
+const locomotionSettings = {
+    speedBlend: true,
+    matchPlaybackSpeed: true,
+    acceleration: 20,
+    deceleration: 25,
+    minPlaybackRate: 0.5,
+    maxPlaybackRate: 2
+};
+
+// Samples per second taken when measuring the feet of a clip
+const SAMPLE_RATE = 30;
+
+// Part of the hips' height above the feet within which a foot touches the ground
+const FOOT_CONTACT_BAND = 0.1;
+
+// Time (in seconds) over which the foot slide is averaged
+const FOOT_SLIDE_WINDOW = 0.5;
+
+// Get a locomotion parameter
+export function getLocomotionSetting(key) {
+    return locomotionSettings[key];
+}
+
+// Set a locomotion parameter, ignoring negative numbers
+export function setLocomotionSetting(key, value) {
+    if (!(key in locomotionSettings)) return;
+
+    if (typeof locomotionSettings[key] === 'boolean') {
+        locomotionSettings[key] = Boolean(value);
+    } else if (value >= 0) {
+        locomotionSettings[key] = value;
+    }
+}
+
+// Ramp a horizontal velocity towards a target velocity, accelerating when speeding up
+// and decelerating when slowing down. Returns the new speed
+export function rampVelocity(velocity, target, deltaTime) {
+    const speed = Math.hypot(velocity.x, velocity.z);
+    const targetSpeed = Math.hypot(target.x, target.z);
+    const rate = targetSpeed >= speed ? locomotionSettings.acceleration : locomotionSettings.deceleration;
+
+    const change = new THREE.Vector2(target.x - velocity.x, target.z - velocity.z);
+    const length = change.length();
+    const maxChange = rate * deltaTime;
+    if (length > maxChange) {
+        change.multiplyScalar(maxChange / length);
+    }
+
+    velocity.x += change.x;
+    velocity.z += change.y;
+    return Math.hypot(velocity.x, velocity.z);
+}
+
+// Get the side of a bone from its name ('L', 'R' or null)
+function getBoneSide(name) {
+    if (/left/i.test(name) || /(^|[^a-z])l$|[a-z]L$/.test(name)) return 'L';
+    if (/right/i.test(name) || /(^|[^a-z])r$|[a-z]R$/.test(name)) return 'R';
+    return null;
+}
+
+// Find the left and right foot bones of a model scene (falling back to ankles, then toes),
+// or an empty list when it doesn't have two
+export function findFootBones(scene) {
+    const bones = [];
+    scene.traverse((node) => {
+        if (node.isBone && !/pole|hint/i.test(node.name)) bones.push(node.name);
+    });
+
+    for (const pattern of [/foot/i, /ankle/i, /toe/i]) {
+        const matches = bones.filter(name => pattern.test(name));
+        const left = matches.find(name => getBoneSide(name) === 'L');
+        const right = matches.find(name => getBoneSide(name) === 'R');
+
+        if (left && right) return [left, right];
+        if (matches.length >= 2) return matches.slice(0, 2);
+    }
+    return [];
+}
+
+// Estimate the speed each clip was authored for from its feet: a foot on the ground moves
+// backward relative to the hips at the speed the character walks, whether the clip plays in
+// place or moves the root. A foot touches the ground while it is lower than the other one and
+// within FOOT_CONTACT_BAND of the hips' height above the rest pose feet. Returns
+// { speeds, contactHeight }: a Map of clip name -> speed in scene units per second (without the
+// clips where the feet don't touch the ground long enough) and the height below which a foot
+// touches the ground, in the scene's space (null without foot bones)
+export function estimateClipSpeeds(scene, clips) {
+    const speeds = new Map();
+    const footNames = findFootBones(scene);
+    if (footNames.length < 2) return { speeds, contactHeight: null };
+
+    // Play the clips on a copy so the model itself isn't posed
+    const rig = SkeletonUtils.clone(scene);
+    const feet = footNames.map(name => rig.getObjectByName(name));
+    const referenceName = findRootMotionBone(scene, clips);
+    const reference = (referenceName && rig.getObjectByName(referenceName)) || rig;
+    const mixer = new THREE.AnimationMixer(rig);
+
+    const footPosition = new THREE.Vector3();
+    const referencePosition = new THREE.Vector3();
+
+    // Measure the ground contact height on the rest pose
+    rig.updateMatrixWorld(true);
+    const restFootHeight = Math.min(...feet.map(foot => foot.getWorldPosition(footPosition).y));
+    const hipHeight = reference.getWorldPosition(referencePosition).y - restFootHeight;
+    const contactHeight = restFootHeight + Math.abs(hipHeight) * FOOT_CONTACT_BAND;
+
+    clips.forEach((clip) => {
+        if (clip.duration <= 0) return;
+
+        const action = mixer.clipAction(clip);
+        action.play();
+
+        const count = Math.max(Math.ceil(clip.duration * SAMPLE_RATE), 10);
+        const step = clip.duration / count;
+        const samples = [];
+
+        for (let i = 0; i < count; i++) {
+            mixer.setTime(i * step);
+            rig.updateMatrixWorld(true);
+            reference.getWorldPosition(referencePosition);
+
+            const positions = feet.map(foot => foot.getWorldPosition(footPosition).clone());
+            const lower = positions[0].y <= positions[1].y ? 0 : 1;
+            samples.push({
+                lower,
+                contact: positions[lower].y <= contactHeight,
+                x: positions[lower].x - referencePosition.x,
+                z: positions[lower].z - referencePosition.z
+            });
+        }
+
+        // Average the speed of the foot on the ground between samples where it stays down
+        let distance = 0;
+        let time = 0;
+        for (let i = 1; i < samples.length; i++) {
+            const previous = samples[i - 1];
+            const sample = samples[i];
+            if (!sample.contact || !previous.contact || sample.lower !== previous.lower) continue;
+
+            distance += Math.hypot(sample.x - previous.x, sample.z - previous.z);
+            time += step;
+        }
+
+        if (time >= step * 3) {
+            speeds.set(clip.name, distance / time);
+        }
+
+        action.stop();
+        mixer.uncacheAction(clip);
+    });
+
+    mixer.uncacheRoot(rig);
+    return { speeds, contactHeight };
+}
+
+// Get the blend points of a character's slots: IDLE at rest, the first gait it has at walking
+// speed and RUN at running speed
+export function getBlendPoints(animations, walkSpeed, runSpeed) {
+    const points = animations.IDLE ? [{ slot: 'IDLE', speed: 0 }] : [];
+    const gaits = ['WALK', 'RUN'].filter(slot => animations[slot]);
+
+    gaits.forEach((slot, index) => {
+        points.push({ slot, speed: index === 0 ? walkSpeed : runSpeed });
+    });
+    return points;
+}
+
+// Get the weight of each blend point at a speed (slot -> weight), mixing the two points
+// around the speed and holding the first and last points outside of them
+export function getBlendWeights(points, speed) {
+    const weights = {};
+    points.forEach((point) => {
+        weights[point.slot] = 0;
+    });
+    if (points.length === 0) return weights;
+
+    if (speed <= points[0].speed) {
+        weights[points[0].slot] = 1;
+    } else if (speed >= points[points.length - 1].speed) {
+        weights[points[points.length - 1].slot] = 1;
+    } else {
+        const index = points.findIndex(point => point.speed > speed);
+        const from = points[index - 1];
+        const to = points[index];
+        const t = (speed - from.speed) / (to.speed - from.speed);
+        weights[from.slot] = 1 - t;
+        weights[to.slot] = t;
+    }
+    return weights;
+}
+
+// Get the blend point with the most weight at a speed, used to pick the fade times in and out of the blend
+export function getMainBlendSlot(points, speed) {
+    const weights = getBlendWeights(points, speed);
+    return points.reduce((best, point) => (!best || weights[point.slot] > weights[best] ? point.slot : best), null);
+}
+
+// Create the speed blend of a character: its IDLE, WALK and RUN actions play together, weighted
+// by its speed, with the gaits phase-synchronised and played at the rate that matches the speed
+export function createLocomotionBlend() {
+    let fade = 1;
+    let fadeTime = 0;
+    let weights = {};
+    let playbackRate = 1;
+
+    // Start the blend, fading it in unless the action it takes over is part of it
+    function start(character, previousSlot, time) {
+        BLEND_SLOTS.forEach((slot) => {
+            const action = character.animations[slot];
+            if (action && slot !== previousSlot) {
+                action.reset();
+                action.setEffectiveWeight(0);
+                action.play();
+            }
+        });
+
+        fade = BLEND_SLOTS.includes(previousSlot) ? 1 : 0;
+        fadeTime = time;
+    }
+
+    // Fade the blend out, except for the action that plays next
+    function stop(character, time, nextAction) {
+        BLEND_SLOTS.forEach((slot) => {
+            const action = character.animations[slot];
+            if (action && action !== nextAction && action.getEffectiveWeight() > 0) {
+                action.fadeOut(time);
+            }
+        });
+    }
+
+    // Set the weights, rates and phases of the blended actions for a speed.
+    // points come from getBlendPoints and naturalSpeeds (slot -> meters per second) from the
+    // clip speed estimates, a gait without one is taken as authored for its blend point speed
+    function update(character, points, speed, naturalSpeeds, deltaTime) {
+        fade = fadeTime > 0 ? Math.min(fade + deltaTime / fadeTime, 1) : 1;
+        weights = getBlendWeights(points, speed);
+
+        const gaits = points.filter(point => point.speed > 0 && weights[point.slot] > 0);
+        const totalWeight = gaits.reduce((total, point) => total + weights[point.slot], 0);
+
+        // Blended cycle duration and stride (distance per cycle) of the gaits
+        let duration = 0;
+        let stride = 0;
+        gaits.forEach((point) => {
+            const share = weights[point.slot] / totalWeight;
+            const clipDuration = character.animations[point.slot].getClip().duration;
+            const naturalSpeed = naturalSpeeds[point.slot] || point.speed;
+            duration += share * clipDuration;
+            stride += share * naturalSpeed * clipDuration;
+        });
+
+        playbackRate = 1;
+        if (gaits.length > 0 && locomotionSettings.matchPlaybackSpeed && stride > 0) {
+            playbackRate = THREE.MathUtils.clamp(speed * duration / stride,
+                locomotionSettings.minPlaybackRate, locomotionSettings.maxPlaybackRate);
+        }
+
+        // The heaviest gait leads, the others follow its phase so the feet stay in step
+        const leader = gaits.reduce((best, point) => (!best || weights[point.slot] > weights[best.slot] ? point : best), null);
+        const leaderAction = leader ? character.animations[leader.slot] : null;
+        const phase = leaderAction ? leaderAction.time / leaderAction.getClip().duration : 0;
+
+        points.forEach((point) => {
+            const action = character.animations[point.slot];
+            action.setEffectiveWeight(weights[point.slot] * fade);
+
+            if (point.speed === 0) {
+                action.setEffectiveTimeScale(1);
+                return;
+            }
+
+            const clipDuration = action.getClip().duration;
+            action.setEffectiveTimeScale(duration > 0 ? clipDuration / duration * playbackRate : 1);
+            if (action !== leaderAction) {
+                action.time = phase * clipDuration;
+            }
+        });
+    }
+
+    // Get the blend weights and the playback rate of the gaits
+    function getState() {
+        return { weights, playbackRate };
+    }
+
+    return { start, stop, update, getState };
+}
+
+// Create the meter of the foot slide of a character: how fast (in meters per second) its foot
+// on the ground moves, averaged over FOOT_SLIDE_WINDOW. Feet that stay planted while the
+// character walks measure 0
+export function createFootSlideMeter() {
+    let previous = null;
+    let average = 0;
+
+    // Measure one frame, feet is the pair of foot bones of the character's model and contactY
+    // the world height below which a foot touches the ground
+    function update(feet, contactY, deltaTime) {
+        if (feet.length < 2 || deltaTime <= 0) return average;
+
+        const positions = feet.map(foot => foot.getWorldPosition(new THREE.Vector3()));
+        const lower = positions[0].y <= positions[1].y ? 0 : 1;
+        if (positions[lower].y > contactY) {
+            previous = null;
+            return average;
+        }
+
+        if (previous && previous.lower === lower) {
+            const speed = Math.hypot(positions[lower].x - previous.position.x, positions[lower].z - previous.position.z) / deltaTime;
+            average += (speed - average) * Math.min(deltaTime / FOOT_SLIDE_WINDOW, 1);
+        }
+
+        previous = { lower, position: positions[lower] };
+        return average;
+    }
+
+    // Forget the last position, for example after a teleport
+    function reset() {
+        previous = null;
+        average = 0;
+    }
+
+    return { update, reset };
+}
@@ -0,0 +1,100 @@
+import { BLEND_SLOTS, getLocomotionSetting, setLocomotionSetting } from './locomotion.js';
+import { createToolPanel, escapeHTML } from './panels.js';
+
+// Numeric parameters shown in the panel
+const SETTING_FIELDS = [
+    { key: 'acceleration', label: 'Acceleration (m/s²)', step: 1 },
+    { key: 'deceleration', label: 'Deceleration (m/s²)', step: 1 },
+    { key: 'minPlaybackRate', label: 'Min playback rate', step: 0.1 },
+    { key: 'maxPlaybackRate', label: 'Max playback rate', step: 0.1 }
+];
+
+// Create the panel with the speed blend parameters, the live speed, blend weights and foot slide
+// of the player, and the speed each clip of its model was authored for
+export function createLocomotionPanel() {
+    const { panel, content } = createToolPanel('Locomotion', { open: false });
+
+    content.innerHTML = `
+        <label class="panel-field">
+            Blend IDLE/WALK/RUN by speed
+            <input type="checkbox" data-setting="speedBlend"${getLocomotionSetting('speedBlend') ? ' checked' : ''}>
+        </label>
+        <label class="panel-field">
+            Match playback to speed
+            <input type="checkbox" data-setting="matchPlaybackSpeed"${getLocomotionSetting('matchPlaybackSpeed') ? ' checked' : ''}>
+        </label>
+        ${SETTING_FIELDS.map(field => `
+            <label class="panel-field">
+                ${field.label}
+                <input type="number" min="0" step="${field.step}" data-setting="${field.key}" value="${getLocomotionSetting(field.key)}">
+            </label>
+        `).join('')}
+        <table class="locomotion-status">
+            <tr><th>Speed</th><td class="locomotion-speed">-</td></tr>
+            <tr><th>Blend</th><td class="locomotion-weights">-</td></tr>
+            <tr><th>Playback rate</th><td class="locomotion-rate">-</td></tr>
+            <tr><th>Foot slide</th><td class="locomotion-slide">-</td></tr>
+        </table>
+        <div class="panel-subtitle">Natural speed of each clip</div>
+        <div class="locomotion-clips"></div>
+        <p class="panel-hint">Natural speeds are measured from the planted foot of each clip. Foot slide is how fast the player's planted foot moves over the ground, close to 0 when the playback matches the speed.</p>
+    `;
+
+    const speedCell = content.querySelector('.locomotion-speed');
+    const weightsCell = content.querySelector('.locomotion-weights');
+    const rateCell = content.querySelector('.locomotion-rate');
+    const slideCell = content.querySelector('.locomotion-slide');
+    const clipList = content.querySelector('.locomotion-clips');
+
+    content.addEventListener('change', (e) => {
+        const key = e.target.dataset.setting;
+        if (!key) return;
+
+        if (e.target.type === 'checkbox') {
+            setLocomotionSetting(key, e.target.checked);
+            return;
+        }
+
+        const value = parseFloat(e.target.value);
+        if (value >= 0) {
+            setLocomotionSetting(key, value);
+        }
+        e.target.value = getLocomotionSetting(key);
+    });
+
+    // Show the player's locomotion { speed, blending, weights, playbackRate, footSlide },
+    // only while the panel is open
+    function update(status) {
+        if (!panel.open) return;
+
+        speedCell.textContent = `${status.speed.toFixed(2)} m/s`;
+        weightsCell.textContent = status.blending ?
+            BLEND_SLOTS.filter(slot => slot in status.weights)
+                .map(slot => `${slot} ${Math.round(status.weights[slot] * 100)}%`).join(' · ') :
+            'off';
+        rateCell.textContent = status.blending ? `${status.playbackRate.toFixed(2)}x` : '-';
+        slideCell.textContent = status.footSlide === null ? '-' : `${status.footSlide.toFixed(2)} m/s`;
+    }
+
+    // Show the natural speed of each clip, clips is a list of { name, slot, speed } with the speed
+    // in meters per second (null when the feet couldn't be measured)
+    function updateClips(clips) {
+        if (clips.length === 0) {
+            clipList.innerHTML = '<p class="panel-empty">No clips, or no foot bones found</p>';
+            return;
+        }
+
+        clipList.innerHTML = `
+            <table class="locomotion-clip-table">
+                ${clips.map(clip => `
+                    <tr>
+                        <th>${escapeHTML(clip.name)}${clip.slot ? ` <span class="locomotion-slot">${clip.slot}</span>` : ''}</th>
+                        <td>${clip.speed === null ? '-' : `${clip.speed.toFixed(2)} m/s`}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    return { update, updateClips };
+}
@@ -1,6 +1,77 @@
 import * as THREE from 'three';
 import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import {
+    clearSavedSlotMapping,
+    detectAnimationSlots,
+    getAnimationSlots,
+    getAttackVariantMode,
+    getSlotTable,
+    getSlotVariants,
+    getStandInSlot,
+    isOneShotSlot,
+    loadSavedSlotMapping,
+    mergeSlotMapping,
+    saveSlotMapping
+} from './animationSlots.js';
+import { createAnimationInspector } from './animationInspector.js';
+import { createCameraController } from './cameraController.js';
+import { createCaptureController } from './capture.js';
+import { createCapturePanel } from './capturePanel.js';
+import { createCharacterLabels } from './characterLabels.js';
+import { createCharacterPanel } from './characterPanel.js';
+import { createAnimationMap, createCharacter, createModelAsset, getCharacterClips } from './characters.js';
+import { createCollisionWorld, getCharacterBody } from './collision.js';
+import { canAct, createCombatSystem, getCombatSetting, getHitArea } from './combat.js';
+import { createCombatPanel } from './combatPanel.js';
+import { createComparisonPanel } from './comparisonPanel.js';
+import { createDebugView } from './debugView.js';
+import { createEnvironmentLighting, isEnvironmentFile } from './environmentLighting.js';
+import { createInputController } from './input.js';
+import { createInputPanel } from './inputPanel.js';
+import { createInputSession, createSeededRandom, createStepInput } from './inputRecording.js';
+import { createLevelManager } from './levels.js';
+import {
+    BLEND_SLOT,
+    BLEND_SLOTS,
+    createFootSlideMeter,
+    estimateClipSpeeds,
+    findFootBones,
+    getBlendPoints,
+    getLocomotionSetting,
+    getMainBlendSlot,
+    rampVelocity
+} from './locomotion.js';
+import { createLocomotionPanel } from './locomotionPanel.js';
+import { getFadeTime } from './animationTransitions.js';
+import { collectDroppedFiles, collectInputFiles, createModelFileSet, expandArchives, hashModelSource, isModelPath } from './modelFiles.js';
+import { compareModels, createModelComparison } from './modelComparison.js';
+import { loadModelFromFileSet } from './modelLoaders.js';
+import { buildModelReport } from './modelReport.js';
+import {
+    applyModelNormalization,
+    clearSavedModelSettings,
+    createCharacterRoot,
+    getDefaultModelSettings,
+    getModelHeight,
+    loadSavedModelSettings,
+    saveModelSettings
+} from './modelNormalization.js';
+import { createModelReportPanel } from './modelReportPanel.js';
+import { createModelSetupPanel } from './modelSetupPanel.js';
+import { extractRootMotion, findRootMotionBone, getBoneNames, getRootMotionStep, getRootMotionTotal } from './rootMotion.js';
+import { createNpcBrain, createNpcController, getNpcSetting, getNpcStateLabel } from './npcBehavior.js';
+import { createNpcBehaviorPanel } from './npcBehaviorPanel.js';
+import { downloadFile, escapeHTML } from './panels.js';
+import { createRecordingPanel } from './recordingPanel.js';
+import { createReviewPanel } from './reviewPanel.js';
+import { createReviewQueue, getReviewDetails } from './reviewQueue.js';
+import { createSlotMappingPanel } from './slotMappingPanel.js';
+import { createSlotTablePanel } from './slotTablePanel.js';
+import { createTransitionPanel } from './transitionPanel.js';
 import './style.css';
 
 // Scene setup
@@ -11,8 +82,8 @@ scene.background = new THREE.Color(0x87ceeb);
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
 camera.position.set(0, 5, 10);
 
-// Renderer setup
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+// Renderer setup, with an alpha channel for captures without background
+const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
 renderer.shadowMap.enabled = true;
 document.body.appendChild(renderer.domElement);
@@ -37,108 +108,85 @@ function debugLog(message, data) {
     console.log(`%c[DEBUG] ${message}`, 'background: #222; color: #bada55', data || '');
 }
 
-// Ground
-const groundGeometry = new THREE.PlaneGeometry(50, 50);
-const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x3c5e35 });
-const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-ground.rotation.x = -Math.PI / 2;
-ground.receiveShadow = true;
-scene.add(ground);
-
-// Add a simple pine tree in the center
-function createSimplePineTree() {
-    const tree = new THREE.Group();
-
-    // Tree trunk
-    const trunkGeometry = new THREE.CylinderGeometry(0.5, 0.7, 5, 8);
-    const trunkMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
-    const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-    trunk.position.y = 2.5;
-    trunk.castShadow = true;
-    trunk.receiveShadow = true;
-    tree.add(trunk);
-
-    // Tree top (single cone)
-    const coneGeometry = new THREE.ConeGeometry(3, 7, 8);
-    const coneMaterial = new THREE.MeshStandardMaterial({ color: 0x2E8B57 });
-    const cone = new THREE.Mesh(coneGeometry, coneMaterial);
-    cone.position.y = 8.5;
-    cone.castShadow = true;
-    cone.receiveShadow = true;
-    tree.add(cone);
-
-    return tree;
-}
-
-// Create and add the pine tree to the scene
-const pineTree = createSimplePineTree();
-pineTree.position.set(0, 0, 0); // Position at center of the scene
-scene.add(pineTree);
-
-// Character state - moved the player away from the tree
+// Points where NPCs can be spawned, set by the current level. The first one is where the
+// default NPC starts. A spawn point may list the waypoints its NPCs patrol along, otherwise
+// they patrol around it
+const spawnPoints = [];
+
+// Distance between NPCs spawned together at the same point
+const spawnSpacing = 1.5;
+
+// Default scale of the models, auto-scale and per-model overrides are set in the Model Setup panel
 const characterScale = 1.0;
 
 // Set initial rotation for models to fix sideways movement
 const initialYRotation = 0;
 
-const playerState = {
+// The player (moved away from the tree) and the NPCs. Every character has its own state,
+// model copy, animation mixer and slot actions, see createCharacter
+const player = createCharacter({
+    id: 'player',
+    label: 'Player',
+    role: 'player',
     position: new THREE.Vector3(-8, 0, -8),
-    rotation: new THREE.Euler(0, initialYRotation, 0),
-    velocity: new THREE.Vector3(0, 0, 0),
-    currentAnimation: 'IDLE',
-    moveSpeed: 5,
-    runSpeed: 10,
-    rotationSpeed: 3,
-    isAttacking: false,
-    isJumping: false,
-    jumpHeight: 3,
-    jumpSpeed: 5
-};
-
-const enemyState = {
-    position: new THREE.Vector3(10, 0, 10),
-    rotation: new THREE.Euler(0, initialYRotation, 0),
-    velocity: new THREE.Vector3(0, 0, 0),
-    currentAnimation: 'IDLE',
-    moveSpeed: 3,
-    attackDistance: 2,
-    followDistance: 15,
-    isAttacking: false,
-    attackCooldown: 0
-};
-
-// Animation map for tracking animations
-const animationMap = {
-    player: {
-        IDLE: { clip: null, duration: 0 },
-        WALK: { clip: null, duration: 0 },
-        RUN: { clip: null, duration: 0 },
-        JUMP: { clip: null, duration: 0 },
-        ATTACK: { clip: null, duration: 0 }
-    },
-    enemy: {
-        IDLE: { clip: null, duration: 0 },
-        WALK: { clip: null, duration: 0 },
-        RUN: { clip: null, duration: 0 },
-        JUMP: { clip: null, duration: 0 },
-        ATTACK: { clip: null, duration: 0 }
-    }
-};
+    rotationY: initialYRotation
+});
+
+const npcs = [];
+
+// Number of NPCs spawned so far, used to give each NPC a unique id
+let spawnedNpcCount = 0;
+
+// Model given to newly spawned NPCs: the default model or the last one uploaded for all NPCs
+let npcAsset = null;
 
-// Animation mixers
-let playerMixer, enemyMixer;
-let playerModel, enemyModel;
-let playerAnimations = {};
-let enemyAnimations = {};
+// Character whose model is shown in the slot mapping, model setup, inspector and report panels
+let selectedCharacter = player;
 
-// Load character model with Draco support and animation debugging
-const loader = new GLTFLoader();
+// Character whose animations are currently controlled by the animation inspector or a clip capture
+let inspectedCharacter = null;
 
-// Setup and attach Draco loader
+// Get the player and every NPC
+function getCharacters() {
+    return [player].concat(npcs);
+}
+
+// Static colliders and character capsules. The level registers its colliders and bounds,
+// characters can't walk through them or through each other
+const collisionWorld = createCollisionWorld({ getCharacters });
+
+// Get the characters that use a model asset
+function getCharactersWithAsset(asset) {
+    return getCharacters().filter(character => character.asset === asset);
+}
+
+// Setup Draco and KTX2 loaders (shared by every GLTF loader). The decoders are served
+// from public/libs so compressed models also load without internet access.
+// Draco uses the WASM decoder and falls back to the JS one when WebAssembly is missing
 const dracoLoader = new DRACOLoader();
-dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.4.3/');
-dracoLoader.setDecoderConfig({ type: 'js' }); // Use JavaScript decoder
-loader.setDRACOLoader(dracoLoader);
+dracoLoader.setDecoderPath('libs/draco/');
+
+const ktx2Loader = new KTX2Loader();
+ktx2Loader.setTranscoderPath('libs/basis/');
+ktx2Loader.detectSupport(renderer);
+
+// Get the Draco decoder in use ('WASM' or 'JS'), once it has been loaded
+function getDracoDecoderType() {
+    return dracoLoader.decoderConfig.wasmBinary ? 'WASM' : 'JS';
+}
+
+// Create a GLTF loader with Draco, meshopt and KTX2 support, optionally bound to a custom loading manager
+function createGLTFLoader(manager) {
+    const gltfLoader = new GLTFLoader(manager);
+    gltfLoader.setDRACOLoader(dracoLoader);
+    gltfLoader.setKTX2Loader(ktx2Loader);
+    gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+    return gltfLoader;
+}
+
+// Load the default character model, used by the player and the first NPC
+const loader = createGLTFLoader();
+const defaultAsset = createModelAsset({ name: 'character.glb' });
 
 debugLog('Starting to load character model', 'models/character.glb');
 
@@ -154,13 +202,9 @@ loader.load('models/character.glb',
             debugLog('Model uses Draco compression? ' + (hasDraco ? 'YES': 'NO'));
         }
 
-        // Player model setup
-        playerModel = gltf.scene;
-        debugLog('Player model scene', playerModel);
-
         // Debugging model hierarchy
         debugLog('Model hierarchy:');
-        playerModel.traverse((node) => {
+        gltf.scene.traverse((node) => {
             debugLog(`- Node: ${node.name}, Type: ${node.type}`);
 
             if (node.isMesh) {
@@ -169,28 +213,9 @@ loader.load('models/character.glb',
                     material: node.material,
                     vertices: node.geometry.attributes.position ? node.geometry.attributes.position.count : 'N/A'
                 });
-
-                node.castShadow = true;
-                node.receiveShadow = true;
             }
         });
 
-        // Apply scale to player model
-        playerModel.scale.set(characterScale, characterScale, characterScale);
-        debugLog('Applied scale to player model', characterScale);
-
-        // Apply initial rotation to fix sideways orientation
-        playerModel.rotation.copy(playerState.rotation);
-        debugLog('Applied initial rotation to player model', playerState.rotation);
-
-        playerModel.position.copy(playerState.position);
-        scene.add(playerModel);
-        debugLog('Added player model to scene at position', playerState.position);
-
-        // Set up animations
-        playerMixer = new THREE.AnimationMixer(playerModel);
-        debugLog('Created animation mixer for player', playerMixer);
-
         // Debug all available animations
         debugLog(`Model has ${gltf.animations.length} animations`);
         gltf.animations.forEach((clip, index) => {
@@ -200,135 +225,23 @@ loader.load('models/character.glb',
             });
         });
 
-        // Process animations
-        debugLog('Begin processing animations for player');
-        gltf.animations.forEach((clip) => {
-            const name = clip.name.toUpperCase();
-            debugLog(`Processing animation: ${clip.name} (${name})`, {
-                duration: clip.duration,
-                tracks: clip.tracks.length
-            });
+        defaultAsset.result = gltf;
+        npcAsset = defaultAsset;
 
-            // Check for IDLE animations
-            if ((name.includes('IDLE') || name.includes('STOPPED')) && !animationMap.player.IDLE.clip) {
-                debugLog(`Found IDLE animation: ${clip.name}`);
-                animationMap.player.IDLE.clip = clip;
-                animationMap.player.IDLE.duration = clip.duration;
-                playerAnimations.IDLE = playerMixer.clipAction(clip);
-                debugLog('Created IDLE animation action', playerAnimations.IDLE);
-            }
-            // Check for ATTACK animations
-            else if ((name.includes('ATTACK') || name.includes('SHOOT') || name.includes('FIRE')) && !animationMap.player.ATTACK.clip) {
-                debugLog(`Found ATTACK animation: ${clip.name}`);
-                animationMap.player.ATTACK.clip = clip;
-                animationMap.player.ATTACK.duration = clip.duration;
-                playerAnimations.ATTACK = playerMixer.clipAction(clip);
-                debugLog('Created ATTACK animation action', playerAnimations.ATTACK);
-            }
-            // Check for WALK animations
-            else if ((name.includes('WALK') || name.includes('RUN')) && !animationMap.player.WALK.clip) {
-                debugLog(`Found WALK animation: ${clip.name}`);
-                animationMap.player.WALK.clip = clip;
-                animationMap.player.WALK.duration = clip.duration;
-                playerAnimations.WALK = playerMixer.clipAction(clip);
-                debugLog('Created WALK animation action', playerAnimations.WALK);
-            }
-        });
-
-        // Debug animation state
-        debugLog('Final animation mapping for player', {
-            IDLE: animationMap.player.IDLE.clip ? animationMap.player.IDLE.clip.name : 'Not found',
-            WALK: animationMap.player.WALK.clip ? animationMap.player.WALK.clip.name : 'Not found',
-            ATTACK: animationMap.player.ATTACK.clip ? animationMap.player.ATTACK.clip.name : 'Not found'
-        });
+        // Player and NPC models (each gets its own copy of the model)
+        setCharacterModel(player, defaultAsset);
+        debugLog('Final animation mapping for player', defaultAsset.mapping);
 
-        // Start with IDLE animation
-        if (playerAnimations.IDLE) {
-            playerAnimations.IDLE.play();
-            debugLog('Started playing IDLE animation');
-        } else {
-            debugLog('WARNING: No IDLE animation found to play!');
-        }
-
-        // Load enemy model (same character model)
-        debugLog('Starting to load enemy model');
-        loader.load(
-            'models/character.glb',
-            // Success callback for enemy
-            (gltf) => {
-                debugLog('Enemy model loaded successfully');
-                enemyModel = gltf.scene;
-                enemyModel.traverse((node) => {
-                    if (node.isMesh) {
-                        node.castShadow = true;
-                        node.receiveShadow = true;
-
-                        // Apply the same material adjustments to enemy model
-                        if (node.material) {
-                            if (node.material.isMeshStandardMaterial) {
-                                node.material.roughness = 0.7;
-                                node.material.metalness = 0.3;
-                            }
-                        }
-                    }
-                });
+        spawnNpcs(0, 1);
 
-                // Apply scale to enemy model
-                enemyModel.scale.set(characterScale, characterScale, characterScale);
-
-                // Apply initial rotation to fix sideways orientation
-                enemyModel.rotation.copy(enemyState.rotation);
-                debugLog('Applied initial rotation to enemy model', enemyState.rotation);
-
-                enemyModel.position.copy(enemyState.position);
-                scene.add(enemyModel);
-
-                // Set up animations
-                enemyMixer = new THREE.AnimationMixer(enemyModel);
-
-                // Process animations
-                gltf.animations.forEach((clip) => {
-                    const name = clip.name.toUpperCase();
-
-                    // Check for IDLE animations
-                    if ((name.includes('IDLE') || name.includes('STOPPED')) && !animationMap.enemy.IDLE.clip) {
-                        animationMap.enemy.IDLE.clip = clip;
-                        animationMap.enemy.IDLE.duration = clip.duration;
-                        enemyAnimations.IDLE = enemyMixer.clipAction(clip);
-                    }
-                    // Check for ATTACK animations
-                    else if ((name.includes('ATTACK') || name.includes('SHOOT') || name.includes('FIRE')) && !animationMap.enemy.ATTACK.clip) {
-                        animationMap.enemy.ATTACK.clip = clip;
-                        animationMap.enemy.ATTACK.duration = clip.duration;
-                        enemyAnimations.ATTACK = enemyMixer.clipAction(clip);
-                    }
-                    // Check for WALK animations
-                    else if ((name.includes('WALK') || name.includes('RUN')) && !animationMap.enemy.WALK.clip) {
-                        animationMap.enemy.WALK.clip = clip;
-                        animationMap.enemy.WALK.duration = clip.duration;
-                        enemyAnimations.WALK = enemyMixer.clipAction(clip);
-                    }
-                });
-
-                // Start with IDLE animation
-                if (enemyAnimations.IDLE) {
-                    enemyAnimations.IDLE.play();
-                }
-            },
-            // Progress callback for enemy
-            (xhr) => {
-                const percent = (xhr.loaded / xhr.total * 100).toFixed(2);
-                debugLog(`Enemy model loading progress: ${percent}%`);
-            },
-            // Error callback for enemy
-            (error) => {
-                console.error('Error loading enemy model:', error);
-            }
-        );
+        // Restore the slot mapping and settings saved for this model
+        restoreSavedModelData(defaultAsset, 'models/character.glb');
     },
     // Progress callback
     (xhr) => {
         if (xhr.lengthComputable) {
+            defaultAsset.fileSize = xhr.total;
+            defaultAsset.totalSize = xhr.total;
             const percent = (xhr.loaded / xhr.total * 100).toFixed(2);
             debugLog(`Character model loading progress: ${percent}%`);
         } else {
@@ -342,58 +255,181 @@ loader.load('models/character.glb',
     }
 );
 
-// Input handling
-const keys = {
-    w: false,
-    a: false,
-    s: false,
-    d: false,
-    space: false,
-    shift: false,
-    f: false
-};
-
-window.addEventListener('keydown', (e) => {
-    switch (e.key.toLowerCase()) {
-        case 'w': keys.w = true; break;
-        case 'a': keys.a = true; break;
-        case 's': keys.s = true; break;
-        case 'd': keys.d = true; break;
-        case ' ':
-            keys.space = true;
+// Give a character its own copy of a model asset, replacing the model it had
+function setCharacterModel(character, asset) {
+    removeCharacterModel(character);
+
+    // Skinned meshes need their skeleton cloned too so every character animates on its own
+    const model = createCharacterRoot(SkeletonUtils.clone(asset.result.scene));
+    model.traverse((node) => {
+        if (node.isMesh) {
+            node.castShadow = true;
+            node.receiveShadow = true;
+        }
+    });
+
+    character.asset = asset;
+    character.model = model;
+
+    // Apply scale, grounding and facing, the defaults are measured on the first copy
+    if (!asset.settings) {
+        asset.settings = getDefaultModelSettings(model, characterScale);
+        debugLog(`Default model settings for "${asset.name}"`, asset.settings);
+    }
+    applyModelNormalization(model, asset.settings);
+    character.body = getCharacterBody(model);
+
+    // Keep the character where it was, hidden while models are compared
+    model.rotation.copy(character.state.rotation);
+    model.position.copy(character.state.position);
+    model.visible = !modelComparison.isActive();
+    scene.add(model);
+    debugLog(`Added ${character.label} model to scene at position`, character.state.position);
+
+    // Set up animations
+    character.mixer = createCharacterMixer(character, model);
+    processModelAnimations(character);
+
+    if (character === selectedCharacter) {
+        updateModelPanels();
+    }
+    updateCharacterList();
+}
+
+// Remove a character's model from the scene and stop its animations
+function removeCharacterModel(character) {
+    if (!character.model) return;
+
+    if (character.mixer) {
+        character.mixer.stopAllAction();
+        character.mixer.uncacheRoot(character.model);
+    }
+    scene.remove(character.model);
+
+    character.model = null;
+    character.body = null;
+    character.mixer = null;
+    character.animations = {};
+    character.map = createAnimationMap();
+    character.state.currentAnimation = 'NONE';
+}
+
+// Spawn NPCs around a spawn point with the current NPC model
+function spawnNpcs(spawnIndex, count) {
+    const spawnPoint = spawnPoints[spawnIndex];
+    if (!spawnPoint) return;
+
+    // Spread NPCs spawned together on a circle so they are spawnSpacing apart
+    const radius = count > 1 ? spawnSpacing / (2 * Math.sin(Math.PI / count)) : 0;
+
+    for (let i = 0; i < count; i++) {
+        const angle = (i / count) * Math.PI * 2;
+        const position = spawnPoint.position.clone().add(
+            new THREE.Vector3(Math.sin(angle) * radius, 0, Math.cos(angle) * radius)
+        );
+
+        spawnedNpcCount++;
+        const npc = createCharacter({
+            id: `npc-${spawnedNpcCount}`,
+            label: `NPC ${spawnedNpcCount}`,
+            role: 'npc',
+            position,
+            rotationY: initialYRotation
+        });
+        npc.brain = createNpcBrain(position, spawnPoint.waypoints);
+        npcs.push(npc);
+
+        if (npcAsset && npcAsset.result) {
+            setCharacterModel(npc, npcAsset);
+        }
+    }
+
+    debugLog(`Spawned ${count} NPC(s) at ${spawnPoint.name}`);
+    updateCharacterList();
+}
+
+// Remove an NPC from the scene
+function removeNpc(id) {
+    const index = npcs.findIndex(npc => npc.id === id);
+    if (index === -1) return;
+
+    const npc = npcs[index];
+    npcs.splice(index, 1);
+
+    if (selectedCharacter === npc) {
+        selectCharacter(player);
+    }
+    removeCharacterModel(npc);
+    updateCharacterList();
+}
+
+// Select the character whose model is shown in the model panels
+function selectCharacter(character) {
+    selectedCharacter = character;
+    updateModelPanels();
+    updateCharacterList();
+}
+
+// Actions pressed since the last simulation step, they act on the next one
+const pendingPresses = [];
+
+// Player input from the keyboard, the mouse, gamepads and the touch controls, with rebindable
+// actions (see createInputController). Mouse clicks only attack on the 3D view and in the
+// follow camera mode, in orbit mode they rotate the camera
+const input = createInputController({
+    element: renderer.domElement,
+    isPointerEnabled: () => cameraController.getMode() !== 'orbit',
+    onPress: action => pendingPresses.push(action)
+});
+
+// Input of the player for the current simulation step: the live input or the replayed one,
+// see createInputSession
+let playerInput = createStepInput();
+
+// Records the player's input step by step and replays recordings in its place
+const inputSession = createInputSession();
+
+// Act on an action pressed during a simulation step
+function handlePress(action) {
+    const state = player.state;
+
+    switch (action) {
+        case 'jump':
             // Only try to jump if not already jumping and not attacking
-            if (!playerState.isJumping && !playerState.isAttacking) {
-                performJump('player');
+            if (!state.isJumping && !state.isAttacking) {
+                performJump(player);
             }
             break;
-        case 'shift': keys.shift = true; break;
-        case 'f':
-            keys.f = true;
-            if (!playerState.isAttacking && !playerState.isJumping) {
-                performAttack('player');
+        case 'attack':
+            if (!state.isAttacking && !state.isJumping) {
+                performAttack(player);
             }
             break;
+        case 'emote':
+            performEmote(player);
+            break;
     }
-});
+}
 
-window.addEventListener('keyup', (e) => {
-    switch (e.key.toLowerCase()) {
-        case 'w': keys.w = false; break;
-        case 'a': keys.a = false; break;
-        case 's': keys.s = false; break;
-        case 'd': keys.d = false; break;
-        case ' ': keys.space = false; break;
-        case 'shift': keys.shift = false; break;
-        case 'f': keys.f = false; break;
-    }
-});
+// Time (in seconds) after an attack ends in which the next attack continues the ATTACK combo
+const COMBO_WINDOW = 0.5;
 
-// Update mouse click for attack
-window.addEventListener('click', () => {
-    if (!playerState.isAttacking && !playerState.isJumping) {
-        performAttack('player');
-    }
-});
+// The simulation (movement, animation mixers, NPCs and combat) advances in steps of
+// SIMULATION_STEP seconds whatever the frame rate, so the same input always plays out the same
+// way. Frames longer than MAX_FRAME_TIME (a background tab, a breakpoint) only catch up that much
+const SIMULATION_STEP = 1 / 60;
+const MAX_FRAME_TIME = 0.25;
+
+// Simulation time (in seconds) since the session started, and the frame time not simulated yet
+let simulationTime = 0;
+let simulationLag = 0;
+
+// Random numbers of the simulation (clip variants), seeded so a replay picks the same ones
+let simulationSeed = 1;
+let random = createSeededRandom(simulationSeed);
+
+// Clips moving (in meters) or turning (in radians) the root bone more than this count as root motion clips
+const ROOT_MOTION_THRESHOLD = { distance: 0.05, turn: THREE.MathUtils.degToRad(5) };
 
 // Resize handler - improved to properly handle window resizing
 function handleWindowResize() {
@@ -414,278 +450,956 @@ window.addEventListener('resize', handleWindowResize);
 
 // Animation handling
 function setAnimation(character, animationName) {
-    if (character === 'player') {
-        debugLog(`Requested animation: ${animationName}`);
+    // The animation inspector controls the inspected character's mixer while it is active
+    if (character === inspectedCharacter) {
+        return;
     }
 
-    const info = character === 'player' ?
-        { state: playerState, animations: playerAnimations, mixer: playerMixer } :
-        { state: enemyState, animations: enemyAnimations, mixer: enemyMixer };
+    const isPlayer = character.role === 'player';
+
+    if (isPlayer) {
+        debugLog(`Requested animation: ${animationName}`);
+    }
 
     // If animation doesn't exist, do nothing
-    if (!info.animations[animationName]) {
-        if (character === 'player') {
+    const isBlend = animationName === BLEND_SLOT;
+    if (isBlend ? !canBlendLocomotion(character) : !character.animations[animationName]) {
+        if (isPlayer) {
             debugLog(`Animation ${animationName} not found - ignoring request`);
         }
         return;
     }
 
     // If we're already playing this animation, don't do anything
-    if (info.state.currentAnimation === animationName) {
-        if (character === 'player') {
+    if (character.state.currentAnimation === animationName) {
+        if (isPlayer) {
             debugLog(`Animation ${animationName} already playing, skipping`);
         }
         return;
     }
 
-    // First stop all current animations
-    if (info.mixer) {
-        info.mixer.stopAllAction();
-        if (character === 'player') {
-            debugLog(`Stopped all animations before playing ${animationName}`);
+    const previousSlot = character.state.currentAnimation;
+    const wasBlending = previousSlot === BLEND_SLOT;
+    const previousAction = character.animations[previousSlot];
+    const nextAction = character.animations[animationName];
+
+    // Nothing to blend from, make sure no other animation is still playing
+    if (!previousAction && !wasBlending && character.mixer) {
+        character.mixer.stopAllAction();
+    }
+
+    // The speed blend takes its fade times from its heaviest slot
+    const points = wasBlending || isBlend ? getCharacterBlendPoints(character) : [];
+    const fromSlot = wasBlending ? getMainBlendSlot(points, character.state.speed) : previousSlot;
+    const toSlot = isBlend ? getMainBlendSlot(points, character.state.speed) : animationName;
+    const fadeTime = getFadeTime(fromSlot, toSlot);
+
+    if (isBlend) {
+        // Fade the blend in over the outgoing animation, or take over one of its slots
+        character.blend.start(character, previousSlot, previousAction ? fadeTime : 0);
+        if (previousAction && !BLEND_SLOTS.includes(previousSlot)) {
+            previousAction.fadeOut(fadeTime);
         }
+        character.state.currentAnimation = animationName;
+
+        if (isPlayer) {
+            debugLog(`Blending ${BLEND_SLOTS.join('/')} by speed, from ${previousSlot} in ${fadeTime}s`);
+        }
+        return;
     }
 
     // Configure the animation
-    if (animationName === 'ATTACK' || animationName === 'JUMP') {
-        info.animations[animationName].setLoop(THREE.LoopOnce);
-        info.animations[animationName].clampWhenFinished = true;
+    if (isOneShotSlot(animationName)) {
+        nextAction.setLoop(THREE.LoopOnce);
+        nextAction.clampWhenFinished = true;
     } else {
-        info.animations[animationName].setLoop(THREE.LoopRepeat, Infinity);
+        nextAction.setLoop(THREE.LoopRepeat, Infinity);
     }
 
-    // Make sure animation has proper weight
-    info.animations[animationName].setEffectiveWeight(1.0);
+    // Start the animation from the beginning with proper weight
+    nextAction.reset();
+    nextAction.setEffectiveTimeScale(1.0);
+    nextAction.setEffectiveWeight(1.0);
+    nextAction.play();
 
-    // Play the animation
-    info.animations[animationName].reset();
-    info.animations[animationName].play();
-    info.state.currentAnimation = animationName;
+    if (wasBlending) {
+        // Fade the blended slots out under the new animation
+        character.blend.stop(character, fadeTime, nextAction);
+        nextAction.fadeIn(fadeTime);
 
-    if (character === 'player') {
+        if (isPlayer) {
+            debugLog(`Fading the speed blend to ${animationName} in ${fadeTime}s`);
+        }
+    } else if (previousAction && previousAction !== nextAction) {
+        // Blend from the outgoing animation instead of cutting to the new one
+        previousAction.crossFadeTo(nextAction, fadeTime, false);
+
+        if (isPlayer) {
+            debugLog(`Cross-fading ${character.state.currentAnimation} to ${animationName} in ${fadeTime}s`);
+        }
+    }
+
+    character.state.currentAnimation = animationName;
+
+    if (isPlayer) {
         debugLog(`Now playing ${animationName} animation`);
     }
 }
 
+// Get the player's movement input between -1 and 1: forward (backward when negative),
+// sideways (right when positive) and turn (left when positive). Sticks give values in between
+function getMovementInput() {
+    return playerInput;
+}
+
+// Get the locomotion animation a character should return to after an action. The player
+// uses WALK_BACK, STRAFE_LEFT/RIGHT and CROUCH when its model has them, and blends IDLE,
+// WALK and RUN by its speed (or picks one of them when it can't blend)
+function getLocomotionAnimation(character) {
+    if (character.role !== 'player') return 'IDLE';
+
+    const slot = getMovementAnimation(character);
+    return BLEND_SLOTS.includes(slot) && canBlendLocomotion(character) ? BLEND_SLOT : slot;
+}
+
+// Get the slot matching the player's movement input
+function getMovementAnimation(character) {
+    const animations = character.animations;
+    const { forward, strafe } = getMovementInput();
+
+    // Strafe clips play while moving mostly sideways, so sticks don't need to be exactly level
+    const sideways = Math.abs(strafe) > Math.abs(forward);
+
+    if (forward < 0 && !sideways && animations.WALK_BACK) return 'WALK_BACK';
+    if (sideways && strafe < 0 && animations.STRAFE_LEFT) return 'STRAFE_LEFT';
+    if (sideways && strafe > 0 && animations.STRAFE_RIGHT) return 'STRAFE_RIGHT';
+
+    if (forward !== 0 || strafe !== 0) {
+        if (playerInput.run && animations.RUN) return 'RUN';
+        if (animations.WALK) return 'WALK';
+
+        // Models with only a run cycle walk with it too
+        const standIn = getStandInSlot('WALK');
+        if (standIn && animations[standIn]) return standIn;
+    } else if (playerInput.crouch && animations.CROUCH) {
+        return 'CROUCH';
+    }
+
+    return 'IDLE';
+}
+
+// Check if a character's IDLE, WALK and RUN slots can be blended by its speed: the player's model
+// needs IDLE and a gait, and doesn't blend while its clips move it (root motion mode)
+function canBlendLocomotion(character) {
+    const animations = character.animations;
+    const settings = character.asset ? character.asset.settings : null;
+
+    if (character.role !== 'player' || !getLocomotionSetting('speedBlend')) return false;
+    if (settings && settings.rootMotion === 'root') return false;
+    return Boolean(animations.IDLE && (animations.WALK || animations.RUN));
+}
+
+// Get the blend points of a character: IDLE at rest, WALK at its walking speed and RUN at its running speed
+function getCharacterBlendPoints(character) {
+    return getBlendPoints(character.animations, character.state.moveSpeed, character.state.runSpeed);
+}
+
+// Pick the clip of a slot or one of its variants (for example ATTACK_2) that a character has.
+// ATTACK variants follow the slot table's mode: in order while the attacks chain, or at random.
+// Other slots pick a variant at random
+function chooseSlotVariant(character, slot) {
+    const state = character.state;
+    const variants = getSlotVariants(slot).filter(variant => character.animations[variant]);
+    if (variants.length <= 1) return variants[0] || null;
+
+    if (slot === 'ATTACK' && getAttackVariantMode() === 'combo') {
+        const chained = simulationTime - state.lastAttackEnd < COMBO_WINDOW;
+        state.comboIndex = chained ? (state.comboIndex + 1) % variants.length : 0;
+        return variants[state.comboIndex];
+    }
+
+    return variants[Math.floor(random() * variants.length)];
+}
+
+// Play a one-shot slot (LAND, EMOTE) that returns to locomotion when it ends or the character moves
+function playAction(character, slot) {
+    setAnimation(character, slot);
+    character.state.actionSlot = character.state.currentAnimation === slot ? slot : null;
+}
+
+// Create an animation mixer for a character that returns to locomotion when a one-shot animation ends
+function createCharacterMixer(character, model) {
+    const mixer = new THREE.AnimationMixer(model);
+
+    mixer.addEventListener('finished', (e) => {
+        const state = character.state;
+
+        // Ignore actions that are no longer the current animation (for example while fading out)
+        if (e.action !== character.animations[state.currentAnimation]) return;
+
+        if (state.currentAnimation === state.attackSlot) {
+            state.isAttacking = false;
+            state.attackSlot = null;
+            state.lastAttackEnd = simulationTime;
+            setAnimation(character, getLocomotionAnimation(character));
+        } else if (state.currentAnimation === state.actionSlot) {
+            state.actionSlot = null;
+            setAnimation(character, getLocomotionAnimation(character));
+        } else if (state.currentAnimation === 'JUMP') {
+            // Keep falling with the FALL loop, or land before the jump animation ended
+            // (the landing already picked the next animation otherwise)
+            if (state.isJumping && character.animations.FALL) {
+                setAnimation(character, 'FALL');
+            } else if (!state.isJumping) {
+                setAnimation(character, getLocomotionAnimation(character));
+            }
+        }
+    });
+
+    return mixer;
+}
+
 function performAttack(character) {
-    const info = character === 'player' ?
-        { state: playerState, animations: playerAnimations, map: animationMap.player } :
-        { state: enemyState, animations: enemyAnimations, map: animationMap.enemy };
+    // Dead or reeling characters can't attack
+    if (!canAct(character)) return;
 
     // If attack animation doesn't exist, don't do anything
-    if (!info.animations.ATTACK) {
-        if (character === 'player') {
+    const slot = chooseSlotVariant(character, 'ATTACK');
+    if (!slot) {
+        if (character.role === 'player') {
             debugLog(`Cannot perform attack - no ATTACK animation exists`);
         }
         return;
     }
 
-    info.state.isAttacking = true;
-    setAnimation(character, 'ATTACK');
+    character.state.isAttacking = true;
+    character.state.attackSlot = slot;
+    character.state.attackHits = null;
+    character.state.actionSlot = null;
+    setAnimation(character, slot);
+
+    // The attack ends when the mixer reports the ATTACK animation finished,
+    // so cancel it if the animation couldn't start (for example while inspecting clips)
+    if (character.state.currentAnimation !== slot) {
+        character.state.isAttacking = false;
+        character.state.attackSlot = null;
+    }
+}
 
-    // Use animation duration if available, otherwise default to 1 second
-    const attackDuration = info.map.ATTACK.duration > 0 ?
-        info.map.ATTACK.duration : 1.0;
+// Play the EMOTE slot (or one of its variants) while standing
+function performEmote(character) {
+    const state = character.state;
+    if (!canAct(character) || state.isAttacking || state.isJumping) return;
 
-    // Reset to IDLE after attack animation completes
-    setTimeout(() => {
-        info.state.isAttacking = false;
-        // Only try to set IDLE if it exists
-        if (info.animations.IDLE) {
-            setAnimation(character, 'IDLE');
+    const slot = chooseSlotVariant(character, 'EMOTE');
+    if (!slot) {
+        if (character.role === 'player') {
+            debugLog('Cannot emote - no EMOTE animation exists');
         }
-    }, attackDuration * 1000);
+        return;
+    }
+
+    playAction(character, slot);
 }
 
-// Player movement and camera following
-function updatePlayer(deltaTime) {
-    if (!playerModel) return;
+// Fix the jump function to work properly with physics
+function performJump(character) {
+    const state = character.state;
 
-    // If attacking and not jumping, don't process movement
-    if (playerState.isAttacking && !playerState.isJumping) return;
+    // If no jump animation or already jumping, don't do anything
+    if (!canAct(character)) return;
+    if (state.isJumping) {
+        if (character.role === 'player') {
+            debugLog(`Cannot perform jump - already jumping`);
+        }
+        return;
+    }
 
-    let moving = false;
-    let running = false;
+    // Set the jumping state
+    state.isJumping = true;
+    state.actionSlot = null;
 
-    // Rotate with A/D keys
-    if (keys.a) {
-        playerModel.rotation.y += playerState.rotationSpeed * deltaTime;
+    // Set initial jump velocity
+    state.velocity.y = state.jumpSpeed;
+
+    // Play jump animation if it exists
+    if (character.animations.JUMP) {
+        setAnimation(character, 'JUMP');
     }
-    if (keys.d) {
-        playerModel.rotation.y -= playerState.rotationSpeed * deltaTime;
+
+    // Log the jump
+    if (character.role === 'player') {
+        debugLog(`Player is jumping with velocity: ${state.velocity.y}`);
     }
+}
+
+// Player movement
+function updatePlayer(deltaTime) {
+    const model = player.model;
+    const state = player.state;
+
+    // The combat system moves the player while it is dead or reeling from a hit
+    if (!model || !canAct(player)) return;
+
+    // If attacking and not jumping, stop and don't process movement
+    if (state.isAttacking && !state.isJumping) {
+        state.velocity.x = 0;
+        state.velocity.z = 0;
+        state.speed = 0;
+        return;
+    }
+
+    const { forward, strafe, turn } = getMovementInput();
+
+    // Rotate with the turn input (A/D keys)
+    model.rotation.y += state.rotationSpeed * turn * deltaTime;
 
     // Store the current rotation
-    playerState.rotation.y = playerModel.rotation.y;
+    state.rotation.y = model.rotation.y;
 
     // Handle jumping (vertical movement)
-    if (playerState.isJumping) {
+    if (state.isJumping) {
         // Apply gravity to vertical movement
-        playerState.velocity.y -= 9.8 * deltaTime;
+        state.velocity.y -= 9.8 * deltaTime;
 
         // Update vertical position
-        playerState.position.y += playerState.velocity.y * deltaTime;
+        state.position.y += state.velocity.y * deltaTime;
 
         // Check if player has returned to the ground
-        if (playerState.position.y <= 0) {
-            playerState.position.y = 0;
-            playerState.velocity.y = 0;
-            playerState.isJumping = false;
+        if (state.position.y <= 0) {
+            state.position.y = 0;
+            state.velocity.y = 0;
+            state.isJumping = false;
             debugLog("Player landed on the ground");
 
-            // Return to IDLE or WALK/RUN animation depending on if moving
-            if (keys.w || keys.s) {
-                moving = true;
-                running = keys.shift;
-
-                if (running && playerAnimations.RUN) {
-                    setAnimation('player', 'RUN');
-                } else if (playerAnimations.WALK) {
-                    setAnimation('player', 'WALK');
-                }
-            } else if (playerAnimations.IDLE) {
-                setAnimation('player', 'IDLE');
+            // Land with the LAND clip when standing still, otherwise go straight back to IDLE or WALK/RUN
+            if (forward === 0 && strafe === 0 && player.animations.LAND) {
+                playAction(player, 'LAND');
+            } else {
+                setAnimation(player, getLocomotionAnimation(player));
             }
         }
 
         // Update the vertical position of the model
-        playerModel.position.y = playerState.position.y;
+        model.position.y = state.position.y;
     }
 
-    // Move forward/backward with W/S keys
-    if (keys.w || keys.s) {
-        moving = true;
-        running = keys.shift;
+    // Speed up towards walking or running speed in the direction of the movement input (slower
+    // for sticks pushed part of the way), and slow down to a stop when it is released
+    const targetVelocity = new THREE.Vector3();
+    if (forward !== 0 || strafe !== 0) {
+        // The model faces (sin, cos) of its rotation, its right side is a quarter turn clockwise
+        const rotationY = model.rotation.y;
+        const direction = new THREE.Vector3(
+            Math.sin(rotationY) * forward - Math.cos(rotationY) * strafe,
+            0,
+            Math.cos(rotationY) * forward + Math.sin(rotationY) * strafe
+        ).normalize();
 
-        // Calculate forward direction based on current rotation
-        const direction = keys.w ? -1 : 1; // Inverted to fix the backward/forward issue
+        // Determine speed based on running or walking
+        const currentSpeed = playerInput.run ? state.runSpeed : state.moveSpeed;
+        targetVelocity.copy(direction).multiplyScalar(currentSpeed * Math.min(Math.hypot(forward, strafe), 1));
+    }
+    state.speed = rampVelocity(state.velocity, targetVelocity, deltaTime);
+
+    // Move with the velocity. In root motion mode the clip moves the player instead
+    // (see applyRootMotion), the keys only pick the clip
+    if (state.speed > 0 && !getActiveRootMotion(player)) {
+        // Calculate new position, sliding along the colliders and characters in the way
+        const next = state.position.clone();
+        next.x += state.velocity.x * deltaTime;
+        next.z += state.velocity.z * deltaTime;
+        collisionWorld.resolveMove(player, next);
+
+        state.position.x = next.x;
+        state.position.z = next.z;
+        model.position.x = state.position.x;
+        model.position.z = state.position.z;
+    }
 
-        // Calculate movement direction based on the model's forward direction
-        const forwardX = -Math.sin(playerModel.rotation.y);
-        const forwardZ = -Math.cos(playerModel.rotation.y);
+    // Moving cuts a LAND or EMOTE clip short
+    if (forward !== 0 || strafe !== 0) {
+        state.actionSlot = null;
+    }
 
-        // Determine speed based on running or walking
-        const currentSpeed = running ? playerState.runSpeed : playerState.moveSpeed;
-
-        // Move player in the direction they're facing
-        playerState.velocity.x = forwardX * currentSpeed * direction;
-        playerState.velocity.z = forwardZ * currentSpeed * direction;
-
-        // Calculate new position
-        const newPosX = playerState.position.x + playerState.velocity.x * deltaTime;
-        const newPosZ = playerState.position.z + playerState.velocity.z * deltaTime;
-
-        // Define map boundaries (half-width and half-depth of the ground plane)
-        const mapBoundary = 25;
-
-        // Simple collision detection with the tree - ADJUSTING RADIUS TO MATCH TRUNK SIZE
-        const treeRadius = 0.7;
-        const distanceToTree = Math.sqrt(newPosX * newPosX + newPosZ * newPosZ);
-
-        // Only update position if not colliding with tree AND within map boundaries
-        if (distanceToTree > treeRadius &&
-            Math.abs(newPosX) < mapBoundary &&
-            Math.abs(newPosZ) < mapBoundary) {
-            playerState.position.x = newPosX;
-            playerState.position.z = newPosZ;
-            playerModel.position.x = playerState.position.x;
-            playerModel.position.z = playerState.position.z;
-        }
+    // Update the animation when not jumping, attacking or playing a LAND or EMOTE clip
+    if (!state.isJumping && !state.isAttacking && !state.actionSlot) {
+        setAnimation(player, getLocomotionAnimation(player));
+    }
+
+    // Weight the blended slots by the speed reached
+    if (state.currentAnimation === BLEND_SLOT) {
+        player.blend.update(player, getCharacterBlendPoints(player), state.speed, getNaturalSpeeds(player), deltaTime);
     }
+}
+
+// Get the follow camera pose behind the player - adjusted to consider vertical position
+function getFollowCameraPose() {
+    if (!player.model) return null;
+
+    const cameraOffsetX = -Math.sin(player.model.rotation.y) * 10;
+    const cameraOffsetZ = -Math.cos(player.model.rotation.y) * 10;
+
+    return {
+        position: new THREE.Vector3(
+            player.state.position.x + cameraOffsetX,
+            player.state.position.y + 5,
+            player.state.position.z + cameraOffsetZ
+        ),
+        target: player.state.position.clone()
+    };
+}
+
+// Report with the details of the loaded model
+const modelReportPanel = createModelReportPanel();
+
+// Build and show the report of a model asset (by default the selected character's model), returning it
+function showModelReport(asset = selectedCharacter.asset) {
+    if (!asset || !asset.result) return;
+
+    const report = buildModelReport(asset.result, {
+        fileName: asset.name,
+        fileSize: asset.fileSize,
+        totalSize: asset.totalSize,
+        mapping: asset.mapping,
+        missingFiles: asset.missingFiles,
+        dracoDecoder: getDracoDecoderType()
+    });
+
+    debugLog('Model report', report);
+    modelReportPanel.show(report);
+    return report;
+}
 
-    // Update animation only if we have the needed animations and not jumping or attacking
-    if (!playerState.isJumping && !playerState.isAttacking) {
-        if (moving) {
-            if (running && playerAnimations.RUN) {
-                setAnimation('player', 'RUN');
-            } else if (playerAnimations.WALK) {
-                setAnimation('player', 'WALK');
+// Batch review: models queued in the Review Queue panel load into the player one at a time,
+// their report summary is kept with their verdict
+const reviewQueue = createReviewQueue();
+createReviewPanel({
+    queue: reviewQueue,
+    onOpen: entry => new Promise((resolve) => {
+        loadCustomModel(createModelFileSet(entry.entries, entry.path), 'player', (asset, report) => {
+            if (report) {
+                reviewQueue.update(entry.id, { details: getReviewDetails(report, asset.mapping) });
             }
-        } else if (playerAnimations.IDLE) {
-            setAnimation('player', 'IDLE');
+            resolve();
+        });
+    })
+});
+
+// Panel to assign clips to animation slots manually
+const slotMappingPanel = createSlotMappingPanel({
+    onAssign: (slot, clipName) => {
+        const asset = selectedCharacter.asset;
+        if (!asset) return;
+
+        const mapping = Object.assign({}, asset.mapping, { [slot]: clipName });
+
+        getCharactersWithAsset(asset).forEach(character => assignAnimationSlot(character, slot, clipName));
+        asset.mapping = mapping;
+        slotMappingPanel.update(asset.result.animations, mapping);
+
+        if (asset.hash) {
+            saveSlotMapping(asset.hash, mapping);
+        }
+    },
+    onReset: () => {
+        const asset = selectedCharacter.asset;
+        if (!asset) return;
+
+        if (asset.hash) {
+            clearSavedSlotMapping(asset.hash);
+        }
+
+        applySlotMapping(asset, detectAnimationSlots(asset.result.animations));
+    }
+});
+
+// Panel to adjust the scale, grounding and facing of the selected character's model
+const modelSetupPanel = createModelSetupPanel({
+    onChange: (settings) => {
+        const asset = selectedCharacter.asset;
+        if (!asset) return;
+
+        applyModelSettings(asset, settings);
+
+        if (asset.hash) {
+            saveModelSettings(asset.hash, settings);
+        }
+    },
+    onReset: () => {
+        const asset = selectedCharacter.asset;
+        if (!asset) return;
+
+        if (asset.hash) {
+            clearSavedModelSettings(asset.hash);
+        }
+
+        if (selectedCharacter.model) {
+            applyModelSettings(asset, getDefaultModelSettings(selectedCharacter.model, characterScale));
+        }
+    }
+});
+
+// Panel to play, pause and scrub any clip of the selected character
+const animationInspector = createAnimationInspector({
+    getMixer: () => selectedCharacter.mixer,
+    getClips: () => getCharacterClips(selectedCharacter),
+    onActivate: () => {
+        inspectedCharacter = selectedCharacter;
+        debugLog(`Animation inspector took over the ${inspectedCharacter.label} animations`);
+    },
+    onDeactivate: () => {
+        // Let the controller pick the right animation again on the next update
+        inspectedCharacter.state.currentAnimation = 'NONE';
+        debugLog(`Animation inspector released the ${inspectedCharacter.label} animations`);
+        inspectedCharacter = null;
+    }
+});
+
+// Panel to edit the cross-fade time between animation slots
+const transitionPanel = createTransitionPanel();
+
+// Panel to edit the slot table. Loaded models are detected again with the new rules,
+// keeping their saved manual mappings
+createSlotTablePanel({
+    onChange: () => {
+        const assets = new Set(getCharacters().map(character => character.asset).filter(asset => asset && asset.result));
+
+        assets.forEach((asset) => {
+            const clips = asset.result.animations;
+            const savedMapping = asset.hash ? loadSavedSlotMapping(asset.hash) : null;
+            applySlotMapping(asset, mergeSlotMapping(detectAnimationSlots(clips), savedMapping, clips));
+        });
+
+        transitionPanel.update();
+        npcBehaviorPanel.updateSlots();
+        debugLog('Slot table changed', getSlotTable());
+    }
+});
+
+// Panel listing the player and the NPCs, to spawn and remove NPCs and pick the character to edit
+const characterPanel = createCharacterPanel({
+    spawnPoints,
+    onSelect: (id) => {
+        const character = getCharacters().find(character => character.id === id);
+        if (character) {
+            selectCharacter(character);
+        }
+    },
+    onSpawn: (spawnIndex, count) => spawnNpcs(spawnIndex, count),
+    onRemove: (id) => removeNpc(id)
+});
+
+// Show the characters in the character panel and the upload target list
+function updateCharacterList() {
+    characterPanel.update(getCharacters(), selectedCharacter.id);
+    updateUploadTargets();
+}
+
+// Show the selected character's model in the slot mapping, model setup and inspector panels
+function updateModelPanels() {
+    const character = selectedCharacter;
+    if (!character.model) return;
+
+    const asset = character.asset;
+    slotMappingPanel.update(asset.result.animations, asset.mapping);
+    modelSetupPanel.update(asset.settings, applyModelNormalization(character.model, asset.settings), getRootMotionInfo(asset));
+    animationInspector.refresh();
+    capturePanel.refresh();
+    updateLocomotionClips();
+}
+
+// Follow camera with an orbit/inspection mode and preset views
+const cameraController = createCameraController({
+    camera,
+    domElement: renderer.domElement,
+    getFollowPose: getFollowCameraPose,
+    getTargetBox: () => {
+        if (modelComparison.isActive()) return modelComparison.getBounds();
+        return player.model ? new THREE.Box3().setFromObject(player.model) : null;
+    },
+    getHeading: () => {
+        if (modelComparison.isActive()) return modelComparison.getHeading();
+        return player.model ? player.model.rotation.y : null;
+    }
+});
+
+// Panel to rebind the player actions
+createInputPanel({ input });
+
+// Debug overlays for skeletons, wireframe, normals, bounding boxes, colliders, NPC ranges and hit areas
+const debugView = createDebugView({
+    scene,
+    getCharacters: () => (modelComparison.isActive() ? modelComparison.getModels() :
+        getCharacters().map(character => character.model).filter(Boolean)),
+    getColliders: collisionWorld.getColliders,
+    getBodies: () => getCharacters().filter(character => character.body).map(character => ({
+        position: character.state.position,
+        radius: character.body.radius,
+        height: character.body.height
+    })),
+    getEnemyRanges: () => npcs.filter(npc => npc.model).map(npc => ({
+        position: npc.state.position,
+        attackRange: getNpcSetting('attackRange'),
+        sightRange: getNpcSetting('sightRange')
+    })),
+    getHitAreas: () => getCharacters().filter(character => character.model).map(getHitArea).filter(Boolean)
+});
+
+// NPC state machine: idle, patrol, chase, attack, search and return home
+const npcController = createNpcController({
+    getTarget: () => (player.model && !player.state.isDead ? player.state.position : null),
+    getColliders: collisionWorld.getColliders,
+    resolveMove: collisionWorld.resolveMove,
+    setAnimation,
+    performAttack
+});
+
+// Panel with the NPC behavior parameters and the state labels shown above the NPCs
+const npcBehaviorPanel = createNpcBehaviorPanel();
+const characterLabels = createCharacterLabels(camera);
+
+// Speed blend parameters and readout, with the meter of the player's foot slide
+const locomotionPanel = createLocomotionPanel();
+const footSlideMeter = createFootSlideMeter();
+
+// Health, hit detection during ATTACK clips, knockback, HIT/DIE reactions and respawns
+const combatPanel = createCombatPanel();
+
+const combatSystem = createCombatSystem({
+    getCharacters,
+    resolveMove: collisionWorld.resolveMove,
+    setAnimation,
+    getLocomotionAnimation,
+    // The player respawns at the level's spawn point, NPCs at their home
+    getRespawnPoint: character => (character.brain ?
+        { position: character.brain.home, rotationY: character.state.rotation.y } :
+        levelManager.getLevel().spawns.player),
+    onHit: (attacker, target, damage) => {
+        debugLog(`${attacker.label} hit ${target.label} for ${damage} damage`, { health: target.state.health });
+    },
+    onDeath: character => debugLog(`${character.label} died`),
+    onRespawn: (character) => {
+        if (character.brain) {
+            character.brain = createNpcBrain(character.brain.home, character.brain.waypoints);
         }
+        debugLog(`${character.label} respawned`);
     }
+});
+
+// Get the label shown above a character: the NPC state (when the state labels are shown)
+// and the health bar (when health bars are shown)
+function getCharacterLabel(character) {
+    const showState = character.brain && npcBehaviorPanel.areLabelsVisible();
+    const showHealth = combatPanel.areHealthBarsVisible();
+    if (!showState && !showHealth) return null;
+
+    // Combat reactions take over from the state machine
+    let status = getNpcStateLabel(character);
+    if (character.state.isDead) {
+        status = 'DEAD';
+    } else if (character.state.hitStun > 0) {
+        status = 'HIT';
+    }
+
+    return {
+        id: character.id,
+        position: getHeadPosition(character),
+        text: showState ? `${character.label}: ${status}` : '',
+        health: showHealth ? character.state.health / getCombatSetting('maxHealth') : null
+    };
+}
+
+// Get the point just above a character's head
+function getHeadPosition(character) {
+    const model = character.model;
+    const height = getModelHeight(model) * model.userData.normalizer.scale.y;
+    return model.position.clone().setY(model.position.y + height + 0.3);
+}
+
+// Lighting presets, HDRI environments, tone mapping and shadow quality
+const environmentLighting = createEnvironmentLighting({
+    scene,
+    renderer,
+    lights: { ambient: ambientLight, directional: directionalLight, hemisphere: hemisphereLight }
+});
+
+// Level: ground, props, colliders, spawn points and lighting, from a level file or an
+// environment model. The tree scene is the built-in default
+const levelManager = createLevelManager({
+    scene,
+    collisionWorld,
+    environmentLighting,
+    createGLTFLoader,
+    onLevelLoaded: placeCharactersInLevel
+});
+levelManager.loadDefaultLevel();
 
-    // Update camera position to follow player - adjusted to consider vertical position
-    const cameraOffsetX = -Math.sin(playerModel.rotation.y) * 10;
-    const cameraOffsetZ = -Math.cos(playerModel.rotation.y) * 10;
+// Move a character to a position and heading
+function placeCharacter(character, position, rotationY) {
+    character.state.position.copy(position);
+    character.state.rotation.y = rotationY;
+    character.state.velocity.set(0, 0, 0);
 
-    camera.position.x = playerState.position.x + cameraOffsetX;
-    camera.position.z = playerState.position.z + cameraOffsetZ;
-    camera.position.y = playerState.position.y + 5;
-    camera.lookAt(playerState.position);
+    if (character.model) {
+        character.model.position.copy(position);
+        character.model.rotation.y = rotationY;
+    }
 }
 
-// Enemy AI
-function updateEnemy(deltaTime) {
-    if (!enemyModel || !playerModel || enemyState.isAttacking) return;
+// Move the characters to the spawn points of a newly loaded level
+function placeCharactersInLevel(level) {
+    spawnPoints.splice(0, spawnPoints.length, ...level.spawns.npcs);
+    characterPanel.setSpawnPoints(spawnPoints);
 
-    // Calculate direction to player
-    const direction = new THREE.Vector3().subVectors(playerState.position, enemyState.position);
-    const distance = direction.length();
+    placeCharacter(player, level.spawns.player.position, level.spawns.player.rotationY);
 
-    // Update enemy behavior based on distance to player
-    if (distance < enemyState.attackDistance) {
-        // Attack the player if cooldown expired
-        if (enemyState.attackCooldown <= 0) {
-            performAttack('enemy');
-            enemyState.attackCooldown = 2; // 2 seconds cooldown
+    // Spread the NPCs over the spawn points, they now live and patrol there
+    npcs.forEach((npc, index) => {
+        const spawnPoint = spawnPoints[index % spawnPoints.length];
+        const offset = Math.floor(index / spawnPoints.length) * spawnSpacing;
+        const position = spawnPoint.position.clone().add(new THREE.Vector3(offset, 0, 0));
+
+        placeCharacter(npc, position, npc.state.rotation.y);
+        npc.brain = createNpcBrain(position, spawnPoint.waypoints);
+    });
+
+    debugLog(`Loaded level "${level.name}"`, level);
+}
+
+// Screenshots, turntables, WebM videos and PNG sequences of the selected character. Clip captures
+// take over its mixer like the animation inspector does
+const captureController = createCaptureController({
+    renderer,
+    scene,
+    camera,
+    getCharacter: () => selectedCharacter,
+    takeOverMixer: (character) => {
+        if (inspectedCharacter) {
+            throw new Error('the Animation Inspector is playing a clip, go back to the controller first');
         }
-    } else if (distance < enemyState.followDistance) {
-        // Follow the player
-        direction.normalize();
-
-        // Determine the angle to rotate the enemy
-        const targetAngle = Math.atan2(direction.x, direction.z);
-
-        // Smoothly rotate the enemy
-        const currentAngle = enemyModel.rotation.y;
-        let angleDiff = targetAngle - currentAngle;
-
-        // Handle crossing the -PI to PI boundary
-        if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-        if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-
-        enemyModel.rotation.y += angleDiff * Math.min(3 * deltaTime, 1.0);
-        enemyState.rotation.y = enemyModel.rotation.y;
-
-        // Calculate movement direction based on the model's forward direction
-        const forwardX = -Math.sin(enemyModel.rotation.y);
-        const forwardZ = -Math.cos(enemyModel.rotation.y);
-
-        // Move enemy towards player (use -1 to match the player's forward direction)
-        enemyState.velocity.x = forwardX * enemyState.moveSpeed * -1;
-        enemyState.velocity.z = forwardZ * enemyState.moveSpeed * -1;
-
-        // Calculate new position for enemy
-        const newPosX = enemyState.position.x + enemyState.velocity.x * deltaTime;
-        const newPosZ = enemyState.position.z + enemyState.velocity.z * deltaTime;
-
-        // Define map boundaries (half-width and half-depth of the ground plane)
-        const mapBoundary = 25; // Half of the 50x50 ground size
-
-        // Simple collision detection with the tree
-        const treeRadius = 0.7; // Adjusted to match actual tree trunk radius
-        const distanceToTree = Math.sqrt(newPosX * newPosX + newPosZ * newPosZ);
-
-        // Only update position if not colliding with tree AND within map boundaries
-        if (distanceToTree > treeRadius &&
-            Math.abs(newPosX) < mapBoundary &&
-            Math.abs(newPosZ) < mapBoundary) {
-            enemyState.position.x = newPosX;
-            enemyState.position.z = newPosZ;
-            enemyModel.position.copy(enemyState.position);
+        inspectedCharacter = character;
+    },
+    releaseMixer: (character) => {
+        // Let the controller pick the right animation again on the next update
+        character.state.currentAnimation = 'NONE';
+        inspectedCharacter = null;
+    },
+    onSave: (blob, fileName) => downloadFile(blob, fileName)
+});
+const capturePanel = createCapturePanel({
+    capture: captureController,
+    getClips: () => getCharacterClips(selectedCharacter)
+});
+
+// Player input recording and replay, to play the same session on several models or revisions
+const recordingPanel = createRecordingPanel({
+    onRecord: startRecording,
+    onStop: stopSession,
+    onReplay: startReplay
+});
+
+// A/B comparison of two models, for example two versions of the same character. While it is shown
+// the game pauses, the characters are hidden and the camera orbits the compared models
+const modelComparison = createModelComparison({ scene, baseScale: characterScale, getPlaybackClip });
+const comparisonPanel = createComparisonPanel({
+    comparison: modelComparison,
+    onLoad: loadComparisonModel,
+    onUsePlayer: (side) => {
+        if (!player.asset || !player.asset.result) return;
+        modelComparison.setAsset(side, player.asset);
+        comparisonPanel.refresh();
+    },
+    onStart: startComparison,
+    onStop: stopComparison,
+    getDiff: getComparisonDiff
+});
+
+// Camera mode to go back to when the comparison ends
+let modeBeforeComparison = 'follow';
+
+// Show the compared models where the player stands and orbit the camera around them
+function startComparison() {
+    modelComparison.start(player.state.position, player.state.rotation.y);
+    getCharacters().forEach((character) => {
+        if (character.model) character.model.visible = false;
+    });
+
+    modeBeforeComparison = cameraController.getMode();
+    cameraController.showPreset('front');
+    debugLog('Comparing models', ['a', 'b'].map(side => (modelComparison.getAsset(side) ? modelComparison.getAsset(side).name : null)));
+}
+
+// Go back to the game
+function stopComparison() {
+    modelComparison.stop();
+    getCharacters().forEach((character) => {
+        if (character.model) character.model.visible = true;
+    });
+
+    cameraController.setMode(modeBeforeComparison);
+}
+
+// Load uploaded model files into a side of the comparison
+function loadComparisonModel(side, entriesPromise) {
+    entriesPromise
+        .then(entries => expandArchives(entries))
+        .then((entries) => {
+            const fileSet = createModelFileSet(entries);
+            if (!fileSet.rootPath) {
+                alert('Please upload a .glb, .gltf, .fbx, .obj or .dae file (optionally with its textures, a folder or a .zip)');
+                return;
+            }
+
+            const asset = createUploadedAsset(fileSet);
+            loadModelFromFileSet(fileSet, createGLTFLoader,
+                (result) => {
+                    debugLog(`Model ${side.toUpperCase()} of the comparison loaded`, result);
+                    asset.result = result;
+                    fileSet.dispose();
+
+                    modelComparison.setAsset(side, asset);
+                    comparisonPanel.refresh();
+
+                    // The comparison shows the slot mapping and settings saved for the model
+                    restoreSavedModelData(asset, fileSet.rootFile).then(() => comparisonPanel.refresh());
+                },
+                undefined,
+                (error) => {
+                    console.error('Error loading compared model:', error);
+                    alert('Error loading model. Please try a different file.');
+                    fileSet.dispose();
+                }
+            );
+        })
+        .catch((error) => {
+            console.error('Error reading compared files:', error);
+            alert('Error reading the uploaded files. Please try again.');
+        });
+}
+
+// Get the differences of the two compared models, or null until both are loaded
+function getComparisonDiff() {
+    const sides = ['a', 'b'].map(side => modelComparison.getAsset(side));
+    if (sides.some(asset => !asset || !asset.result)) return null;
+
+    const [a, b] = sides.map(asset => ({
+        report: buildModelReport(asset.result, { fileName: asset.name, fileSize: asset.fileSize, mapping: asset.mapping }),
+        mapping: asset.mapping,
+        bones: getBoneNames(asset.result.scene)
+    }));
+    return compareModels(a, b);
+}
+
+// Put the simulation back in its starting state: the characters at their spawn points and
+// homes, the clocks at 0 and the random numbers reseeded, so a session plays out the same way
+function resetSimulation(seed) {
+    simulationTime = 0;
+    simulationLag = 0;
+    simulationSeed = seed;
+    random = createSeededRandom(seed);
+    pendingPresses.length = 0;
+    playerInput = createStepInput();
+
+    getCharacters().forEach((character) => {
+        const state = character.state;
+        state.hitStun = 0;
+        state.respawnTime = 0;
+        state.speed = 0;
+        state.comboIndex = 0;
+        state.lastAttackEnd = -Infinity;
+        state.attackCooldown = 0;
+        combatSystem.respawn(character);
+
+        if (character.brain) {
+            placeCharacter(character, character.brain.home, initialYRotation);
         }
+    });
+    footSlideMeter.reset();
+}
 
-        setAnimation('enemy', 'WALK');
-    } else {
-        // Idle when too far
-        setAnimation('enemy', 'IDLE');
+// Start recording the player's input from a reset simulation
+function startRecording() {
+    const level = levelManager.getLevel();
+
+    resetSimulation(Math.floor(Math.random() * 0x7fffffff));
+    inputSession.startRecording({
+        step: SIMULATION_STEP,
+        seed: simulationSeed,
+        model: player.asset ? player.asset.name : null,
+        level: level ? level.name : null,
+        recordedAt: new Date().toISOString()
+    });
+    debugLog('Recording the player input', { seed: simulationSeed });
+}
+
+// Replay a recording on the player's current model, from a reset simulation
+function startReplay(recording) {
+    if (Math.abs(recording.step - SIMULATION_STEP) > 1e-9) {
+        alert(`This recording was made with ${(1 / recording.step).toFixed(0)} steps per second, replays use ${(1 / SIMULATION_STEP).toFixed(0)}: the result may differ.`);
     }
 
-    // Update attack cooldown
-    if (enemyState.attackCooldown > 0) {
-        enemyState.attackCooldown -= deltaTime;
+    resetSimulation(recording.seed);
+    inputSession.startReplay(recording);
+    debugLog(`Replaying ${recording.steps} recorded steps`, { model: recording.model, level: recording.level });
+}
+
+// Stop recording or replaying. Returns the finished recording (null when replaying)
+function stopSession() {
+    return inputSession.stop(getSessionResult());
+}
+
+// Get the state the player ended a session in, compared between a recording and its replays
+function getSessionResult() {
+    const state = player.state;
+    return {
+        position: { x: state.position.x, y: state.position.y, z: state.position.z },
+        rotationY: state.rotation.y,
+        health: state.health,
+        animation: state.currentAnimation
+    };
+}
+
+// Advance the simulation by one step: the player's input (live, recorded or replayed), the
+// animation mixers, the player, the NPCs and combat
+function stepSimulation(deltaTime) {
+    const liveInput = Object.assign(createStepInput(), input.getMovement(), {
+        run: input.isDown('run'),
+        crouch: input.isDown('crouch'),
+        presses: pendingPresses.splice(0)
+    });
+    playerInput = inputSession.next(liveInput);
+    playerInput.presses.forEach(handlePress);
+
+    // Update animation mixers, noting where the player's clip was to move it by the root motion played
+    const rootMotion = getActiveRootMotion(player);
+    const rootMotionTime = rootMotion ? rootMotion.action.time : 0;
+
+    getCharacters().forEach(character => {
+        if (character.mixer) character.mixer.update(deltaTime);
+    });
+
+    if (rootMotion) {
+        applyRootMotion(player, rootMotion, rootMotionTime);
+    }
+
+    updatePlayer(deltaTime);
+    updateLocomotionStatus(deltaTime);
+
+    // Update NPC AI, skipping NPCs that are dead or reeling from a hit
+    npcs.filter(canAct).forEach(npc => npcController.update(npc, deltaTime));
+
+    // Hits, knockback and respawns
+    combatSystem.update(deltaTime);
+
+    simulationTime += deltaTime;
+
+    // Compare the end of a replay with the end of the recording
+    if (inputSession.isReplayFinished()) {
+        const result = getSessionResult();
+        inputSession.stop();
+        recordingPanel.showReplayResult(result);
+        debugLog('Replay finished', result);
     }
 }
 
@@ -694,17 +1408,39 @@ const clock = new THREE.Clock();
 function animate() {
     requestAnimationFrame(animate);
 
-    const deltaTime = clock.getDelta();
+    const frameTime = Math.min(clock.getDelta(), MAX_FRAME_TIME);
 
-    // Update animation mixers
-    if (playerMixer) playerMixer.update(deltaTime);
-    if (enemyMixer) enemyMixer.update(deltaTime);
+    // Poll the gamepads
+    input.update();
 
-    // Update player and camera
-    updatePlayer(deltaTime);
+    // Run the simulation steps due by now, the game pauses while models are compared
+    const comparing = modelComparison.isActive();
+    if (!comparing) {
+        simulationLag += frameTime;
+        while (simulationLag >= SIMULATION_STEP) {
+            stepSimulation(SIMULATION_STEP);
+            simulationLag -= SIMULATION_STEP;
+        }
+    }
+    modelComparison.update(frameTime);
+    comparisonPanel.update();
 
-    // Update enemy AI
-    updateEnemy(deltaTime);
+    // A turntable capture moves the camera instead of the camera controller
+    if (!captureController.update(frameTime)) {
+        cameraController.update(frameTime);
+    }
+    capturePanel.update();
+
+    // Keep the animation inspector timeline in sync
+    animationInspector.update();
+
+    // The state labels and health bars
+    characterLabels.update(comparing ? modelComparison.getLabels() :
+        getCharacters().filter(character => character.model).map(getCharacterLabel).filter(Boolean));
+
+    // Update debug overlays
+    debugView.update();
+    recordingPanel.update({ mode: inputSession.getMode(), time: inputSession.getStep() * SIMULATION_STEP });
 
     // Render scene
     renderer.render(scene, camera);
@@ -718,22 +1454,57 @@ function createUploadUI() {
     uploadContainer.className = 'upload-container';
     uploadContainer.innerHTML = `
         <div class="upload-box" id="upload-box">
-            <p>Drag & Drop your 3D model here<br>or</p>
-            <input type="file" id="file-input" accept=".glb,.gltf">
-            <label for="file-input">Select File</label>
-            <p class="supported-formats">Supported formats: GLB, GLTF</p>
+            <label class="upload-target">
+                Load into
+                <select id="upload-target"></select>
+            </label>
+            <p>Drag & Drop your 3D model, its folder or a .zip here<br>or</p>
+            <input type="file" id="file-input" accept=".glb,.gltf,.fbx,.obj,.mtl,.dae,.bin,.png,.jpg,.jpeg,.webp,.tga,.ktx2,.zip,.hdr,.exr,.json" multiple>
+            <label for="file-input">Select Files</label>
+            <input type="file" id="folder-input" webkitdirectory multiple>
+            <label for="folder-input">Select Folder</label>
+            <p class="supported-formats">Supported formats: GLB, GLTF (with .bin and textures), FBX, OBJ (with MTL), DAE, ZIP (or an HDR/EXR environment, or a JSON level)</p>
+            <button type="button" class="report-button" id="report-button">Show Model Report</button>
         </div>
     `;
 
     document.body.appendChild(uploadContainer);
 
+    document.getElementById('report-button').addEventListener('click', () => showModelReport());
+
     setupUploadListeners();
+    updateUploadTargets();
+}
+
+// Fill the upload target list: the player, all NPCs (and the NPCs spawned later), a single NPC
+// or the level (the model is used as the environment)
+function updateUploadTargets() {
+    const select = document.getElementById('upload-target');
+    if (!select) return;
+
+    const previousValue = select.value;
+    const targets = [{ id: 'player', label: 'Player' }, { id: 'npcs', label: 'All NPCs' }]
+        .concat(npcs, { id: 'level', label: 'Level (environment)' });
+
+    select.innerHTML = targets.map(target =>
+        `<option value="${target.id}">${escapeHTML(target.label)}</option>`
+    ).join('');
+
+    // Keep the previous choice unless that NPC was removed
+    select.value = targets.some(target => target.id === previousValue) ? previousValue : 'player';
+}
+
+// Get the characters an upload target applies to
+function getUploadTargetCharacters(targetId) {
+    if (targetId === 'npcs') return npcs.slice();
+    return getCharacters().filter(character => character.id === targetId);
 }
 
 // Set up event listeners for file upload
 function setupUploadListeners() {
     const uploadBox = document.getElementById('upload-box');
     const fileInput = document.getElementById('file-input');
+    const folderInput = document.getElementById('folder-input');
 
     // Highlight drop area when file is dragged over it
     ['dragenter', 'dragover'].forEach(eventName => {
@@ -751,328 +1522,454 @@ function setupUploadListeners() {
         }, false);
     });
 
-    // Handle file drop
+    // Handle file drop (single files, multiple files or whole folders)
     uploadBox.addEventListener('drop', e => {
         e.preventDefault();
-        const file = e.dataTransfer.files[0];
-        if (file && isValidModelFile(file)) {
-            loadCustomModel(file);
-        } else {
-            alert('Please upload a .glb or .gltf file');
-        }
+        handleUploadedFiles(collectDroppedFiles(e.dataTransfer));
     }, false);
 
-    // Handle file selection via the input
-    fileInput.addEventListener('change', e => {
-        const file = e.target.files[0];
-        if (file && isValidModelFile(file)) {
-            loadCustomModel(file);
-        } else {
-            alert('Please upload a .glb or .gltf file');
-        }
-    }, false);
-}
+    // Handle file and folder selection via the inputs
+    [fileInput, folderInput].forEach(input => {
+        input.addEventListener('change', e => {
+            handleUploadedFiles(Promise.resolve(collectInputFiles(e.target.files)));
 
-// Check if file is a valid 3D model format
-function isValidModelFile(file) {
-    const validExtensions = ['.glb', '.gltf'];
-    const fileName = file.name.toLowerCase();
-    return validExtensions.some(ext => fileName.endsWith(ext));
+            // Allow selecting the same files again
+            e.target.value = '';
+        }, false);
+    });
 }
 
-// Load custom model from user's file
-function loadCustomModel(file) {
-    debugLog('Loading custom model', file.name);
+// Resolve the uploaded files (expanding archives) and load the model they contain
+function handleUploadedFiles(entriesPromise) {
+    // Read the target now, it may change while the files are being read
+    const targetId = document.getElementById('upload-target').value;
+
+    entriesPromise
+        .then(entries => expandArchives(entries))
+        .then(entries => {
+            // Models and .json level files uploaded into the level replace it. Uploaded elsewhere, a
+            // .json is only a level file when no model comes with it (exporters add metadata .json files)
+            const hasJSON = entries.some(entry => entry.path.toLowerCase().endsWith('.json'));
+            const hasModel = entries.some(entry => isModelPath(entry.path));
+            if (targetId === 'level' ? hasModel || hasJSON : hasJSON && !hasModel) {
+                levelManager.loadUploadedLevel(Promise.resolve(entries));
+                return;
+            }
+
+            const fileSet = createModelFileSet(entries);
 
-    // Create a URL for the file
-    const url = URL.createObjectURL(file);
+            // A dropped .hdr or .exr without a model is loaded as the environment
+            const environmentEntry = entries.find(entry => isEnvironmentFile(entry.path));
+            if (!fileSet.rootPath && environmentEntry) {
+                environmentLighting.loadEnvironmentFile(environmentEntry.file);
+                return;
+            }
 
-    // Track the old models to ensure proper cleanup
-    const oldPlayerModel = playerModel;
-    const oldEnemyModel = enemyModel;
+            if (!fileSet.rootPath) {
+                alert('Please upload a .glb, .gltf, .fbx, .obj or .dae file (optionally with its textures, a folder or a .zip)');
+                return;
+            }
 
-    // Reset all animation states
-    playerAnimations = {};
-    enemyAnimations = {};
-    animationMap.player = {
-        IDLE: { clip: null, duration: 0 },
-        WALK: { clip: null, duration: 0 },
-        RUN: { clip: null, duration: 0 },
-        JUMP: { clip: null, duration: 0 },
-        ATTACK: { clip: null, duration: 0 }
-    };
-    animationMap.enemy = {
-        IDLE: { clip: null, duration: 0 },
-        WALK: { clip: null, duration: 0 },
-        RUN: { clip: null, duration: 0 },
-        JUMP: { clip: null, duration: 0 },
-        ATTACK: { clip: null, duration: 0 }
-    };
+            if (fileSet.modelPaths.length > 1) {
+                debugLog(`Multiple model files uploaded, using "${fileSet.rootPath}"`, fileSet.modelPaths);
+            }
 
-    // First load for player
-    loader.load(
-        url,
+            loadCustomModel(fileSet, targetId);
+        })
+        .catch(error => {
+            console.error('Error reading uploaded files:', error);
+            alert('Error reading the uploaded files. Please try again.');
+        });
+}
+
+// Create the model asset of an uploaded file set, its result is set once loaded
+function createUploadedAsset(fileSet) {
+    const totalSize = Array.from(fileSet.files.values()).reduce((total, file) => total + file.size, 0);
+    return createModelAsset({
+        name: fileSet.rootName,
+        fileSize: fileSet.rootFile.size,
+        totalSize,
+        missingFiles: fileSet.missingFiles
+    });
+}
+
+// Load a custom model from the user's uploaded file set into the characters of an upload target.
+// onDone(asset, report) is called once it is loaded and its saved data restored, or with nulls when it fails
+function loadCustomModel(fileSet, targetId, onDone = () => {}) {
+    debugLog(`Loading custom model for ${targetId}`, fileSet.rootPath);
+
+    const asset = createUploadedAsset(fileSet);
+
+    // Relative URIs inside the model are resolved against the uploaded files
+    loadModelFromFileSet(fileSet, createGLTFLoader,
         // Success callback
-        (gltf) => {
-            debugLog('Custom model loaded successfully for player', gltf);
-
-            // Store player position and rotation before removing the old model
-            const playerPos = playerState.position.clone();
-            const playerRot = playerState.rotation.clone();
-
-            // Remove existing player model if it exists
-            if (oldPlayerModel) {
-                // Stop all animations before removing
-                if (playerMixer) {
-                    playerMixer.stopAllAction();
-                    playerMixer.uncacheRoot(oldPlayerModel);
-                }
-                scene.remove(oldPlayerModel);
+        (result) => {
+            debugLog(`Custom model loaded successfully for ${targetId}`, result);
+            asset.result = result;
+
+            // NPCs spawned from now on use the model uploaded for all NPCs
+            if (targetId === 'npcs') {
+                npcAsset = asset;
             }
 
-            // Player model setup
-            playerModel = gltf.scene;
+            // Each target character gets its own copy, keeping its position and rotation
+            const targets = getUploadTargetCharacters(targetId);
+            targets.forEach(character => setCharacterModel(character, asset));
 
-            // Set up model properties
-            playerModel.traverse((node) => {
-                if (node.isMesh) {
-                    node.castShadow = true;
-                    node.receiveShadow = true;
-                }
-            });
+            if (targets.length > 0) {
+                selectCharacter(targets[0]);
+            }
 
-            // Apply scale to player model
-            playerModel.scale.set(characterScale, characterScale, characterScale);
-
-            // Apply rotation and position from saved values
-            playerModel.rotation.copy(playerRot);
-            playerModel.position.copy(playerPos);
-            scene.add(playerModel);
-
-            // Save current state
-            playerState.position.copy(playerPos);
-            playerState.rotation.copy(playerRot);
-            playerState.currentAnimation = 'NONE';
-
-            // Create a new animation mixer for the player
-            playerMixer = new THREE.AnimationMixer(playerModel);
-
-            // Process animations for player
-            processModelAnimations(gltf, 'player');
-
-            // Now load for the enemy
-            loader.load(
-                url,
-                // Success callback for enemy
-                (gltf) => {
-                    debugLog('Custom model loaded successfully for enemy', gltf);
-
-                    // Store enemy position and rotation before removing old model
-                    const enemyPos = enemyState.position.clone();
-                    const enemyRot = enemyState.rotation.clone();
-
-                    // Remove existing enemy model if it exists
-                    if (oldEnemyModel) {
-                        // Stop all animations before removing
-                        if (enemyMixer) {
-                            enemyMixer.stopAllAction();
-                            enemyMixer.uncacheRoot(oldEnemyModel);
-                        }
-                        scene.remove(oldEnemyModel);
-                    }
-
-                    // Enemy model setup
-                    enemyModel = gltf.scene;
-
-                    // Set up enemy model properties
-                    enemyModel.traverse((node) => {
-                        if (node.isMesh) {
-                            node.castShadow = true;
-                            node.receiveShadow = true;
-                        }
-                    });
-
-                    // Apply scale to enemy model
-                    enemyModel.scale.set(characterScale, characterScale, characterScale);
-
-                    // Apply rotation and position from saved values
-                    enemyModel.rotation.copy(enemyRot);
-                    enemyModel.position.copy(enemyPos);
-                    scene.add(enemyModel);
-
-                    // Save current state
-                    enemyState.position.copy(enemyPos);
-                    enemyState.rotation.copy(enemyRot);
-                    enemyState.currentAnimation = 'NONE';
-
-                    // Create a new animation mixer for the enemy
-                    enemyMixer = new THREE.AnimationMixer(enemyModel);
-
-                    // Process animations for enemy
-                    processModelAnimations(gltf, 'enemy');
-
-                    // Clean up the object URL after both models are set up
-                    URL.revokeObjectURL(url);
-
-                    const foundAnimations = Object.keys(playerAnimations).filter(key => playerAnimations[key] !== undefined);
-                    alert(`Model "${file.name}" loaded successfully!\nFound animations: ${foundAnimations.join(', ') || 'None'}`);
-                },
-                // Progress callback for enemy
-                (xhr) => {
-                    if (xhr.lengthComputable) {
-                        const percent = (xhr.loaded / xhr.total * 100).toFixed(2);
-                        debugLog(`Enemy model loading progress: ${percent}%`);
-                    }
-                },
-                // Error callback for enemy
-                (error) => {
-                    console.error('Error loading enemy model:', error);
-                    debugLog('ERROR loading enemy model', error);
-                    URL.revokeObjectURL(url);
-                }
-            );
+            // Clean up the object URLs once the model and its resources are loaded
+            fileSet.dispose();
+
+            if (fileSet.missingFiles.length > 0) {
+                debugLog('WARNING: Some referenced files were not uploaded', fileSet.missingFiles);
+            }
+
+            // Restore the slot mapping and settings saved for this model, then show the model report
+            restoreSavedModelData(asset, fileSet.rootFile).then(() => onDone(asset, showModelReport(asset)));
         },
-        // Progress callback for player
+        // Progress callback
         (xhr) => {
             if (xhr.lengthComputable) {
                 const percent = (xhr.loaded / xhr.total * 100).toFixed(2);
-                debugLog(`Player model loading progress: ${percent}%`);
+                debugLog(`Custom model loading progress: ${percent}%`);
             }
         },
-        // Error callback for player
+        // Error callback
         (error) => {
-            console.error('Error loading player model:', error);
-            debugLog('ERROR loading player model', error);
-            alert('Error loading model. Please try a different file.');
-            URL.revokeObjectURL(url);
+            console.error('Error loading custom model:', error);
+            debugLog('ERROR loading custom model', error);
+            const missing = fileSet.missingFiles.length > 0 ?
+                `\nMissing files: ${fileSet.missingFiles.join(', ')}` : '';
+            alert(`Error loading model. Please try a different file.${missing}`);
+            fileSet.dispose();
+            onDone(null, null);
         }
     );
 }
 
-// Helper function to process animations for both player and enemy
-function processModelAnimations(gltf, characterType) {
-    const info = characterType === 'player' ?
-        { animations: playerAnimations, map: animationMap.player, mixer: playerMixer, state: playerState } :
-        { animations: enemyAnimations, map: animationMap.enemy, mixer: enemyMixer, state: enemyState };
+// Assign a clip (by name) to an animation slot of a character, or clear the slot when clipName is null
+function assignAnimationSlot(character, slot, clipName) {
+    const clip = clipName ? getCharacterClips(character).find(clip => clip.name === clipName) : null;
+    const wasPlaying = character.state.currentAnimation === slot;
+    const wasBlended = character.state.currentAnimation === BLEND_SLOT && BLEND_SLOTS.includes(slot);
 
-    let hasFoundValidAnimation = false;
+    // Stop the action that currently holds the slot
+    if (character.animations[slot]) {
+        character.animations[slot].stop();
+    }
 
-    // Process animations - only accept those with specific names
-    gltf.animations.forEach((clip) => {
-        const name = clip.name.toUpperCase();
+    if (!clip) {
+        character.map[slot] = { clip: null, duration: 0 };
+        delete character.animations[slot];
 
-        // Check for IDLE animations
-        if (name.includes('IDLE') || name.includes('STOPPED')) {
-            info.map.IDLE.clip = clip;
-            info.map.IDLE.duration = clip.duration;
-            info.animations.IDLE = info.mixer.clipAction(clip);
-            info.animations.IDLE.setLoop(THREE.LoopRepeat);
-            if (characterType === 'player') {
-                debugLog(`Found IDLE animation for ${characterType}: "${clip.name}"`);
-            }
-            hasFoundValidAnimation = true;
+        // A swing or action can't end without its clip
+        if (character.state.attackSlot === slot) {
+            character.state.isAttacking = false;
+            character.state.attackSlot = null;
         }
-        // Check for WALK animations
-        else if (name.includes('WALK')) {
-            info.map.WALK.clip = clip;
-            info.map.WALK.duration = clip.duration;
-            info.animations.WALK = info.mixer.clipAction(clip);
-            info.animations.WALK.setLoop(THREE.LoopRepeat);
-            if (characterType === 'player') {
-                debugLog(`Found WALK animation for ${characterType}: "${clip.name}"`);
-            }
-            hasFoundValidAnimation = true;
+        if (character.state.actionSlot === slot) {
+            character.state.actionSlot = null;
         }
-        // Check for RUN animations
-        else if (name.includes('RUN') || name.includes('SPRINT')) {
-            info.map.RUN.clip = clip;
-            info.map.RUN.duration = clip.duration;
-            info.animations.RUN = info.mixer.clipAction(clip);
-            info.animations.RUN.setLoop(THREE.LoopRepeat);
-            if (characterType === 'player') {
-                debugLog(`Found RUN animation for ${characterType}: "${clip.name}"`);
-            }
-            hasFoundValidAnimation = true;
+    } else {
+        character.map[slot] = { clip, duration: clip.duration };
+        character.animations[slot] = character.mixer.clipAction(getPlaybackClip(character.asset, clip));
+
+        if (isOneShotSlot(slot)) {
+            character.animations[slot].setLoop(THREE.LoopOnce);
+            character.animations[slot].clampWhenFinished = true;
+        } else {
+            character.animations[slot].setLoop(THREE.LoopRepeat);
         }
-        // Check for JUMP animations
-        else if (name.includes('JUMP') || name.includes('LEAP')) {
-            info.map.JUMP.clip = clip;
-            info.map.JUMP.duration = clip.duration;
-            info.animations.JUMP = info.mixer.clipAction(clip);
-            info.animations.JUMP.setLoop(THREE.LoopOnce);
-            info.animations.JUMP.clampWhenFinished = true;
-            if (characterType === 'player') {
-                debugLog(`Found JUMP animation for ${characterType}: "${clip.name}"`);
-            }
-            hasFoundValidAnimation = true;
+
+        if (character.role === 'player') {
+            debugLog(`Assigned ${slot} animation for ${character.label}: "${clip.name}"`);
         }
-        // Check for ATTACK animations
-        else if (name.includes('ATTACK') || name.includes('SHOOT') || name.includes('FIRE')) {
-            info.map.ATTACK.clip = clip;
-            info.map.ATTACK.duration = clip.duration;
-            info.animations.ATTACK = info.mixer.clipAction(clip);
-            info.animations.ATTACK.setLoop(THREE.LoopOnce);
-            info.animations.ATTACK.clampWhenFinished = true;
-            if (characterType === 'player') {
-                debugLog(`Found ATTACK animation for ${characterType}: "${clip.name}"`);
-            }
-            hasFoundValidAnimation = true;
+    }
+
+    // Restart the speed blend with the new clip, or without the slot if it was removed
+    if (wasBlended) {
+        character.state.currentAnimation = 'NONE';
+        setAnimation(character, getLocomotionAnimation(character));
+    }
+
+    // Restart the slot with its new clip, or fall back to IDLE if it was removed
+    if (wasPlaying) {
+        character.state.currentAnimation = 'NONE';
+        if (character.animations[slot]) {
+            setAnimation(character, slot);
+        } else if (character.animations.IDLE) {
+            setAnimation(character, 'IDLE');
         }
-    });
+    }
+}
+
+// Helper function to set up the slot actions of a character's new model
+function processModelAnimations(character) {
+    const asset = character.asset;
+    const isPlayer = character.role === 'player';
+
+    // Detect slots from the clip names once per model, a saved manual mapping is applied once the model is identified
+    if (!asset.mapping) {
+        asset.mapping = detectAnimationSlots(asset.result.animations);
+    }
+
+    const mapping = asset.mapping;
+    const slots = getAnimationSlots();
+    slots.forEach(slot => assignAnimationSlot(character, slot, mapping[slot]));
+
+    const hasFoundValidAnimation = slots.some(slot => mapping[slot]);
 
     // If we found any valid animations, play IDLE if available
     if (hasFoundValidAnimation) {
-        if (info.animations.IDLE) {
+        if (character.animations.IDLE) {
             // Make sure nothing else is playing
-            info.mixer.stopAllAction();
+            character.mixer.stopAllAction();
 
             // Play the IDLE animation
-            info.animations.IDLE.play();
-            info.state.currentAnimation = 'IDLE';
-            if (characterType === 'player') {
-                debugLog(`Started playing IDLE animation for ${characterType}`);
+            character.animations.IDLE.play();
+            character.state.currentAnimation = 'IDLE';
+            if (isPlayer) {
+                debugLog(`Started playing IDLE animation for ${character.label}`);
             }
-        } else if (characterType === 'player') {
+        } else if (isPlayer) {
             // No IDLE found but we have other animations - don't auto-play anything
             debugLog('No IDLE animation found. Model loaded without automatic animation.');
         }
-    } else if (characterType === 'player') {
+    } else if (isPlayer) {
         // No valid animations found at all
         debugLog('No valid animations found in model. The model will be static.');
     }
 }
 
-// Create the upload UI
-createUploadUI();
+// Apply a complete slot mapping to every character using a model asset
+function applySlotMapping(asset, mapping) {
+    const slots = getAnimationSlots();
 
-// Fix the jump function to work properly with physics
-function performJump(character) {
-    const info = character === 'player' ?
-        { state: playerState, animations: playerAnimations, map: animationMap.player } :
-        { state: enemyState, animations: enemyAnimations, map: animationMap.enemy };
+    getCharactersWithAsset(asset).forEach(character => {
+        // Drop the actions of slots removed from the slot table
+        Object.keys(character.animations)
+            .filter(slot => !slots.includes(slot))
+            .forEach(slot => assignAnimationSlot(character, slot, null));
 
-    // If no jump animation or already jumping, don't do anything
-    if (info.state.isJumping) {
-        if (character === 'player') {
-            debugLog(`Cannot perform jump - already jumping`);
+        slots.forEach(slot => assignAnimationSlot(character, slot, mapping[slot]));
+    });
+
+    asset.mapping = mapping;
+
+    if (selectedCharacter.asset === asset) {
+        slotMappingPanel.update(asset.result.animations, mapping);
+        updateLocomotionClips();
+    }
+    updateComparedAsset(asset);
+}
+
+// Identify a model asset by its content and restore the slot mapping and settings saved for it
+function restoreSavedModelData(asset, source) {
+    return hashModelSource(source)
+        .then(hash => {
+            asset.hash = hash;
+
+            const savedMapping = loadSavedSlotMapping(hash);
+            if (savedMapping) {
+                debugLog(`Restoring saved slot mapping for "${asset.name}"`, savedMapping);
+                applySlotMapping(asset, mergeSlotMapping(asset.mapping, savedMapping, asset.result.animations));
+            }
+
+            const savedSettings = loadSavedModelSettings(hash);
+            if (savedSettings) {
+                debugLog(`Restoring saved model settings for "${asset.name}"`, savedSettings);
+                applyModelSettings(asset, Object.assign({}, asset.settings, savedSettings));
+            }
+        })
+        .catch(error => {
+            debugLog('Could not identify model, its settings will not be saved', error);
+        });
+}
+
+// Apply scale, grounding, facing and root motion settings to every character using a model asset
+function applyModelSettings(asset, settings) {
+    const previous = asset.settings;
+    asset.settings = settings;
+
+    // Switch the slots to the clips of the new root motion mode
+    if (asset.mapping && (previous.rootMotion !== settings.rootMotion || previous.rootMotionBone !== settings.rootMotionBone)) {
+        applySlotMapping(asset, asset.mapping);
+        debugLog(`Root motion of "${asset.name}": ${settings.rootMotion}`, getAssetRootMotion(asset).boneName);
+    }
+
+    getCharactersWithAsset(asset).forEach(character => {
+        const result = applyModelNormalization(character.model, settings);
+        character.body = getCharacterBody(character.model);
+
+        if (character === selectedCharacter) {
+            modelSetupPanel.update(settings, result, getRootMotionInfo(asset));
+            updateLocomotionClips();
         }
-        return;
+    });
+    updateComparedAsset(asset);
+}
+
+// Show the new slot mapping or settings of a model asset in the comparison when it is compared
+function updateComparedAsset(asset) {
+    if (modelComparison.getAsset('a') !== asset && modelComparison.getAsset('b') !== asset) return;
+
+    modelComparison.updateAsset(asset);
+    comparisonPanel.refresh();
+}
+
+// Get the root motion extracted from a model asset's clips, extracted again when its root bone changes
+function getAssetRootMotion(asset) {
+    const { scene, animations } = asset.result;
+    const boneName = asset.settings.rootMotionBone || findRootMotionBone(scene, animations);
+
+    if (!asset.rootMotion || asset.rootMotion.boneName !== boneName) {
+        asset.rootMotion = { boneName, clips: extractRootMotion(scene, animations, boneName) };
     }
+    return asset.rootMotion;
+}
 
-    // Set the jumping state
-    info.state.isJumping = true;
+// Get the clip a slot plays: the in-place copy when the model's root motion is removed from its clips
+function getPlaybackClip(asset, clip) {
+    if (!asset.settings || asset.settings.rootMotion === 'off') return clip;
 
-    // Set initial jump velocity
-    info.state.velocity.y = info.state.jumpSpeed;
+    const extracted = getAssetRootMotion(asset).clips.get(clip.name);
+    return extracted ? extracted.clip : clip;
+}
 
-    // Play jump animation if it exists
-    if (info.animations.JUMP) {
-        setAnimation(character, 'JUMP');
+// Get the root motion details shown in the model setup panel: the bones, the root bone and the
+// clips that move or turn the root by more than ROOT_MOTION_THRESHOLD
+function getRootMotionInfo(asset) {
+    const { boneName, clips } = getAssetRootMotion(asset);
+    const scale = selectedCharacter.model ? selectedCharacter.model.userData.normalizer.scale.x : 1;
+    const movingClips = [];
+
+    clips.forEach(({ motion }, clipName) => {
+        const { distance, turn } = getRootMotionTotal(motion);
+        if (distance * scale > ROOT_MOTION_THRESHOLD.distance || Math.abs(turn) > ROOT_MOTION_THRESHOLD.turn) {
+            movingClips.push(clipName);
+        }
+    });
+
+    return {
+        boneNames: getBoneNames(asset.result.scene),
+        boneName,
+        clipCount: asset.result.animations.length,
+        movingClips
+    };
+}
+
+// Get the root motion of the clip the player plays when its model is in root motion mode,
+// as { action, motion }. NPCs always play the in-place clips and walk with their speeds
+function getActiveRootMotion(character) {
+    const asset = character.asset;
+    if (character !== player || character === inspectedCharacter || !asset || !asset.settings) return null;
+    if (asset.settings.rootMotion !== 'root') return null;
+
+    const action = character.animations[character.state.currentAnimation];
+    const extracted = action ? getAssetRootMotion(asset).clips.get(action.getClip().name) : null;
+    return extracted ? { action, motion: extracted.motion } : null;
+}
+
+// Move a character by the root motion its clip played since fromTime, sliding along the colliders
+function applyRootMotion(character, { action, motion }, fromTime) {
+    const state = character.state;
+    const model = character.model;
+
+    // The clip changed this frame, or the combat system moves the character
+    if (character.animations[state.currentAnimation] !== action || !canAct(character)) return;
+
+    const toTime = action.time;
+    const wrapped = action.loop === THREE.LoopRepeat && toTime < fromTime;
+    const step = getRootMotionStep(motion, fromTime, toTime, wrapped);
+
+    // The motion is in the model's own space: scale and turn it like the model is
+    const normalizer = model.userData.normalizer;
+    const offset = step.offset
+        .multiplyScalar(normalizer.scale.x)
+        .applyAxisAngle(new THREE.Vector3(0, 1, 0), normalizer.rotation.y + model.rotation.y);
+
+    model.rotation.y += step.yaw;
+    state.rotation.y = model.rotation.y;
+
+    const next = state.position.clone().add(offset);
+    next.y = state.position.y;
+    collisionWorld.resolveMove(character, next);
+
+    state.position.x = next.x;
+    state.position.z = next.z;
+    model.position.x = state.position.x;
+    model.position.z = state.position.z;
+}
+
+// Get the foot bones, the ground contact height and the natural speed of the clips of a model asset, measured once
+function getAssetLocomotion(asset) {
+    if (!asset.locomotion) {
+        const { scene, animations } = asset.result;
+        const { speeds, contactHeight } = estimateClipSpeeds(scene, animations);
+        asset.locomotion = { footBones: findFootBones(scene), contactHeight, clipSpeeds: speeds };
+        debugLog(`Measured the clip speeds of "${asset.name}"`, Object.fromEntries(asset.locomotion.clipSpeeds));
     }
+    return asset.locomotion;
+}
 
-    // Log the jump
-    if (character === 'player') {
-        debugLog(`Player is jumping with velocity: ${info.state.velocity.y}`);
+// Get the natural speed (in meters per second) of the clips in a character's blended slots
+function getNaturalSpeeds(character) {
+    const { clipSpeeds } = getAssetLocomotion(character.asset);
+    const scale = character.model.userData.normalizer.scale.x;
+    const speeds = {};
+
+    BLEND_SLOTS.forEach((slot) => {
+        const clip = character.map[slot] ? character.map[slot].clip : null;
+        if (clip && clipSpeeds.has(clip.name)) {
+            speeds[slot] = clipSpeeds.get(clip.name) * scale;
+        }
+    });
+    return speeds;
+}
+
+// Show the natural speed of every clip of the selected character's model in the locomotion panel
+function updateLocomotionClips() {
+    const character = selectedCharacter;
+    if (!character.model || !character.asset.result) {
+        locomotionPanel.updateClips([]);
+        return;
+    }
+
+    const { clipSpeeds } = getAssetLocomotion(character.asset);
+    const scale = character.model.userData.normalizer.scale.x;
+    const mapping = character.asset.mapping || {};
+
+    locomotionPanel.updateClips(character.asset.result.animations.map(clip => ({
+        name: clip.name,
+        slot: Object.keys(mapping).find(slot => mapping[slot] === clip.name) || null,
+        speed: clipSpeeds.has(clip.name) ? clipSpeeds.get(clip.name) * scale : null
+    })));
+}
+
+// Measure how much the player's planted foot slides and show it with its speed and blend
+function updateLocomotionStatus(deltaTime) {
+    const state = player.state;
+    let footSlide = null;
+
+    if (player.model && player.asset.result && !state.isJumping && player !== inspectedCharacter) {
+        const { footBones, contactHeight } = getAssetLocomotion(player.asset);
+        const feet = footBones.map(name => player.model.getObjectByName(name));
+
+        if (feet.length === 2) {
+            // The contact height is measured in the model scene, placed in the world by the normalizer
+            const contactY = player.model.userData.normalizer.localToWorld(new THREE.Vector3(0, contactHeight, 0)).y;
+            footSlide = footSlideMeter.update(feet, contactY, deltaTime);
+        }
+    } else {
+        footSlideMeter.reset();
     }
+
+    const blending = state.currentAnimation === BLEND_SLOT;
+    locomotionPanel.update(Object.assign({ speed: state.speed, blending, footSlide }, player.blend.getState()));
 }
 
+// Create the upload UI
+createUploadUI();
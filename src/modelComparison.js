@@ -0,0 +1,345 @@
+import * as THREE from 'three';
+import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { detectAnimationSlots, getAnimationSlots } from './animationSlots.js';
+import { applyModelNormalization, createCharacterRoot, getDefaultModelSettings, getModelHeight } from './modelNormalization.js';
+
+// Ways to show the two models: next to each other, or B drawn as a ghost over A
+export const COMPARISON_LAYOUTS = {
+    side: 'Side by side',
+    ghost: 'Ghost overlay'
+};
+
+// How the shared timeline drives the two clips: at the same time in seconds (the shorter clip
+// holds its last frame), or at the same share of their durations
+export const TIMELINE_MODES = {
+    time: 'Same time',
+    phase: 'Same phase'
+};
+
+// Color of the ghost overlay
+const GHOST_COLOR = 0x4fc3f7;
+
+// Room left between the two models side by side, as a share of the widest one
+const SIDE_SPACING = 1.5;
+
+// Durations closer than this (in seconds) count as the same
+const DURATION_TOLERANCE = 0.001;
+
+// Create the A/B comparison of two model assets: each side gets its own copy of its model and
+// mixer, both play the clips of the same slot on one shared timeline. The copies are kept in a
+// group that is only in the scene while the comparison is active. getPlaybackClip(asset, clip)
+// returns the clip a model plays for a slot clip (see the root motion modes)
+export function createModelComparison({ scene, baseScale, getPlaybackClip }) {
+    const group = new THREE.Group();
+    group.name = 'Model Comparison';
+
+    const sides = {
+        a: { asset: null, model: null, mixer: null, action: null, clip: null },
+        b: { asset: null, model: null, mixer: null, action: null, clip: null }
+    };
+
+    const ghostMaterial = new THREE.MeshBasicMaterial({
+        color: GHOST_COLOR,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+    });
+
+    let active = false;
+    let layout = 'side';
+    let timelineMode = 'time';
+    let slot = 'IDLE';
+    let time = 0;
+    let playing = true;
+
+    // Where the models stand: the player's position and heading when the comparison started
+    const anchor = { position: new THREE.Vector3(), rotationY: 0 };
+
+    // Bounding box of both models, measured when they are placed so the camera doesn't follow the animation
+    const bounds = new THREE.Box3();
+
+    // Put a copy of a model asset on a side (or empty it when asset is null)
+    function setAsset(key, asset) {
+        const side = sides[key];
+
+        if (side.model) {
+            side.mixer.stopAllAction();
+            side.mixer.uncacheRoot(side.model);
+            group.remove(side.model);
+        }
+        Object.assign(side, { asset, model: null, mixer: null, action: null, clip: null });
+
+        if (asset && asset.result) {
+            const model = createCharacterRoot(SkeletonUtils.clone(asset.result.scene));
+            model.traverse((node) => {
+                if (node.isMesh) {
+                    node.castShadow = true;
+                    node.receiveShadow = true;
+                    node.userData.comparisonMaterial = node.material;
+                }
+            });
+
+            // Models compared before any character used them are set up like setCharacterModel does
+            if (!asset.settings) {
+                asset.settings = getDefaultModelSettings(model, baseScale);
+            }
+            if (!asset.mapping) {
+                asset.mapping = detectAnimationSlots(asset.result.animations);
+            }
+
+            side.model = model;
+            side.mixer = new THREE.AnimationMixer(model);
+            applyModelNormalization(model, asset.settings);
+            group.add(model);
+        }
+
+        placeModels();
+        applyGhost();
+        selectClips();
+    }
+
+    // Apply the new settings or slot mapping of a model asset to the sides showing it
+    function updateAsset(asset) {
+        const keys = Object.keys(sides).filter(key => sides[key].asset === asset && sides[key].model);
+        if (keys.length === 0) return;
+
+        keys.forEach(key => applyModelNormalization(sides[key].model, asset.settings));
+        placeModels();
+        selectClips();
+    }
+
+    // Get the width of a side's model once normalized
+    function getModelWidth(model) {
+        const size = model.userData.bounds.getSize(new THREE.Vector3());
+        return Math.max(size.x, size.z) * model.userData.normalizer.scale.x;
+    }
+
+    // Stand the models at the anchor: A on the left and B on the right of the front view, or both
+    // in the same place for the ghost overlay
+    function placeModels() {
+        const models = [sides.a.model, sides.b.model];
+        const gap = layout === 'side' ?
+            Math.max(...models.filter(Boolean).map(getModelWidth), 0.5) * SIDE_SPACING : 0;
+
+        // The front view looks at the models from their facing direction, its left is their right
+        const left = new THREE.Vector3(Math.cos(anchor.rotationY), 0, -Math.sin(anchor.rotationY));
+
+        models.forEach((model, index) => {
+            if (!model) return;
+
+            model.position.copy(anchor.position).addScaledVector(left, index === 0 ? gap / 2 : -gap / 2);
+            model.rotation.set(0, anchor.rotationY, 0);
+        });
+
+        group.updateMatrixWorld(true);
+        bounds.makeEmpty();
+        models.filter(Boolean).forEach(model => bounds.expandByObject(model));
+    }
+
+    // Draw B with the ghost material in the overlay layout and with its own materials otherwise
+    function applyGhost() {
+        const model = sides.b.model;
+        if (!model) return;
+
+        const ghost = layout === 'ghost';
+        model.traverse((node) => {
+            if (!node.isMesh) return;
+
+            node.material = ghost ? ghostMaterial : node.userData.comparisonMaterial;
+            node.castShadow = !ghost;
+            node.renderOrder = ghost ? 1 : 0;
+        });
+    }
+
+    // Play the clip each side maps to the compared slot, paused: the shared timeline poses them
+    function selectClips() {
+        Object.values(sides).forEach((side) => {
+            if (!side.mixer) return;
+
+            side.mixer.stopAllAction();
+            side.action = null;
+            side.clip = null;
+
+            const clipName = side.asset.mapping[slot];
+            const clip = clipName ? side.asset.result.animations.find(animation => animation.name === clipName) : null;
+
+            // A model without a clip for the slot stands in its bind pose
+            if (!clip) {
+                side.model.traverse((node) => {
+                    if (node.isSkinnedMesh) node.skeleton.pose();
+                });
+                return;
+            }
+
+            side.clip = clip;
+            side.action = side.mixer.clipAction(getPlaybackClip(side.asset, clip));
+            side.action.reset();
+            side.action.setEffectiveWeight(1.0);
+            side.action.play();
+            side.action.paused = true;
+        });
+
+        time = Math.min(time, getDuration());
+        pose();
+    }
+
+    // Get the length of the shared timeline: the longer of the two clips
+    function getDuration() {
+        return Math.max(...Object.values(sides).map(side => (side.clip ? side.clip.duration : 0)));
+    }
+
+    // Get the time a side's clip is at on the shared timeline
+    function getSideTime(side) {
+        if (!side.clip) return 0;
+
+        const duration = getDuration();
+        if (timelineMode === 'phase') {
+            return duration > 0 ? time / duration * side.clip.duration : 0;
+        }
+        return Math.min(time, side.clip.duration);
+    }
+
+    // Pose both models at the current time of the shared timeline
+    function pose() {
+        Object.values(sides).forEach((side) => {
+            if (!side.action) return;
+
+            side.action.time = getSideTime(side);
+            side.mixer.update(0);
+        });
+    }
+
+    // Advance the shared timeline, looping at its end (called every frame)
+    function update(deltaTime) {
+        if (!active) return;
+
+        const duration = getDuration();
+        if (playing && duration > 0) {
+            time = (time + deltaTime) % duration;
+        }
+        pose();
+    }
+
+    // Show the compared models at a position and heading
+    function start(position, rotationY) {
+        anchor.position.copy(position);
+        anchor.rotationY = rotationY;
+        placeModels();
+
+        active = true;
+        scene.add(group);
+    }
+
+    // Take the compared models out of the scene, keeping them for the next comparison
+    function stop() {
+        active = false;
+        scene.remove(group);
+    }
+
+    // Get the labels shown above the compared models, see createCharacterLabels
+    function getLabels() {
+        return Object.keys(sides).filter(key => sides[key].model).map((key) => {
+            const model = sides[key].model;
+            const height = getModelHeight(model) * model.userData.normalizer.scale.y;
+
+            return {
+                id: `comparison-${key}`,
+                position: model.position.clone().setY(model.position.y + height + 0.3),
+                text: `${key.toUpperCase()}: ${sides[key].asset.name}`,
+                health: null
+            };
+        });
+    }
+
+    return {
+        setAsset,
+        updateAsset,
+        start,
+        stop,
+        update,
+        getLabels,
+        setLayout: (value) => {
+            layout = value;
+            placeModels();
+            applyGhost();
+        },
+        setGhostOpacity: (value) => {
+            ghostMaterial.opacity = value;
+        },
+        setSlot: (value) => {
+            slot = value;
+            selectClips();
+        },
+        setTimelineMode: (value) => {
+            timelineMode = value;
+            pose();
+        },
+        setPlaying: (value) => {
+            playing = value;
+        },
+        seek: (value) => {
+            time = THREE.MathUtils.clamp(value, 0, getDuration());
+            pose();
+        },
+        isActive: () => active,
+        isPlaying: () => playing,
+        getTime: () => time,
+        getDuration,
+        getSlot: () => slot,
+        getAsset: key => sides[key].asset,
+        getClip: key => sides[key].clip,
+        getSideTime: key => getSideTime(sides[key]),
+        getModels: () => Object.values(sides).map(side => side.model).filter(Boolean),
+        getBounds: () => (bounds.isEmpty() ? null : bounds.clone()),
+        getHeading: () => anchor.rotationY
+    };
+}
+
+// Get the duration of a clip of a model report, or null when the model has no clip with that name
+function getClipDuration(report, name) {
+    const clip = name ? report.animations.find(animation => animation.name === name) : null;
+    return clip ? clip.duration : null;
+}
+
+// Compare two models, each given as { report, mapping, bones } with its model report (see
+// buildModelReport), slot mapping and bone names: their counts, the bones and clips only one of
+// them has, the clips whose duration changed and the clip and duration of every slot
+export function compareModels(a, b) {
+    const count = (label, get) => ({ label, a: get(a.report), b: get(b.report) });
+
+    const namesA = a.report.animations.map(clip => clip.name);
+    const namesB = b.report.animations.map(clip => clip.name);
+    const clips = namesA.concat(namesB.filter(name => !namesA.includes(name))).map(name => ({
+        name,
+        a: getClipDuration(a.report, name),
+        b: getClipDuration(b.report, name)
+    }));
+    const isSame = clip => clip.a !== null && clip.b !== null && Math.abs(clip.a - clip.b) <= DURATION_TOLERANCE;
+
+    const getSlotClip = (model, slot) => {
+        const duration = getClipDuration(model.report, model.mapping[slot]);
+        return duration === null ? null : { clip: model.mapping[slot], duration };
+    };
+
+    return {
+        a: a.report.file.name,
+        b: b.report.file.name,
+        counts: [
+            count('Triangles', report => report.scene.triangles),
+            count('Vertices', report => report.scene.vertices),
+            count('Meshes', report => report.scene.meshes),
+            count('Materials', report => report.materials.length),
+            count('Bones', report => report.skeleton.bones),
+            count('Clips', report => report.animations.length)
+        ],
+        bones: {
+            onlyA: a.bones.filter(name => !b.bones.includes(name)),
+            onlyB: b.bones.filter(name => !a.bones.includes(name))
+        },
+        clips: clips.filter(clip => !isSame(clip)),
+        sameClips: clips.filter(isSame).length,
+        slots: getAnimationSlots()
+            .map(slot => ({ slot, a: getSlotClip(a, slot), b: getSlotClip(b, slot) }))
+            .filter(entry => entry.a || entry.b)
+    };
+}
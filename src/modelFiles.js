@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { unzipSync } from 'three/examples/jsm/libs/fflate.module.js';
+import { getModelFormat } from './modelLoaders.js';
+
+// Check if a path points to a loadable model file
+export function isModelPath(path) {
+    return getModelFormat(path) !== null;
+}
+
+// Normalize a relative path: forward slashes, no "./" segments and resolved "../" segments
+export function normalizePath(path) {
+    const parts = [];
+
+    path.replace(/\\/g, '/').split('/').forEach(part => {
+        if (part === '' || part === '.') return;
+
+        if (part === '..') {
+            parts.pop();
+        } else {
+            parts.push(part);
+        }
+    });
+
+    return parts.join('/');
+}
+
+// Get the last segment of a path
+function getBaseName(path) {
+    const parts = path.split('/');
+    return parts[parts.length - 1];
+}
+
+// Collect files selected through a file input, keeping folder paths when available
+export function collectInputFiles(fileList) {
+    return Array.from(fileList).map(file => ({
+        path: file.webkitRelativePath || file.name,
+        file
+    }));
+}
+
+// Collect files from a drop event, walking into dropped folders
+export async function collectDroppedFiles(dataTransfer) {
+    // Entries must be read synchronously, the drop data is cleared after the event
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(entry => entry !== null);
+
+    if (entries.length === 0) {
+        return collectInputFiles(dataTransfer.files);
+    }
+
+    const result = [];
+
+    for (const entry of entries) {
+        await readEntry(entry, result);
+    }
+
+    return result;
+}
+
+// Recursively read a file system entry into the result list
+async function readEntry(entry, result) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        result.push({ path: entry.fullPath, file });
+    } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+
+        // readEntries returns the directory content in batches until an empty batch
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await readEntry(child, result);
+            }
+        } while (batch.length > 0);
+    }
+}
+
+// Replace any .zip file in the list with the files it contains
+export async function expandArchives(entries) {
+    const result = [];
+
+    for (const entry of entries) {
+        if (!entry.path.toLowerCase().endsWith('.zip')) {
+            result.push(entry);
+            continue;
+        }
+
+        const data = new Uint8Array(await entry.file.arrayBuffer());
+        const archive = unzipSync(data);
+
+        Object.keys(archive).forEach(path => {
+            // Skip folder entries and macOS metadata
+            if (path.endsWith('/') || path.startsWith('__MACOSX/')) return;
+
+            result.push({
+                path,
+                file: new File([archive[path]], getBaseName(path))
+            });
+        });
+    }
+
+    return result;
+}
+
+// Build a set of uploaded files with a loading manager that resolves
+// relative URIs (buffers, textures) against the uploaded files. The model loaded is
+// modelPath when given (one of several models uploaded together), otherwise the shallowest one
+export function createModelFileSet(entries, modelPath = null) {
+    const files = new Map();
+    entries.forEach(entry => files.set(normalizePath(entry.path), entry.file));
+
+    // Prefer the shallowest model file as the entry point
+    const modelPaths = Array.from(files.keys())
+        .filter(isModelPath)
+        .sort((a, b) => a.split('/').length - b.split('/').length);
+
+    const rootPath = modelPath && modelPaths.includes(normalizePath(modelPath)) ? normalizePath(modelPath) :
+        (modelPaths.length > 0 ? modelPaths[0] : null);
+    const objectURLs = new Map();
+
+    // Create object URLs lazily, only for the files the loader requests
+    function getObjectURL(path) {
+        if (!objectURLs.has(path)) {
+            objectURLs.set(path, URL.createObjectURL(files.get(path)));
+        }
+        return objectURLs.get(path);
+    }
+
+    // Find an uploaded file for a requested URL, falling back to a file name match
+    function findFile(url) {
+        let path = url.split(/[?#]/)[0];
+
+        try {
+            path = decodeURIComponent(path);
+        } catch (e) {
+            // Keep the raw path when it is not valid URI encoding
+        }
+
+        path = normalizePath(path);
+
+        if (files.has(path)) return path;
+
+        const baseName = getBaseName(path);
+        const matches = Array.from(files.keys()).filter(filePath => getBaseName(filePath) === baseName);
+        return matches.length > 0 ? matches[0] : null;
+    }
+
+    const manager = new THREE.LoadingManager();
+    const missingFiles = [];
+
+    manager.setURLModifier(url => {
+        // Embedded and already resolved resources are loaded as they are
+        if (/^(data|blob):/i.test(url)) return url;
+
+        const path = findFile(url);
+        if (path) return getObjectURL(path);
+
+        if (!missingFiles.includes(url)) {
+            missingFiles.push(url);
+        }
+        return url;
+    });
+
+    return {
+        rootPath,
+        rootName: rootPath ? getBaseName(rootPath) : null,
+        rootFile: rootPath ? files.get(rootPath) : null,
+        modelPaths,
+        files,
+        manager,
+        missingFiles,
+        dispose() {
+            objectURLs.forEach(url => URL.revokeObjectURL(url));
+            objectURLs.clear();
+        }
+    };
+}
+
+// Compute a hash that identifies a model file's content (a Blob or a URL)
+export async function hashModelSource(source) {
+    const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+
+    // crypto.subtle is only available in secure contexts (https or localhost)
+    if (window.crypto && window.crypto.subtle) {
+        const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    return `${blob.name || source}:${blob.size}`;
+}
@@ -0,0 +1,230 @@
+import { detectAnimationSlots, getAnimationSlots, getMissingSlots } from './animationSlots.js';
+
+// glTF extensions the viewer's loader understands (with the Draco, meshopt and KTX2 decoders it sets up)
+const SUPPORTED_EXTENSIONS = [
+    'KHR_draco_mesh_compression',
+    'KHR_lights_punctual',
+    'KHR_materials_anisotropy',
+    'KHR_materials_clearcoat',
+    'KHR_materials_dispersion',
+    'KHR_materials_emissive_strength',
+    'KHR_materials_ior',
+    'KHR_materials_iridescence',
+    'KHR_materials_sheen',
+    'KHR_materials_specular',
+    'KHR_materials_transmission',
+    'KHR_materials_unlit',
+    'KHR_materials_volume',
+    'KHR_mesh_quantization',
+    'KHR_texture_basisu',
+    'KHR_texture_transform',
+    'EXT_materials_bump',
+    'EXT_mesh_gpu_instancing',
+    'EXT_meshopt_compression',
+    'EXT_texture_avif',
+    'EXT_texture_webp'
+];
+
+// GLB header magic ("glTF") and the type of its JSON chunk
+const GLB_MAGIC = 0x46546C67;
+const GLB_CHUNK_JSON = 0x4E4F534A;
+
+// Primitive modes of glTF meshes that draw triangles
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// Check that parsed glTF JSON is an object (not null, an array or a plain value)
+function checkGLTFObject(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new Error('not a glTF JSON object');
+    }
+    return json;
+}
+
+// Read the glTF JSON of a .glb or .gltf file (an ArrayBuffer), throwing an error when it is not one
+export function readGLTF(buffer) {
+    const view = new DataView(buffer);
+
+    if (buffer.byteLength >= 12 && view.getUint32(0, true) === GLB_MAGIC) {
+        const version = view.getUint32(4, true);
+        if (version !== 2) throw new Error(`GLB version ${version} is not supported, only glTF 2.0 is`);
+
+        let json;
+        let offset = 12;
+        while (offset + 8 <= buffer.byteLength) {
+            const length = view.getUint32(offset, true);
+            const type = view.getUint32(offset + 4, true);
+            if (offset + 8 + length > buffer.byteLength) throw new Error('GLB chunk runs past the end of the file');
+
+            if (type === GLB_CHUNK_JSON) {
+                json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, offset + 8, length)));
+                break;
+            }
+            offset += 8 + length;
+        }
+
+        if (json === undefined) throw new Error('GLB has no JSON chunk');
+        return checkGLTFObject(json);
+    }
+
+    let json;
+    try {
+        json = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer)));
+    } catch (e) {
+        throw new Error('not a GLB file or glTF JSON');
+    }
+    return checkGLTFObject(json);
+}
+
+// Count the triangles drawn by a glTF primitive, from its accessor counts (compressed meshes keep them too)
+function countPrimitiveTriangles(json, primitive) {
+    const accessors = json.accessors || [];
+    const mode = primitive.mode === undefined ? MODE_TRIANGLES : primitive.mode;
+    const indices = accessors[primitive.indices];
+    const position = accessors[(primitive.attributes || {}).POSITION];
+    const count = indices ? indices.count : (position ? position.count : 0);
+
+    if (mode === MODE_TRIANGLES) return Math.floor(count / 3);
+    if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(count - 2, 0);
+    return 0;
+}
+
+// Get the duration of a glTF animation: the last keyframe time of its samplers
+function getAnimationDuration(json, animation) {
+    const accessors = json.accessors || [];
+    return (animation.samplers || []).reduce((duration, sampler) => {
+        const input = accessors[sampler.input];
+        return input && input.max ? Math.max(duration, input.max[0]) : duration;
+    }, 0);
+}
+
+// Decode a URI of a glTF file, keeping the raw URI when it is not valid URI encoding
+function decodeFileURI(uri) {
+    try {
+        return decodeURIComponent(uri);
+    } catch (e) {
+        return uri;
+    }
+}
+
+// List the external files (buffers and images) a glTF file refers to by URI
+export function getReferencedFiles(json) {
+    return (json.buffers || []).concat(json.images || [])
+        .map(entry => entry.uri)
+        .filter(uri => uri && !/^data:/.test(uri))
+        .map(decodeFileURI);
+}
+
+// Lint a glTF file from its JSON without loading it: counts, extensions, the slot mapping the
+// viewer picks on first load (with the current slot table) and the problems found.
+// info holds { fileName, fileSize, missingFiles }. Errors make the file fail, warnings don't
+export function lintGLTF(json, info) {
+    const nodes = json.nodes || [];
+    const meshes = json.meshes || [];
+    const skins = json.skins || [];
+    const errors = [];
+    const warnings = [];
+
+    const report = {
+        file: info.fileName,
+        size: info.fileSize === undefined ? null : info.fileSize,
+        generator: json.asset && json.asset.generator ? json.asset.generator : null,
+        counts: {
+            nodes: nodes.length,
+            meshes: meshes.length,
+            skinnedMeshes: nodes.filter(node => node.mesh !== undefined && node.skin !== undefined).length,
+            primitives: 0,
+            triangles: 0,
+            vertices: 0,
+            materials: (json.materials || []).length,
+            textures: (json.textures || []).length,
+            images: (json.images || []).length,
+            skins: skins.length,
+            bones: new Set(skins.flatMap(skin => skin.joints || [])).size,
+            animations: (json.animations || []).length
+        },
+        extensions: {
+            used: json.extensionsUsed || [],
+            required: json.extensionsRequired || []
+        },
+        animations: [],
+        mapping: {},
+        missingSlots: [],
+        errors,
+        warnings,
+        ok: true
+    };
+
+    if (!json.asset || typeof json.asset.version !== 'string' || !json.asset.version.startsWith('2.')) {
+        errors.push('Not a glTF 2.0 file (asset.version must be 2.x)');
+    }
+
+    const accessors = json.accessors || [];
+    const meshesWithoutNormals = [];
+    meshes.forEach((mesh, index) => {
+        const primitives = mesh.primitives || [];
+        report.counts.primitives += primitives.length;
+
+        primitives.forEach((primitive) => {
+            const position = accessors[(primitive.attributes || {}).POSITION];
+            report.counts.triangles += countPrimitiveTriangles(json, primitive);
+            report.counts.vertices += position ? position.count : 0;
+        });
+
+        if (primitives.some(primitive => !(primitive.attributes || {}).NORMAL)) {
+            meshesWithoutNormals.push(mesh.name || `Mesh ${index}`);
+        }
+    });
+
+    // Clips are named like the viewer's loader names them
+    const clips = (json.animations || []).map((animation, index) => ({
+        name: animation.name || `animation_${index}`,
+        duration: getAnimationDuration(json, animation)
+    }));
+
+    report.mapping = detectAnimationSlots(clips);
+    report.animations = clips.map(clip => ({
+        name: clip.name,
+        duration: clip.duration,
+        slot: getAnimationSlots().find(slot => report.mapping[slot] === clip.name) || null
+    }));
+
+    report.extensions.required.forEach((extension) => {
+        if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+            errors.push(`Required extension ${extension} is not supported by the viewer`);
+        }
+    });
+    report.extensions.used.forEach((extension) => {
+        if (!SUPPORTED_EXTENSIONS.includes(extension) && !report.extensions.required.includes(extension)) {
+            warnings.push(`Extension ${extension} is not supported by the viewer and will be ignored`);
+        }
+    });
+
+    if (meshes.length === 0) {
+        errors.push('Model has no meshes');
+    }
+    meshesWithoutNormals.forEach((name) => {
+        warnings.push(`Mesh "${name}" has no normals`);
+    });
+
+    if (clips.length === 0) {
+        errors.push('Model has no animations');
+    } else {
+        report.missingSlots = getMissingSlots(report.mapping);
+        report.missingSlots.forEach((slot) => {
+            errors.push(`No animation assigned to the ${slot} slot`);
+        });
+    }
+
+    clips.filter(clip => clip.duration <= 0).forEach((clip) => {
+        warnings.push(`Animation "${clip.name}" has no keyframes after time 0`);
+    });
+
+    (info.missingFiles || []).forEach((file) => {
+        errors.push(`Referenced file is missing: ${file}`);
+    });
+
+    report.ok = errors.length === 0;
+    return report;
+}
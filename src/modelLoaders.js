@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { ColladaLoader } from 'three/examples/jsm/loaders/ColladaLoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+
+// Model formats by file extension
+const MODEL_FORMATS = {
+    '.glb': 'gltf',
+    '.gltf': 'gltf',
+    '.fbx': 'fbx',
+    '.obj': 'obj',
+    '.dae': 'collada'
+};
+
+// Get the model format of a path, or null if it is not a supported model file
+export function getModelFormat(path) {
+    const lowerPath = path.toLowerCase();
+    const ext = Object.keys(MODEL_FORMATS).find(ext => lowerPath.endsWith(ext));
+    return ext ? MODEL_FORMATS[ext] : null;
+}
+
+// Remove the extension and folders from a path
+function getStem(path) {
+    return path.split('/').pop().replace(/\.[^.]+$/, '').toLowerCase();
+}
+
+// Find the material library that belongs to an OBJ file in the uploaded files
+function findMaterialLibrary(fileSet, objPath) {
+    const mtlPaths = Array.from(fileSet.files.keys()).filter(path => path.toLowerCase().endsWith('.mtl'));
+    const sameName = mtlPaths.find(path => getStem(path) === getStem(objPath));
+    return sameName || mtlPaths[0] || null;
+}
+
+// Wrap a loaded scene in a group so the loader's own root transform
+// (for example the Z-up fix and unit scale of Collada files) is kept
+// when the application sets the model's position, rotation and scale
+function wrapScene(scene) {
+    const root = new THREE.Group();
+    root.name = scene.name;
+    root.add(scene);
+    return root;
+}
+
+// Load the entry model of an uploaded file set with the loader that matches its format.
+// The result always has the same shape as a GLTF result: { scene, animations, format }
+export function loadModelFromFileSet(fileSet, createGLTFLoader, onLoad, onProgress, onError) {
+    loadModelFile(fileSet, fileSet.rootPath, createGLTFLoader, onLoad, onProgress, onError);
+}
+
+// Load any model file of an uploaded file set (for example a prop of a level), see loadModelFromFileSet
+export function loadModelFile(fileSet, url, createGLTFLoader, onLoad, onProgress, onError) {
+    const format = getModelFormat(url);
+
+    switch (format) {
+        case 'gltf':
+            createGLTFLoader(fileSet.manager).load(url, gltf => {
+                gltf.format = format;
+                onLoad(gltf);
+            }, onProgress, onError);
+            break;
+
+        case 'fbx':
+            new FBXLoader(fileSet.manager).load(url, group => {
+                onLoad({ scene: group, animations: group.animations || [], format });
+            }, onProgress, onError);
+            break;
+
+        case 'collada':
+            new ColladaLoader(fileSet.manager).load(url, collada => {
+                onLoad({ scene: wrapScene(collada.scene), animations: collada.scene.animations || [], format });
+            }, onProgress, onError);
+            break;
+
+        case 'obj': {
+            const objLoader = new OBJLoader(fileSet.manager);
+            const loadObj = () => {
+                objLoader.load(url, group => {
+                    onLoad({ scene: group, animations: [], format });
+                }, onProgress, onError);
+            };
+
+            const mtlPath = findMaterialLibrary(fileSet, url);
+            if (!mtlPath) {
+                loadObj();
+                break;
+            }
+
+            new MTLLoader(fileSet.manager).load(mtlPath, materials => {
+                materials.preload();
+                objLoader.setMaterials(materials);
+                loadObj();
+            }, undefined, error => {
+                // Materials are optional, fall back to the default OBJ material
+                console.warn('Error loading material library, using default materials:', error);
+                loadObj();
+            });
+            break;
+        }
+
+        default:
+            onError(new Error(`Unsupported model format: ${url}`));
+    }
+}
@@ -0,0 +1,95 @@
+import * as THREE from 'three';
+import { loadStoredJSON, removeStored, saveStoredJSON } from './storage.js';
+
+// Rotation around Y that turns each model forward axis into +Z, the direction the controller walks
+const FORWARD_AXIS_ROTATIONS = {
+    '+Z': 0,
+    '-Z': Math.PI,
+    '+X': -Math.PI / 2,
+    '-X': Math.PI / 2
+};
+
+export const FORWARD_AXES = Object.keys(FORWARD_AXIS_ROTATIONS);
+
+// Heights (in scene units) outside this range are most likely exported in the wrong unit
+const PLAUSIBLE_HEIGHT = { min: 0.1, max: 10 };
+
+// Wrap a loaded model so its normalization (scale, grounding and facing) is kept apart
+// from the position and rotation the character controller sets on the returned root:
+// root (controller) -> normalizer (scale, feet offset, facing) -> loaded scene
+export function createCharacterRoot(modelScene) {
+    const normalizer = new THREE.Group();
+    normalizer.name = 'Normalizer';
+    normalizer.add(modelScene);
+
+    const root = new THREE.Group();
+    root.name = modelScene.name || 'Character';
+    root.add(normalizer);
+
+    // Measure the model in its own space, before any transform is applied
+    root.updateMatrixWorld(true);
+    const bounds = new THREE.Box3().setFromObject(modelScene, true);
+
+    root.userData.normalizer = normalizer;
+    root.userData.bounds = bounds.isEmpty() ? new THREE.Box3(new THREE.Vector3(), new THREE.Vector3()) : bounds;
+
+    return root;
+}
+
+// Get the height of a character root's model before normalization
+export function getModelHeight(root) {
+    const bounds = root.userData.bounds;
+    return bounds.max.y - bounds.min.y;
+}
+
+// Get the default settings for a model, enabling auto-scale when its size looks
+// like the wrong unit (for example a model exported in centimetres). The root motion mode
+// (see ROOT_MOTION_MODES) and bone (null to detect it) are kept with them as per-model settings
+export function getDefaultModelSettings(root, baseScale) {
+    const height = getModelHeight(root);
+
+    return {
+        autoScale: height > 0 && (height < PLAUSIBLE_HEIGHT.min || height > PLAUSIBLE_HEIGHT.max),
+        targetHeight: 1.8,
+        scale: baseScale,
+        groundFeet: true,
+        forwardAxis: '+Z',
+        rootMotion: 'off',
+        rootMotionBone: null
+    };
+}
+
+// Apply normalization settings to a character root created by createCharacterRoot
+export function applyModelNormalization(root, settings) {
+    const normalizer = root.userData.normalizer;
+    const bounds = root.userData.bounds;
+    const height = getModelHeight(root);
+
+    let scale = settings.scale;
+    if (settings.autoScale && height > 0) {
+        scale *= settings.targetHeight / height;
+    }
+
+    normalizer.scale.setScalar(scale);
+    normalizer.rotation.set(0, FORWARD_AXIS_ROTATIONS[settings.forwardAxis] || 0, 0);
+
+    // Rotating around Y doesn't change heights, so the feet offset only depends on the scale
+    normalizer.position.set(0, settings.groundFeet ? -bounds.min.y * scale : 0, 0);
+
+    return { height, scale, normalizedHeight: height * scale };
+}
+
+// Load the normalization settings saved for a model hash, or null if there are none
+export function loadSavedModelSettings(modelHash) {
+    return loadStoredJSON(`model-settings:${modelHash}`);
+}
+
+// Save the normalization settings of a model hash
+export function saveModelSettings(modelHash, settings) {
+    saveStoredJSON(`model-settings:${modelHash}`, settings);
+}
+
+// Remove the normalization settings saved for a model hash
+export function clearSavedModelSettings(modelHash) {
+    removeStored(`model-settings:${modelHash}`);
+}
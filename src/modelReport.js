@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+import { getAnimationSlots, getMissingSlots } from './animationSlots.js';
+
+// Material properties that can hold a texture
+const TEXTURE_SLOTS = [
+    'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap',
+    'bumpMap', 'displacementMap', 'alphaMap', 'lightMap', 'specularMap', 'envMap',
+    'clearcoatMap', 'clearcoatNormalMap', 'clearcoatRoughnessMap', 'sheenColorMap',
+    'sheenRoughnessMap', 'transmissionMap', 'thicknessMap', 'iridescenceMap',
+    'iridescenceThicknessMap', 'anisotropyMap', 'specularIntensityMap', 'specularColorMap'
+];
+
+// Get the name to show for a texture
+function getTextureName(texture, materialName, slot) {
+    if (texture.name) return texture.name;
+
+    const source = texture.image && (texture.image.currentSrc || texture.image.src);
+    if (source && !/^(blob|data):/.test(source)) {
+        return source.split('/').pop();
+    }
+
+    return `${materialName || 'material'}.${slot}`;
+}
+
+// Get the resolution of a texture, or null if its image is not available
+function getTextureSize(texture) {
+    const image = texture.image;
+    if (!image) return null;
+
+    const width = image.width || image.videoWidth || 0;
+    const height = image.height || image.videoHeight || 0;
+    return width > 0 && height > 0 ? { width, height } : null;
+}
+
+// Count the triangles drawn by a mesh geometry
+function countTriangles(geometry) {
+    if (geometry.index) return geometry.index.count / 3;
+
+    const position = geometry.attributes.position;
+    return position ? position.count / 3 : 0;
+}
+
+// Get the name to show for a glTF texture from its image
+function getGLTFTextureName(json, textureIndex, imageIndex) {
+    const image = (json.images || [])[imageIndex];
+    if (image && image.name) return image.name;
+    if (image && image.uri && !/^data:/.test(image.uri)) return image.uri.split('/').pop();
+    return `Texture ${textureIndex}`;
+}
+
+// List which decoder handled each compressed asset of a glTF file:
+// Draco meshes, meshopt buffer views (shown as the meshes and animations using them)
+// and Basis Universal (KTX2) textures
+function getDecodedAssets(json, dracoDecoder) {
+    const decoded = [];
+    const bufferViews = json.bufferViews || [];
+    const accessors = json.accessors || [];
+
+    // Buffer views compressed with meshopt, and the ones already attributed to an asset
+    const meshoptViews = new Set();
+    bufferViews.forEach((bufferView, index) => {
+        if (bufferView.extensions && bufferView.extensions.EXT_meshopt_compression) {
+            meshoptViews.add(index);
+        }
+    });
+    const attributedViews = new Set();
+
+    // Check if any of the accessors is stored in a meshopt buffer view
+    function usesMeshopt(accessorIndices) {
+        let found = false;
+        accessorIndices.forEach((accessorIndex) => {
+            const accessor = accessors[accessorIndex];
+            if (accessor && meshoptViews.has(accessor.bufferView)) {
+                attributedViews.add(accessor.bufferView);
+                found = true;
+            }
+        });
+        return found;
+    }
+
+    (json.meshes || []).forEach((mesh, index) => {
+        const name = mesh.name || `Mesh ${index}`;
+        const primitives = mesh.primitives || [];
+
+        if (primitives.some(primitive => primitive.extensions && primitive.extensions.KHR_draco_mesh_compression)) {
+            decoded.push({ asset: name, type: 'mesh', decoder: `Draco (${dracoDecoder || 'WASM'})` });
+        }
+
+        const accessorIndices = [];
+        primitives.forEach((primitive) => {
+            accessorIndices.push(...Object.values(primitive.attributes || {}));
+            if (primitive.indices !== undefined) accessorIndices.push(primitive.indices);
+        });
+        if (usesMeshopt(accessorIndices)) {
+            decoded.push({ asset: name, type: 'mesh', decoder: 'meshopt' });
+        }
+    });
+
+    (json.animations || []).forEach((animation, index) => {
+        const accessorIndices = [];
+        (animation.samplers || []).forEach((sampler) => {
+            accessorIndices.push(sampler.input, sampler.output);
+        });
+        if (usesMeshopt(accessorIndices)) {
+            decoded.push({ asset: animation.name || `Animation ${index}`, type: 'animation', decoder: 'meshopt' });
+        }
+    });
+
+    meshoptViews.forEach((index) => {
+        if (!attributedViews.has(index)) {
+            decoded.push({ asset: `Buffer view ${index}`, type: 'buffer', decoder: 'meshopt' });
+        }
+    });
+
+    (json.textures || []).forEach((texture, index) => {
+        const basisu = texture.extensions && texture.extensions.KHR_texture_basisu;
+        if (basisu) {
+            decoded.push({
+                asset: getGLTFTextureName(json, index, basisu.source),
+                type: 'texture',
+                decoder: 'Basis Universal (KTX2)'
+            });
+        }
+    });
+
+    return decoded;
+}
+
+// Build a report describing a loaded model: geometry, materials, textures,
+// skeleton, animations, extensions and potential problems.
+// info holds { fileName, fileSize, totalSize, mapping, missingFiles, dracoDecoder }
+export function buildModelReport(result, info) {
+    const report = {
+        file: {
+            name: info.fileName,
+            format: result.format || 'gltf',
+            size: info.fileSize !== undefined ? info.fileSize : null,
+            totalSize: info.totalSize !== undefined ? info.totalSize : null
+        },
+        scene: {
+            nodes: 0,
+            meshes: 0,
+            skinnedMeshes: 0,
+            triangles: 0,
+            vertices: 0
+        },
+        materials: [],
+        textures: [],
+        skeleton: {
+            skeletons: 0,
+            bones: 0
+        },
+        animations: [],
+        extensions: {
+            used: [],
+            required: []
+        },
+        decoders: [],
+        warnings: []
+    };
+
+    const materials = new Map();
+    const textures = new Map();
+    const skeletons = new Set();
+    const bones = new Set();
+    const meshesWithoutNormals = [];
+
+    result.scene.traverse((node) => {
+        report.scene.nodes++;
+
+        if (node.isBone) {
+            bones.add(node);
+        }
+
+        if (!node.isMesh) return;
+
+        report.scene.meshes++;
+
+        const geometry = node.geometry;
+        report.scene.triangles += countTriangles(geometry);
+        report.scene.vertices += geometry.attributes.position ? geometry.attributes.position.count : 0;
+
+        if (!geometry.attributes.normal) {
+            meshesWithoutNormals.push(node.name || `Mesh ${report.scene.meshes}`);
+        }
+
+        if (node.isSkinnedMesh) {
+            report.scene.skinnedMeshes++;
+            skeletons.add(node.skeleton);
+            node.skeleton.bones.forEach(bone => bones.add(bone));
+        }
+
+        const nodeMaterials = Array.isArray(node.material) ? node.material : [node.material];
+        nodeMaterials.filter(Boolean).forEach((material) => {
+            if (materials.has(material)) return;
+
+            const materialTextures = [];
+
+            TEXTURE_SLOTS.forEach((slot) => {
+                const texture = material[slot];
+                if (!texture || !texture.isTexture) return;
+
+                if (!textures.has(texture)) {
+                    const size = getTextureSize(texture);
+                    textures.set(texture, {
+                        name: getTextureName(texture, material.name, slot),
+                        width: size ? size.width : null,
+                        height: size ? size.height : null,
+                        slots: []
+                    });
+                }
+
+                const textureInfo = textures.get(texture);
+                if (!textureInfo.slots.includes(slot)) {
+                    textureInfo.slots.push(slot);
+                }
+                materialTextures.push(`${slot}: ${textureInfo.name}`);
+            });
+
+            materials.set(material, {
+                name: material.name || `Material ${materials.size + 1}`,
+                type: material.type,
+                textures: materialTextures
+            });
+        });
+    });
+
+    report.materials = Array.from(materials.values());
+    report.textures = Array.from(textures.values());
+    report.skeleton.skeletons = skeletons.size;
+    report.skeleton.bones = bones.size;
+
+    const mapping = info.mapping || {};
+    report.animations = result.animations.map(clip => ({
+        name: clip.name,
+        duration: clip.duration,
+        tracks: clip.tracks.length,
+        slot: getAnimationSlots().find(slot => mapping[slot] === clip.name) || null
+    }));
+
+    // glTF extensions come from the parsed JSON
+    if (result.parser && result.parser.json) {
+        report.extensions.used = result.parser.json.extensionsUsed || [];
+        report.extensions.required = result.parser.json.extensionsRequired || [];
+        report.decoders = getDecodedAssets(result.parser.json, info.dracoDecoder);
+    }
+
+    // Warnings about things that usually break in game engines
+    report.textures.forEach((texture) => {
+        if (texture.width === null) {
+            report.warnings.push(`Texture "${texture.name}" has no image data`);
+        } else if (!THREE.MathUtils.isPowerOfTwo(texture.width) || !THREE.MathUtils.isPowerOfTwo(texture.height)) {
+            report.warnings.push(`Texture "${texture.name}" is not power-of-two (${texture.width}x${texture.height})`);
+        }
+    });
+
+    meshesWithoutNormals.forEach((name) => {
+        report.warnings.push(`Mesh "${name}" has no normals`);
+    });
+
+    if (report.scene.meshes === 0) {
+        report.warnings.push('Model has no meshes');
+    }
+
+    if (report.animations.length === 0) {
+        report.warnings.push('Model has no animations');
+    } else {
+        getMissingSlots(mapping).forEach((slot) => {
+            report.warnings.push(`No animation assigned to the ${slot} slot`);
+        });
+    }
+
+    (info.missingFiles || []).forEach((file) => {
+        report.warnings.push(`Referenced file was not uploaded: ${file}`);
+    });
+
+    return report;
+}
@@ -0,0 +1,96 @@
+import { downloadFile, escapeHTML, formatBytes } from './panels.js';
+
+// Render a list of items, or a placeholder when it is empty
+function renderList(items, renderItem, emptyText) {
+    if (items.length === 0) {
+        return `<p class="panel-empty">${emptyText}</p>`;
+    }
+    return `<ul>${items.map(item => `<li>${renderItem(item)}</li>`).join('')}</ul>`;
+}
+
+// Create the dismissable on-screen report shown after a model is loaded
+export function createModelReportPanel() {
+    const container = document.createElement('div');
+    container.className = 'model-report';
+    container.hidden = true;
+    document.body.appendChild(container);
+
+    let currentReport = null;
+
+    container.addEventListener('click', (e) => {
+        if (e.target.closest('.model-report-close')) {
+            hide();
+        } else if (e.target.closest('.model-report-export') && currentReport) {
+            const baseName = currentReport.file.name.replace(/\.[^.]+$/, '');
+            downloadFile(JSON.stringify(currentReport, null, 2), `${baseName}-report.json`, 'application/json');
+        }
+    });
+
+    // Show a report built by buildModelReport
+    function show(report) {
+        currentReport = report;
+
+        const size = report.file.totalSize !== null && report.file.totalSize !== report.file.size ?
+            `${formatBytes(report.file.size)} (${formatBytes(report.file.totalSize)} with resources)` :
+            formatBytes(report.file.size);
+
+        container.innerHTML = `
+            <div class="model-report-header">
+                <strong>${escapeHTML(report.file.name)}</strong>
+                <button type="button" class="model-report-close" title="Close">&times;</button>
+            </div>
+            <div class="model-report-body">
+                <table class="model-report-summary">
+                    <tr><th>Format</th><td>${escapeHTML(report.file.format.toUpperCase())}</td></tr>
+                    <tr><th>File size</th><td>${size}</td></tr>
+                    <tr><th>Nodes</th><td>${report.scene.nodes}</td></tr>
+                    <tr><th>Meshes</th><td>${report.scene.meshes} (${report.scene.skinnedMeshes} skinned)</td></tr>
+                    <tr><th>Triangles</th><td>${report.scene.triangles.toLocaleString()}</td></tr>
+                    <tr><th>Vertices</th><td>${report.scene.vertices.toLocaleString()}</td></tr>
+                    <tr><th>Skeletons</th><td>${report.skeleton.skeletons} (${report.skeleton.bones} bones)</td></tr>
+                </table>
+
+                <h4>Warnings (${report.warnings.length})</h4>
+                ${renderList(report.warnings, warning => escapeHTML(warning), 'No warnings')}
+
+                <h4>Animations (${report.animations.length})</h4>
+                ${renderList(report.animations, clip =>
+                    `${escapeHTML(clip.name)} · ${clip.duration.toFixed(2)}s · ${clip.tracks} tracks` +
+                    (clip.slot ? ` · <span class="model-report-slot">${clip.slot}</span>` : ''),
+                'No animations')}
+
+                <h4>Materials (${report.materials.length})</h4>
+                ${renderList(report.materials, material =>
+                    `${escapeHTML(material.name)} · ${escapeHTML(material.type)}`,
+                'No materials')}
+
+                <h4>Textures (${report.textures.length})</h4>
+                ${renderList(report.textures, texture =>
+                    `${escapeHTML(texture.name)} · ` +
+                    (texture.width !== null ? `${texture.width}x${texture.height}` : 'no image') +
+                    ` · ${escapeHTML(texture.slots.join(', '))}`,
+                'No textures')}
+
+                <h4>Extensions</h4>
+                ${renderList(report.extensions.used, extension =>
+                    escapeHTML(extension) + (report.extensions.required.includes(extension) ? ' (required)' : ''),
+                'No extensions')}
+
+                <h4>Decoders</h4>
+                ${renderList(report.decoders, entry =>
+                    `${escapeHTML(entry.asset)} · ${entry.type} · <span class="model-report-decoder">${escapeHTML(entry.decoder)}</span>`,
+                'No compressed assets')}
+            </div>
+            <button type="button" class="panel-button model-report-export">Export JSON</button>
+        `;
+
+        container.hidden = false;
+    }
+
+    // Hide the report
+    function hide() {
+        container.hidden = true;
+    }
+
+    return { show, hide };
+}
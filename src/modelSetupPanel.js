@@ -0,0 +1,122 @@
+import { FORWARD_AXES } from './modelNormalization.js';
+import { createToolPanel, escapeHTML } from './panels.js';
+import { ROOT_MOTION_MODES } from './rootMotion.js';
+
+// Labels of the root motion modes
+const ROOT_MOTION_LABELS = {
+    off: 'As authored',
+    'in-place': 'In place',
+    root: 'Root motion (moves the player)'
+};
+
+// Create the panel with the scale, grounding, facing and root motion settings of the loaded model.
+// onChange(settings) is called with the complete settings whenever a control changes
+// and onReset() when the settings should go back to the defaults
+export function createModelSetupPanel({ onChange, onReset }) {
+    const { content } = createToolPanel('Model Setup', { open: false });
+
+    content.innerHTML = `
+        <div class="model-setup-size">Height: —</div>
+        <label class="panel-field">
+            Auto-scale to height
+            <input type="checkbox" class="model-setup-auto-scale">
+        </label>
+        <label class="panel-field">
+            Target height (m)
+            <input type="number" class="model-setup-target-height" min="0.01" step="0.1">
+        </label>
+        <label class="panel-field">
+            Scale
+            <input type="number" class="model-setup-scale" min="0.0001" step="0.1">
+        </label>
+        <label class="panel-field">
+            Snap feet to ground
+            <input type="checkbox" class="model-setup-ground">
+        </label>
+        <label class="panel-field">
+            Model forward axis
+            <select class="model-setup-forward">
+                ${FORWARD_AXES.map(axis => `<option value="${axis}">${axis}</option>`).join('')}
+            </select>
+        </label>
+        <h4 class="panel-subtitle">Root motion</h4>
+        <label class="panel-field">
+            Playback
+            <select class="model-setup-root-motion">
+                ${ROOT_MOTION_MODES.map(mode => `<option value="${mode}">${ROOT_MOTION_LABELS[mode]}</option>`).join('')}
+            </select>
+        </label>
+        <label class="panel-field">
+            Root bone
+            <select class="model-setup-root-bone"></select>
+        </label>
+        <p class="panel-hint model-setup-root-summary"></p>
+        <button type="button" class="panel-button model-setup-reset">Reset to defaults</button>
+    `;
+
+    const sizeLabel = content.querySelector('.model-setup-size');
+    const autoScaleInput = content.querySelector('.model-setup-auto-scale');
+    const targetHeightInput = content.querySelector('.model-setup-target-height');
+    const scaleInput = content.querySelector('.model-setup-scale');
+    const groundInput = content.querySelector('.model-setup-ground');
+    const forwardSelect = content.querySelector('.model-setup-forward');
+    const rootMotionSelect = content.querySelector('.model-setup-root-motion');
+    const rootBoneSelect = content.querySelector('.model-setup-root-bone');
+    const rootSummary = content.querySelector('.model-setup-root-summary');
+
+    let settings = null;
+
+    // Read the settings from the controls, keeping the previous value of invalid fields
+    function readSettings() {
+        const targetHeight = parseFloat(targetHeightInput.value);
+        const scale = parseFloat(scaleInput.value);
+
+        return {
+            autoScale: autoScaleInput.checked,
+            targetHeight: targetHeight > 0 ? targetHeight : settings.targetHeight,
+            scale: scale > 0 ? scale : settings.scale,
+            groundFeet: groundInput.checked,
+            forwardAxis: forwardSelect.value,
+            rootMotion: rootMotionSelect.value,
+            rootMotionBone: rootBoneSelect.value || null
+        };
+    }
+
+    [autoScaleInput, targetHeightInput, scaleInput, groundInput, forwardSelect, rootMotionSelect, rootBoneSelect].forEach(input => {
+        input.addEventListener('change', () => {
+            if (!settings) return;
+            onChange(readSettings());
+        });
+    });
+
+    content.querySelector('.model-setup-reset').addEventListener('click', () => onReset());
+
+    // Show the settings of the loaded model and its measured size (result is the value returned
+    // by applyModelNormalization) and its root motion { boneNames, boneName, clipCount, movingClips }
+    function update(newSettings, result, rootMotion) {
+        settings = newSettings;
+
+        autoScaleInput.checked = settings.autoScale;
+        targetHeightInput.value = settings.targetHeight;
+        targetHeightInput.disabled = !settings.autoScale;
+        scaleInput.value = settings.scale;
+        groundInput.checked = settings.groundFeet;
+        forwardSelect.value = settings.forwardAxis;
+
+        rootMotionSelect.value = settings.rootMotion;
+        rootBoneSelect.innerHTML = [
+            `<option value="">Auto (${escapeHTML(rootMotion.boneName || 'none')})</option>`,
+            ...rootMotion.boneNames.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`)
+        ].join('');
+        rootBoneSelect.value = settings.rootMotionBone || '';
+        rootBoneSelect.disabled = rootMotion.boneNames.length === 0;
+        rootSummary.textContent = rootMotion.boneName ?
+            `${rootMotion.movingClips.length} of ${rootMotion.clipCount} clips move the root` +
+                (rootMotion.movingClips.length ? `: ${rootMotion.movingClips.join(', ')}` : ', they are authored in place') :
+            'No animated root bone found';
+
+        sizeLabel.textContent = `Height: ${result.height.toFixed(3)} → ${result.normalizedHeight.toFixed(2)} (scale ${result.scale.toPrecision(3)})`;
+    }
+
+    return { update };
+}
@@ -0,0 +1,362 @@
+import * as THREE from 'three';
+
+// States of the NPC state machine
+export const NPC_STATES = ['IDLE', 'PATROL', 'CHASE', 'ATTACK', 'SEARCH', 'RETURN'];
+
+// Tunable parameters shared by every NPC (distances in meters, times in seconds, speeds in meters per second)
+const npcSettings = {
+    sightRange: 15,
+    attackRange: 2,
+    leashRange: 25,
+    idleTime: 2,
+    patrolRadius: 4,
+    searchTime: 4,
+    attackCooldown: 2,
+    patrolSpeed: 2,
+    chaseSpeed: 4,
+    returnSpeed: 3,
+    turnSpeed: 3,
+    avoidDistance: 2
+};
+
+// Animation slot played in each state. In the ATTACK state every swing plays the ATTACK
+// slot (or one of its variants) and the bound slot is played between swings
+const stateAnimations = {
+    IDLE: 'IDLE',
+    PATROL: 'WALK',
+    CHASE: 'RUN',
+    ATTACK: 'IDLE',
+    SEARCH: 'WALK',
+    RETURN: 'WALK'
+};
+
+// Slots played instead (the first one the model has) when a model doesn't have the bound one.
+// Other slots fall back to IDLE
+const FALLBACK_SLOTS = {
+    RUN: ['WALK', 'IDLE'],
+    WALK: ['RUN', 'IDLE']
+};
+const DEFAULT_FALLBACK_SLOTS = ['IDLE'];
+
+// Distance at which a waypoint or position counts as reached
+const ARRIVE_DISTANCE = 0.3;
+
+// Leave the ATTACK state a bit further than attackRange so NPCs don't flicker between states
+const ATTACK_EXIT_FACTOR = 1.25;
+
+// Time (in seconds) an NPC keeps trying to walk while blocked before it gives up on the point
+const STUCK_TIME = 1;
+
+// Speed (radians per second) at which a searching NPC looks around
+const SEARCH_TURN_SPEED = 1.5;
+
+// Get a tunable parameter
+export function getNpcSetting(key) {
+    return npcSettings[key];
+}
+
+// Set a tunable parameter, ignoring negative values
+export function setNpcSetting(key, value) {
+    if (key in npcSettings && value >= 0) {
+        npcSettings[key] = value;
+    }
+}
+
+// Get the animation slot bound to a state
+export function getStateAnimation(state) {
+    return stateAnimations[state];
+}
+
+// Bind an animation slot to a state
+export function setStateAnimation(state, slot) {
+    if (state in stateAnimations) {
+        stateAnimations[state] = slot;
+    }
+}
+
+// Create the state machine data of an NPC living at home. waypoints is an optional list of
+// points to patrol along, without it the NPC patrols a square of patrolRadius around its home
+export function createNpcBrain(home, waypoints = null) {
+    return {
+        state: 'IDLE',
+        stateTime: 0,
+        home: home.clone(),
+        waypoints,
+        waypointIndex: 0,
+        lastSeen: new THREE.Vector3(),
+        reachedLastSeen: false,
+        stuckTime: 0,
+        animation: null,
+        missingSlot: null
+    };
+}
+
+// Get the patrol waypoints of an NPC
+function getWaypoints(brain) {
+    if (brain.waypoints && brain.waypoints.length > 0) return brain.waypoints;
+
+    const radius = npcSettings.patrolRadius;
+    return [
+        new THREE.Vector3(brain.home.x + radius, 0, brain.home.z),
+        new THREE.Vector3(brain.home.x, 0, brain.home.z + radius),
+        new THREE.Vector3(brain.home.x - radius, 0, brain.home.z),
+        new THREE.Vector3(brain.home.x, 0, brain.home.z - radius)
+    ];
+}
+
+// Distance between two points on the ground
+function getGroundDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// Get the circle around a static collider, or null for colliders that don't block the way
+function getColliderCircle(collider) {
+    if (collider.type === 'circle') return collider;
+    if (collider.type === 'box') {
+        return { x: collider.x, z: collider.z, radius: Math.hypot(collider.halfWidth, collider.halfDepth) };
+    }
+    return null;
+}
+
+// Bend a walking direction around the colliders in the way
+function addAvoidance(direction, position, bodyRadius, colliders) {
+    const avoidance = new THREE.Vector3();
+    const side = new THREE.Vector3(-direction.z, 0, direction.x);
+
+    colliders.forEach((collider) => {
+        const circle = getColliderCircle(collider);
+        if (!circle) return;
+
+        const away = new THREE.Vector3(position.x - circle.x, 0, position.z - circle.z);
+        const clearance = away.length() - circle.radius - bodyRadius;
+
+        // Only nearby obstacles ahead of the NPC matter
+        if (clearance > npcSettings.avoidDistance || away.dot(direction) > 0) return;
+
+        // Steer to the side of the obstacle the NPC is already on, harder when closer
+        const sign = side.dot(away) >= 0 ? 1 : -1;
+        const strength = 1 - Math.max(clearance, 0) / npcSettings.avoidDistance;
+        avoidance.addScaledVector(side, sign * strength * 2);
+    });
+
+    direction.add(avoidance).normalize();
+}
+
+// Create the controller that runs the NPC state machine. getTarget() returns the position
+// of the character to hunt (or null), getColliders() the static colliders to steer around,
+// resolveMove(npc, position) slides a move along the colliders and other characters
+// (see createCollisionWorld) and setAnimation/performAttack are the character actions
+export function createNpcController({ getTarget, getColliders, resolveMove, setAnimation, performAttack }) {
+    // Switch an NPC to another state
+    function setState(npc, state) {
+        npc.brain.state = state;
+        npc.brain.stateTime = 0;
+
+        if (state === 'SEARCH') {
+            npc.brain.reachedLastSeen = false;
+        }
+    }
+
+    // Turn an NPC towards a direction at turnSpeed
+    function turnTowards(npc, direction, deltaTime) {
+        const model = npc.model;
+        const targetAngle = Math.atan2(direction.x, direction.z);
+
+        // Shortest way round, whatever the accumulated rotation is
+        const difference = targetAngle - model.rotation.y;
+        const angleDiff = Math.atan2(Math.sin(difference), Math.cos(difference));
+
+        model.rotation.y += angleDiff * Math.min(npcSettings.turnSpeed * deltaTime, 1.0);
+        npc.state.rotation.y = model.rotation.y;
+    }
+
+    // Walk an NPC towards a point, steering around obstacles. Returns true once the point is
+    // reached, or when the NPC has been blocked for a while (for example by the map boundary)
+    function moveTowards(npc, point, speed, deltaTime) {
+        const state = npc.state;
+        const brain = npc.brain;
+        const toPoint = new THREE.Vector3(point.x - state.position.x, 0, point.z - state.position.z);
+        const distance = toPoint.length();
+
+        if (distance < ARRIVE_DISTANCE) {
+            brain.stuckTime = 0;
+            return true;
+        }
+
+        const direction = toPoint.divideScalar(distance);
+        addAvoidance(direction, state.position, npc.body ? npc.body.radius : 0, getColliders());
+        turnTowards(npc, direction, deltaTime);
+
+        // Move along the facing direction so the walk matches where the model looks,
+        // stopping at the arrive distance instead of walking into the point
+        const step = Math.min(speed * deltaTime, distance - ARRIVE_DISTANCE / 2);
+        state.velocity.set(Math.sin(npc.model.rotation.y) * speed, state.velocity.y, Math.cos(npc.model.rotation.y) * speed);
+
+        const next = state.position.clone();
+        next.x += Math.sin(npc.model.rotation.y) * step;
+        next.z += Math.cos(npc.model.rotation.y) * step;
+        resolveMove(npc, next);
+
+        const moved = getGroundDistance(next, state.position);
+        brain.stuckTime = moved < step * 0.25 ? brain.stuckTime + deltaTime : 0;
+
+        state.position.x = next.x;
+        state.position.z = next.z;
+        npc.model.position.copy(state.position);
+
+        if (brain.stuckTime > STUCK_TIME) {
+            brain.stuckTime = 0;
+            return true;
+        }
+        return false;
+    }
+
+    // Play the animation bound to a state, falling back when the model doesn't have it
+    function playStateAnimation(npc, boundState) {
+        const wanted = stateAnimations[boundState];
+        const slot = [wanted].concat(FALLBACK_SLOTS[wanted] || DEFAULT_FALLBACK_SLOTS).find(candidate => npc.animations[candidate]);
+
+        npc.brain.animation = slot || null;
+        npc.brain.missingSlot = slot === wanted ? null : wanted;
+
+        if (slot) {
+            setAnimation(npc, slot);
+        }
+    }
+
+    // Run one step of an NPC's state machine
+    function update(npc, deltaTime) {
+        const brain = npc.brain;
+        const state = npc.state;
+        if (!npc.model || !brain) return;
+
+        brain.stateTime += deltaTime;
+        if (state.attackCooldown > 0) {
+            state.attackCooldown -= deltaTime;
+        }
+
+        // Let an attack swing finish before doing anything else
+        if (state.isAttacking) return;
+
+        const target = getTarget();
+        const distance = target ? getGroundDistance(state.position, target) : Infinity;
+        const canSee = distance < npcSettings.sightRange;
+        const inLeash = target ? getGroundDistance(target, brain.home) < npcSettings.leashRange : false;
+
+        if (canSee) {
+            brain.lastSeen.copy(target);
+        }
+
+        // Movement states play the IDLE binding while the NPC stands still
+        let standing = false;
+
+        switch (brain.state) {
+            case 'IDLE':
+                if (canSee && inLeash) {
+                    setState(npc, 'CHASE');
+                } else if (brain.stateTime > npcSettings.idleTime) {
+                    setState(npc, 'PATROL');
+                }
+                break;
+
+            case 'PATROL': {
+                if (canSee && inLeash) {
+                    setState(npc, 'CHASE');
+                    break;
+                }
+
+                const waypoints = getWaypoints(brain);
+                brain.waypointIndex %= waypoints.length;
+
+                // Wait a moment at each waypoint before walking to the next one
+                if (moveTowards(npc, waypoints[brain.waypointIndex], npcSettings.patrolSpeed, deltaTime)) {
+                    brain.waypointIndex = (brain.waypointIndex + 1) % waypoints.length;
+                    setState(npc, 'IDLE');
+                }
+                break;
+            }
+
+            case 'CHASE':
+                if (!inLeash) {
+                    setState(npc, 'RETURN');
+                } else if (!canSee) {
+                    setState(npc, 'SEARCH');
+                } else if (distance < npcSettings.attackRange) {
+                    setState(npc, 'ATTACK');
+                } else if (moveTowards(npc, target, npcSettings.chaseSpeed, deltaTime)) {
+                    // Standing next to the target without being able to attack it
+                    standing = true;
+                }
+                break;
+
+            case 'ATTACK':
+                if (distance > npcSettings.attackRange * ATTACK_EXIT_FACTOR) {
+                    setState(npc, 'CHASE');
+                    break;
+                }
+
+                turnTowards(npc, new THREE.Vector3(target.x - state.position.x, 0, target.z - state.position.z), deltaTime);
+
+                if (state.attackCooldown <= 0) {
+                    // Close in again before swinging at a target pushed out of range
+                    if (distance > npcSettings.attackRange) {
+                        setState(npc, 'CHASE');
+                        break;
+                    }
+
+                    state.attackCooldown = npcSettings.attackCooldown;
+                    performAttack(npc);
+
+                    if (state.isAttacking) {
+                        brain.animation = state.currentAnimation;
+                        brain.missingSlot = null;
+                        return;
+                    }
+                }
+                break;
+
+            case 'SEARCH':
+                if (canSee && inLeash) {
+                    setState(npc, 'CHASE');
+                } else if (!brain.reachedLastSeen) {
+                    // Go to where the target was last seen, then look around
+                    brain.reachedLastSeen = moveTowards(npc, brain.lastSeen, npcSettings.patrolSpeed, deltaTime);
+                    brain.stateTime = 0;
+                } else if (brain.stateTime > npcSettings.searchTime) {
+                    setState(npc, 'RETURN');
+                } else {
+                    npc.model.rotation.y += SEARCH_TURN_SPEED * deltaTime * Math.sign(Math.sin(brain.stateTime * 1.5) || 1);
+                    state.rotation.y = npc.model.rotation.y;
+                    standing = true;
+                }
+                break;
+
+            case 'RETURN':
+                if (canSee && inLeash) {
+                    setState(npc, 'CHASE');
+                } else if (moveTowards(npc, brain.home, npcSettings.returnSpeed, deltaTime)) {
+                    setState(npc, 'IDLE');
+                }
+                break;
+        }
+
+        playStateAnimation(npc, standing ? 'IDLE' : brain.state);
+    }
+
+    return { update };
+}
+
+// Get the text of an NPC's state label: its state, the slot it plays and the slot it is missing
+export function getNpcStateLabel(npc) {
+    const brain = npc.brain;
+    if (!brain) return '';
+
+    let text = brain.state;
+    if (brain.animation) {
+        text += ` · ${brain.animation}`;
+    }
+    if (brain.missingSlot) {
+        text += ` (no ${brain.missingSlot})`;
+    }
+    return text;
+}
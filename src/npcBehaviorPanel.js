@@ -0,0 +1,86 @@
+import { getAnimationSlots } from './animationSlots.js';
+import { NPC_STATES, getNpcSetting, getStateAnimation, setNpcSetting, setStateAnimation } from './npcBehavior.js';
+import { createToolPanel } from './panels.js';
+
+// Parameters shown in the panel
+const SETTING_FIELDS = [
+    { key: 'sightRange', label: 'Sight range (m)', step: 0.5 },
+    { key: 'attackRange', label: 'Attack range (m)', step: 0.1 },
+    { key: 'leashRange', label: 'Leash range from home (m)', step: 0.5 },
+    { key: 'patrolRadius', label: 'Patrol radius (m)', step: 0.5 },
+    { key: 'idleTime', label: 'Idle time (s)', step: 0.5 },
+    { key: 'searchTime', label: 'Search time (s)', step: 0.5 },
+    { key: 'attackCooldown', label: 'Attack cooldown (s)', step: 0.1 },
+    { key: 'patrolSpeed', label: 'Patrol speed (m/s)', step: 0.1 },
+    { key: 'chaseSpeed', label: 'Chase speed (m/s)', step: 0.1 },
+    { key: 'returnSpeed', label: 'Return speed (m/s)', step: 0.1 },
+    { key: 'turnSpeed', label: 'Turn speed', step: 0.1 },
+    { key: 'avoidDistance', label: 'Obstacle avoid distance (m)', step: 0.1 }
+];
+
+// Get the options of a state's slot dropdown
+function getSlotOptions(state) {
+    return getAnimationSlots().map(slot =>
+        `<option value="${slot}"${slot === getStateAnimation(state) ? ' selected' : ''}>${slot}</option>`
+    ).join('');
+}
+
+// Create the panel with the NPC state machine parameters, the animation slot bound to each
+// state and the toggle of the on-screen state labels. Call updateSlots() when the slot table changes
+export function createNpcBehaviorPanel() {
+    const { content } = createToolPanel('NPC Behavior', { open: false });
+
+    content.innerHTML = `
+        <label class="panel-field">
+            Show state labels
+            <input type="checkbox" class="npc-labels" checked>
+        </label>
+        <h4 class="panel-subtitle">Animations</h4>
+        ${NPC_STATES.map(state => `
+            <label class="panel-field">
+                ${state === 'ATTACK' ? 'ATTACK (between swings)' : state}
+                <select data-state="${state}">${getSlotOptions(state)}</select>
+            </label>
+        `).join('')}
+        <h4 class="panel-subtitle">Parameters</h4>
+        ${SETTING_FIELDS.map(field => `
+            <label class="panel-field">
+                ${field.label}
+                <input type="number" min="0" step="${field.step}" data-setting="${field.key}" value="${getNpcSetting(field.key)}">
+            </label>
+        `).join('')}
+        <p class="panel-hint">Missing slots fall back to IDLE (WALK and RUN try each other first) and are shown on the labels.</p>
+    `;
+
+    const labelsInput = content.querySelector('.npc-labels');
+
+    content.addEventListener('change', (e) => {
+        const { state, setting } = e.target.dataset;
+
+        if (state) {
+            setStateAnimation(state, e.target.value);
+        } else if (setting) {
+            const value = parseFloat(e.target.value);
+            if (value >= 0) {
+                setNpcSetting(setting, value);
+            } else {
+                e.target.value = getNpcSetting(setting);
+            }
+        }
+    });
+
+    // List the slots of the table in the state dropdowns, a state keeps its slot even when
+    // it was removed from the table (the NPC then falls back to WALK or IDLE)
+    function updateSlots() {
+        content.querySelectorAll('select[data-state]').forEach((select) => {
+            const state = select.dataset.state;
+            select.innerHTML = getSlotOptions(state);
+            select.value = getStateAnimation(state);
+        });
+    }
+
+    return {
+        areLabelsVisible: () => labelsInput.checked,
+        updateSlots
+    };
+}
@@ -0,0 +1,65 @@
+// Get (or create) the column on the left side that holds the tool panels
+function getPanelStack() {
+    let stack = document.getElementById('panel-stack');
+
+    if (!stack) {
+        stack = document.createElement('div');
+        stack.id = 'panel-stack';
+        stack.className = 'panel-stack';
+        document.body.appendChild(stack);
+    }
+
+    return stack;
+}
+
+// Create a collapsible tool panel and return its content element
+export function createToolPanel(title, { open = true } = {}) {
+    const panel = document.createElement('details');
+    panel.className = 'tool-panel';
+    panel.open = open;
+
+    const summary = document.createElement('summary');
+    summary.textContent = title;
+    panel.appendChild(summary);
+
+    const content = document.createElement('div');
+    content.className = 'tool-panel-content';
+    panel.appendChild(content);
+
+    getPanelStack().appendChild(panel);
+
+    return { panel, content };
+}
+
+// Escape text before inserting it into HTML markup
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Format a size in bytes for display
+export function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'Unknown';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+// Let the user download some content as a file
+export function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,142 @@
+import { parseInputRecording } from './inputRecording.js';
+import { createToolPanel, downloadFile, escapeHTML } from './panels.js';
+
+// Format a position { x, y, z } for the panel
+function formatPosition(position) {
+    return `${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}`;
+}
+
+// Create the panel to record the player's input, replay it (on any model) and export or import
+// it as JSON. onRecord() starts recording, onStop() stops recording or replaying and returns the
+// finished recording (or null) and onReplay(recording) starts replaying a recording
+export function createRecordingPanel({ onRecord, onStop, onReplay }) {
+    const { content } = createToolPanel('Recording', { open: false });
+
+    content.innerHTML = `
+        <div class="recording-buttons">
+            <button type="button" class="panel-button recording-record">Record</button>
+            <button type="button" class="panel-button recording-stop" disabled>Stop</button>
+            <button type="button" class="panel-button recording-replay" disabled>Replay</button>
+        </div>
+        <p class="recording-status">No recording</p>
+        <div class="recording-result"></div>
+        <input type="file" id="recording-input" accept=".json">
+        <label for="recording-input" class="panel-button">Import JSON</label>
+        <button type="button" class="panel-button recording-export" disabled>Export JSON</button>
+        <p class="panel-hint">Recording and replaying restart the level, the NPCs and the random clip variants, then the simulation runs in fixed steps so a replay plays the same input at the same moments. Load another model or revision before replaying to compare where the player ends up.</p>
+    `;
+
+    const recordButton = content.querySelector('.recording-record');
+    const stopButton = content.querySelector('.recording-stop');
+    const replayButton = content.querySelector('.recording-replay');
+    const exportButton = content.querySelector('.recording-export');
+    const status = content.querySelector('.recording-status');
+    const resultView = content.querySelector('.recording-result');
+
+    // Last recording made or imported, and the session mode shown
+    let recording = null;
+    let mode = 'idle';
+
+    // Describe the recording that replays play
+    function describeRecording() {
+        if (!recording) return 'No recording';
+        const seconds = (recording.steps * recording.step).toFixed(1);
+        return `${seconds} s recorded${recording.model ? ` with ${recording.model}` : ''}`;
+    }
+
+    // Enable the buttons that apply to the session mode
+    function updateButtons() {
+        recordButton.disabled = mode !== 'idle';
+        stopButton.disabled = mode === 'idle';
+        replayButton.disabled = mode !== 'idle' || !recording;
+        exportButton.disabled = !recording;
+    }
+
+    // Keep a recording to replay and export
+    function setRecording(newRecording) {
+        recording = newRecording;
+        resultView.innerHTML = '';
+        status.textContent = describeRecording();
+        updateButtons();
+    }
+
+    // Show how the state a replay ended in { position, rotationY, health, animation } differs
+    // from the end of the recording
+    function showReplayResult(result) {
+        const expected = recording ? recording.result : null;
+        const rows = [['Position', formatPosition(result.position)], ['Health', result.health], ['Animation', result.animation]];
+
+        if (expected) {
+            const distance = Math.hypot(
+                result.position.x - expected.position.x,
+                result.position.y - expected.position.y,
+                result.position.z - expected.position.z
+            );
+            const turn = Math.abs(Math.atan2(Math.sin(result.rotationY - expected.rotationY), Math.cos(result.rotationY - expected.rotationY)));
+
+            rows.push(['Recorded position', formatPosition(expected.position)]);
+            rows.push(['Distance', `${distance.toFixed(3)} m`]);
+            rows.push(['Heading difference', `${(turn * 180 / Math.PI).toFixed(1)}°`]);
+            rows.push(['Recorded health', expected.health]);
+        }
+
+        resultView.innerHTML = `
+            <div class="panel-subtitle">Replay result</div>
+            <table class="recording-result-table">
+                ${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHTML(String(value))}</td></tr>`).join('')}
+            </table>
+        `;
+    }
+
+    recordButton.addEventListener('click', () => {
+        resultView.innerHTML = '';
+        onRecord();
+    });
+
+    stopButton.addEventListener('click', () => {
+        const finished = onStop();
+        if (finished) {
+            setRecording(finished);
+        }
+    });
+
+    replayButton.addEventListener('click', () => {
+        resultView.innerHTML = '';
+        onReplay(recording);
+    });
+
+    exportButton.addEventListener('click', () => {
+        downloadFile(JSON.stringify(recording, null, 2), 'input-recording.json', 'application/json');
+    });
+
+    content.querySelector('#recording-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        file.text()
+            .then(text => parseInputRecording(JSON.parse(text)))
+            .then(setRecording)
+            .catch((error) => {
+                console.error('Error importing input recording:', error);
+                alert(`Error importing input recording: ${error.message}`);
+            });
+    });
+
+    // Show the session mode and its time (in seconds), call once per frame
+    function update(session) {
+        if (session.mode !== mode) {
+            mode = session.mode;
+            updateButtons();
+            if (mode === 'idle') status.textContent = describeRecording();
+        }
+
+        if (mode === 'recording') {
+            status.textContent = `Recording… ${session.time.toFixed(1)} s`;
+        } else if (mode === 'replaying') {
+            status.textContent = `Replaying… ${session.time.toFixed(1)} / ${(recording.steps * recording.step).toFixed(1)} s`;
+        }
+    }
+
+    return { update, showReplayResult };
+}
@@ -0,0 +1,218 @@
+import { collectDroppedFiles, collectInputFiles, expandArchives } from './modelFiles.js';
+import { createToolPanel, downloadFile, escapeHTML } from './panels.js';
+import { REVIEW_STATUSES, formatReviewCSV, getReviewRows } from './reviewQueue.js';
+
+// Labels of the review verdicts
+const STATUS_LABELS = { pending: 'Pending', pass: 'Pass', fail: 'Fail' };
+
+// Create the panel of the batch review: models dropped or selected here are queued, opened one at
+// a time with Previous/Next and given a pass/fail verdict and notes, with a summary table exported
+// as CSV or JSON. queue is the review queue (see createReviewQueue) and onOpen(entry) loads a
+// queued model, returning a promise that settles once it is loaded
+export function createReviewPanel({ queue, onOpen }) {
+    const { content } = createToolPanel('Review Queue', { open: false });
+
+    content.innerHTML = `
+        <div class="review-drop">
+            Drop models, folders or .zip files here to queue them
+            <div>
+                <input type="file" id="review-input" accept=".glb,.gltf,.fbx,.obj,.mtl,.dae,.bin,.png,.jpg,.jpeg,.webp,.tga,.ktx2,.zip" multiple>
+                <label for="review-input" class="panel-button">Select files</label>
+                <input type="file" id="review-folder-input" webkitdirectory multiple>
+                <label for="review-folder-input" class="panel-button">Select folder</label>
+            </div>
+        </div>
+        <div class="review-nav">
+            <button type="button" class="panel-button review-previous">&#9664; Previous</button>
+            <span class="review-position"></span>
+            <button type="button" class="panel-button review-next">Next &#9654;</button>
+        </div>
+        <div class="review-current">
+            <div class="review-name"></div>
+            <div class="review-statuses">
+                ${REVIEW_STATUSES.map(status =>
+                    `<button type="button" class="panel-button review-status" data-status="${status}">${STATUS_LABELS[status]}</button>`
+                ).join('')}
+            </div>
+            <textarea class="review-notes" rows="3" placeholder="Notes"></textarea>
+        </div>
+        <div class="panel-subtitle">Summary</div>
+        <p class="review-counts"></p>
+        <table class="review-summary"></table>
+        <button type="button" class="panel-button review-export-csv">Export CSV</button>
+        <button type="button" class="panel-button review-export-json">Export JSON</button>
+        <button type="button" class="panel-button review-clear">Clear queue</button>
+        <p class="panel-hint">Queued models load into the player. Their slot mapping and model setup are saved per model, so they come back when you return to a model.</p>
+    `;
+
+    const dropArea = content.querySelector('.review-drop');
+    const previousButton = content.querySelector('.review-previous');
+    const nextButton = content.querySelector('.review-next');
+    const position = content.querySelector('.review-position');
+    const current = content.querySelector('.review-current');
+    const nameLabel = content.querySelector('.review-name');
+    const notesInput = content.querySelector('.review-notes');
+    const counts = content.querySelector('.review-counts');
+    const summary = content.querySelector('.review-summary');
+
+    // A model is loading, navigation waits for it
+    let loading = false;
+
+    // Show the queued models and their verdicts
+    function renderSummary() {
+        const entries = queue.getEntries();
+        const currentEntry = queue.getCurrent();
+
+        const totals = {};
+        REVIEW_STATUSES.forEach((status) => {
+            totals[status] = entries.filter(entry => entry.status === status).length;
+        });
+        counts.textContent = entries.length > 0 ?
+            `${entries.length} models · ${REVIEW_STATUSES.map(status => `${totals[status]} ${status}`).join(' · ')}` :
+            'No models queued';
+
+        summary.innerHTML = entries.map((entry, index) => `
+            <tr class="review-row${entry === currentEntry ? ' is-current' : ''}" data-index="${index}">
+                <td>${index + 1}</td>
+                <td class="review-row-name">${escapeHTML(entry.name)}</td>
+                <td class="review-row-status review-${entry.status}">${STATUS_LABELS[entry.status]}</td>
+                <td class="review-row-notes">${escapeHTML(entry.notes)}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Show the current model, its verdict and the navigation
+    function render() {
+        const entries = queue.getEntries();
+        const entry = queue.getCurrent();
+        const index = queue.getCurrentIndex();
+
+        position.textContent = entry ? `${index + 1} / ${entries.length}` : `0 / ${entries.length}`;
+        previousButton.disabled = loading || index <= 0;
+        nextButton.disabled = loading || index >= entries.length - 1;
+        current.hidden = !entry;
+
+        if (entry) {
+            nameLabel.textContent = loading ? `${entry.path} (loading…)` : entry.path;
+            content.querySelectorAll('.review-status').forEach((button) => {
+                button.classList.toggle('is-active', button.dataset.status === entry.status);
+            });
+            if (document.activeElement !== notesInput) {
+                notesInput.value = entry.notes;
+            }
+        }
+
+        renderSummary();
+    }
+
+    // Open a queued model by index
+    function open(index) {
+        if (loading) return;
+
+        const entry = queue.select(index);
+        if (!entry) return;
+
+        loading = true;
+        render();
+
+        onOpen(entry)
+            .catch(error => console.error(`Error opening ${entry.path}:`, error))
+            .finally(() => {
+                loading = false;
+                render();
+            });
+    }
+
+    // Queue the models of an upload, opening the first one when nothing was open
+    function addFiles(entriesPromise) {
+        entriesPromise
+            .then(entries => expandArchives(entries))
+            .then((entries) => {
+                const hadCurrent = queue.getCurrent() !== null;
+                const firstNew = queue.getEntries().length;
+                const added = queue.add(entries);
+
+                if (added === 0) {
+                    alert('No new .glb, .gltf, .fbx, .obj or .dae models to queue');
+                    return;
+                }
+
+                if (!hadCurrent) {
+                    open(firstNew);
+                } else {
+                    render();
+                }
+            })
+            .catch((error) => {
+                console.error('Error reading queued files:', error);
+                alert('Error reading the files to queue. Please try again.');
+            });
+    }
+
+    ['dragenter', 'dragover'].forEach((type) => {
+        dropArea.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropArea.classList.add('highlight');
+        });
+    });
+
+    ['dragleave', 'drop'].forEach((type) => {
+        dropArea.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropArea.classList.remove('highlight');
+        });
+    });
+
+    dropArea.addEventListener('drop', (e) => addFiles(collectDroppedFiles(e.dataTransfer)));
+
+    ['#review-input', '#review-folder-input'].forEach((selector) => {
+        content.querySelector(selector).addEventListener('change', (e) => {
+            addFiles(Promise.resolve(collectInputFiles(e.target.files)));
+            e.target.value = '';
+        });
+    });
+
+    previousButton.addEventListener('click', () => open(queue.getCurrentIndex() - 1));
+    nextButton.addEventListener('click', () => open(queue.getCurrentIndex() + 1));
+
+    content.querySelector('.review-statuses').addEventListener('click', (e) => {
+        const button = e.target.closest('.review-status');
+        const entry = queue.getCurrent();
+        if (!button || !entry) return;
+
+        queue.update(entry.id, { status: button.dataset.status });
+        render();
+    });
+
+    notesInput.addEventListener('input', () => {
+        const entry = queue.getCurrent();
+        if (!entry) return;
+
+        queue.update(entry.id, { notes: notesInput.value });
+        renderSummary();
+    });
+
+    summary.addEventListener('click', (e) => {
+        const row = e.target.closest('.review-row');
+        if (row) open(parseInt(row.dataset.index, 10));
+    });
+
+    content.querySelector('.review-export-csv').addEventListener('click', () => {
+        downloadFile(formatReviewCSV(getReviewRows(queue.getEntries())), 'model-review.csv', 'text/csv');
+    });
+
+    content.querySelector('.review-export-json').addEventListener('click', () => {
+        const data = { reviewedAt: new Date().toISOString(), models: getReviewRows(queue.getEntries()) };
+        downloadFile(JSON.stringify(data, null, 2), 'model-review.json', 'application/json');
+    });
+
+    content.querySelector('.review-clear').addEventListener('click', () => {
+        if (queue.getEntries().length > 0 && !confirm('Remove every model and verdict from the review queue?')) return;
+        queue.clear();
+        render();
+    });
+
+    render();
+
+    return { render };
+}
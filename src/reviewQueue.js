@@ -0,0 +1,112 @@
+import { getMissingSlots } from './animationSlots.js';
+import { isModelPath, normalizePath } from './modelFiles.js';
+
+// Verdicts of a reviewed model
+export const REVIEW_STATUSES = ['pending', 'pass', 'fail'];
+
+// Columns of the exported review summary
+const SUMMARY_COLUMNS = ['model', 'status', 'notes', 'triangles', 'bones', 'clips', 'missingSlots', 'warnings'];
+
+// Create the queue of models under review. Every model file of a batch is one entry
+// { id, name, path, entries, status, notes, details }: entries are all the files uploaded with
+// it (so textures shared between models resolve) and details the summary of its model report,
+// set once it has been loaded (see getReviewDetails)
+export function createReviewQueue() {
+    const queue = [];
+    let currentIndex = -1;
+    let nextId = 1;
+
+    // Add the models of an upload (a list of { path, file } entries), returning how many were added.
+    // Models already in the queue (same path and size) are skipped
+    function add(entries) {
+        let added = 0;
+
+        entries.filter(entry => isModelPath(entry.path)).forEach((entry) => {
+            const path = normalizePath(entry.path);
+            if (queue.some(item => item.path === path && item.size === entry.file.size)) return;
+
+            queue.push({
+                id: nextId++,
+                name: path.split('/').pop(),
+                path,
+                size: entry.file.size,
+                entries,
+                status: 'pending',
+                notes: '',
+                details: null
+            });
+            added++;
+        });
+
+        return added;
+    }
+
+    // Go to an entry by index, returning it (null when out of range)
+    function select(index) {
+        if (index < 0 || index >= queue.length) return null;
+        currentIndex = index;
+        return queue[index];
+    }
+
+    // Set fields of an entry: status, notes or details
+    function update(id, fields) {
+        const item = queue.find(entry => entry.id === id);
+        if (item) Object.assign(item, fields);
+    }
+
+    // Empty the queue
+    function clear() {
+        queue.length = 0;
+        currentIndex = -1;
+    }
+
+    return {
+        add,
+        select,
+        update,
+        clear,
+        getEntries: () => queue,
+        getCurrent: () => queue[currentIndex] || null,
+        getCurrentIndex: () => currentIndex
+    };
+}
+
+// Summarize a model report (see buildModelReport) and the model's slot mapping for the review summary
+export function getReviewDetails(report, mapping) {
+    return {
+        triangles: report.scene.triangles,
+        bones: report.skeleton.bones,
+        clips: report.animations.length,
+        missingSlots: getMissingSlots(mapping),
+        warnings: report.warnings.length
+    };
+}
+
+// Get the rows of the review summary, one per queued model
+export function getReviewRows(queue) {
+    return queue.map(entry => ({
+        model: entry.path,
+        status: entry.status,
+        notes: entry.notes,
+        triangles: entry.details ? entry.details.triangles : null,
+        bones: entry.details ? entry.details.bones : null,
+        clips: entry.details ? entry.details.clips : null,
+        missingSlots: entry.details ? entry.details.missingSlots : null,
+        warnings: entry.details ? entry.details.warnings : null
+    }));
+}
+
+// Quote a CSV field when it holds a separator, a quote or a line break
+function formatCSVField(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Format the review summary rows as CSV
+export function formatReviewCSV(rows) {
+    return [SUMMARY_COLUMNS.join(',')]
+        .concat(rows.map(row => SUMMARY_COLUMNS.map(column => formatCSVField(row[column])).join(',')))
+        .join('\r\n');
+}
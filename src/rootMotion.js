@@ -0,0 +1,221 @@
+import * as THREE from 'three';
+
+// Root motion modes of a model: play the clips as authored, remove the root bone's horizontal
+// motion so they play in place, or remove it and move the player with it
+export const ROOT_MOTION_MODES = ['off', 'in-place', 'root'];
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Get the bone and property animated by a track
+function parseTrack(track) {
+    const { nodeName, propertyName } = THREE.PropertyBinding.parseTrackName(track.name);
+    return { nodeName, propertyName };
+}
+
+// Get the names of every bone of a model scene
+export function getBoneNames(scene) {
+    const names = [];
+    scene.traverse((node) => {
+        if (node.isBone) names.push(node.name);
+    });
+    return names;
+}
+
+// Count the bones below a bone
+function countChildBones(bone) {
+    let count = 0;
+    bone.traverse((node) => {
+        if (node !== bone && node.isBone) count++;
+    });
+    return count;
+}
+
+// Find the bone that carries the root motion: the top bone of the skeleton when its position
+// is animated, otherwise the animated bone with the most bones below it (the hips or body of
+// rigs with a static root bone and IK targets next to the body)
+export function findRootMotionBone(scene, clips) {
+    const animated = new Set();
+    clips.forEach(clip => clip.tracks.forEach((track) => {
+        const { nodeName, propertyName } = parseTrack(track);
+        if (propertyName === 'position') animated.add(nodeName);
+    }));
+
+    let topBone = null;
+    const candidates = [];
+    scene.traverse((node) => {
+        if (!node.isBone) return;
+        if (!topBone && !(node.parent && node.parent.isBone)) topBone = node;
+        if (animated.has(node.name)) candidates.push(node);
+    });
+
+    if (topBone && animated.has(topBone.name)) return topBone.name;
+
+    const best = candidates.reduce((best, bone) => (!best || countChildBones(bone) > countChildBones(best) ? bone : best), null);
+    return best ? best.name : null;
+}
+
+// Get the rotation around Y of a quaternion (the twist of a swing-twist decomposition)
+function getYaw(quaternion) {
+    return 2 * Math.atan2(quaternion.y, quaternion.w);
+}
+
+// Keep an angle within half a turn of the previous one so yaw curves don't jump
+function unwrapAngle(angle, previous) {
+    return previous + Math.atan2(Math.sin(angle - previous), Math.cos(angle - previous));
+}
+
+// Remove the horizontal motion of a position track, returning the in-place track and the
+// motion curve { times, values: [x, z, ...] } in scene space, relative to the first key
+function extractTranslation(track, toScene, toBone) {
+    const times = Array.from(track.times);
+    const values = new Float32Array(track.values.length);
+    const curve = { times, values: [] };
+    const point = new THREE.Vector3();
+    const start = new THREE.Vector3().fromArray(track.values, 0).applyMatrix4(toScene);
+
+    for (let i = 0; i < times.length; i++) {
+        point.fromArray(track.values, i * 3).applyMatrix4(toScene);
+        curve.values.push(point.x - start.x, point.z - start.z);
+
+        point.x = start.x;
+        point.z = start.z;
+        point.applyMatrix4(toBone).toArray(values, i * 3);
+    }
+
+    return { track: new THREE.VectorKeyframeTrack(track.name, times, values), curve };
+}
+
+// Remove the rotation around Y of a quaternion track, returning the in-place track and the
+// yaw curve { times, values } in radians, relative to the first key
+function extractYaw(track, parentRotation) {
+    const times = Array.from(track.times);
+    const values = new Float32Array(track.values.length);
+    const curve = { times, values: [] };
+    const inverseParent = parentRotation.clone().invert();
+    const rotation = new THREE.Quaternion();
+    const twist = new THREE.Quaternion();
+    let startYaw = 0;
+    let yaw = 0;
+
+    for (let i = 0; i < times.length; i++) {
+        rotation.fromArray(track.values, i * 4).premultiply(parentRotation);
+        yaw = i === 0 ? getYaw(rotation) : unwrapAngle(getYaw(rotation), yaw);
+        if (i === 0) startYaw = yaw;
+        curve.values.push(yaw - startYaw);
+
+        twist.setFromAxisAngle(UP, -(yaw - startYaw));
+        rotation.premultiply(twist).premultiply(inverseParent).toArray(values, i * 4);
+    }
+
+    return { track: new THREE.QuaternionKeyframeTrack(track.name, times, values), curve };
+}
+
+// Extract the root motion of a model's clips. Returns a Map of clip name -> { clip, motion }
+// where clip plays in place and motion holds the removed translation and yaw curves (null when
+// the clip doesn't animate them). Clips that don't animate the bone aren't in the map
+export function extractRootMotion(scene, clips, boneName) {
+    const results = new Map();
+    const bone = boneName ? scene.getObjectByName(boneName) : null;
+    if (!bone) return results;
+
+    // Bone keys are relative to its parent, the motion is measured in the model scene's space
+    scene.updateMatrixWorld(true);
+    const toScene = new THREE.Matrix4().copy(scene.matrixWorld).invert();
+    if (bone.parent) toScene.multiply(bone.parent.matrixWorld);
+    const toBone = toScene.clone().invert();
+    const parentRotation = new THREE.Quaternion();
+    toScene.decompose(new THREE.Vector3(), parentRotation, new THREE.Vector3());
+
+    clips.forEach((clip) => {
+        let translation = null;
+        let yaw = null;
+
+        const tracks = clip.tracks.map((track) => {
+            const { nodeName, propertyName } = parseTrack(track);
+            if (nodeName !== boneName) return track;
+
+            // Cubic spline tracks keep tangents next to the values, they are left as they are
+            if (propertyName === 'position' && track.getValueSize() === 3) {
+                const result = extractTranslation(track, toScene, toBone);
+                translation = result.curve;
+                return result.track;
+            }
+            if (propertyName === 'quaternion' && track.getValueSize() === 4) {
+                const result = extractYaw(track, parentRotation);
+                yaw = result.curve;
+                return result.track;
+            }
+            return track;
+        });
+
+        if (translation || yaw) {
+            results.set(clip.name, {
+                clip: new THREE.AnimationClip(clip.name, clip.duration, tracks, clip.blendMode),
+                motion: { translation, yaw, duration: clip.duration }
+            });
+        }
+    });
+
+    return results;
+}
+
+// Sample a curve at a time, holding the first and last keys outside of it
+function sampleCurve(curve, time, itemSize) {
+    const { times, values } = curve;
+    const result = [];
+
+    let index = times.findIndex(keyTime => keyTime > time);
+    if (index === -1) index = times.length;
+
+    for (let item = 0; item < itemSize; item++) {
+        if (index === 0) {
+            result.push(values[item]);
+        } else if (index === times.length) {
+            result.push(values[(times.length - 1) * itemSize + item]);
+        } else {
+            const t = (time - times[index - 1]) / (times[index] - times[index - 1]);
+            const from = values[(index - 1) * itemSize + item];
+            const to = values[index * itemSize + item];
+            result.push(from + (to - from) * t);
+        }
+    }
+
+    return result;
+}
+
+// Sample the root position { x, z } and yaw of a motion at a time
+function sampleMotion(motion, time) {
+    const [x, z] = motion.translation ? sampleCurve(motion.translation, time, 2) : [0, 0];
+    const [yaw] = motion.yaw ? sampleCurve(motion.yaw, time, 1) : [0];
+    return { x, z, yaw };
+}
+
+// Get the motion between two times of a clip, without wrapping
+function getSegment(motion, fromTime, toTime) {
+    const from = sampleMotion(motion, fromTime);
+    const to = sampleMotion(motion, toTime);
+    const offset = new THREE.Vector3(to.x - from.x, 0, to.z - from.z).applyAxisAngle(UP, -from.yaw);
+    return { offset, yaw: to.yaw - from.yaw };
+}
+
+// Get the root motion of a clip played from one time to another, wrapping around the end of
+// looping clips. Returns { offset, yaw }: the move in scene units, relative to where the root
+// faced at fromTime, and the turn in radians
+export function getRootMotionStep(motion, fromTime, toTime, wrapped) {
+    if (!wrapped) return getSegment(motion, fromTime, toTime);
+
+    // Play to the end of the clip, then from its start, turned by what the first part turned
+    const end = getSegment(motion, fromTime, motion.duration);
+    const start = getSegment(motion, 0, toTime);
+    return {
+        offset: end.offset.add(start.offset.applyAxisAngle(UP, end.yaw)),
+        yaw: end.yaw + start.yaw
+    };
+}
+
+// Get how far a motion moves the root from the start to the end of its clip { distance, turn },
+// in scene units and radians
+export function getRootMotionTotal(motion) {
+    const { offset, yaw } = getSegment(motion, 0, motion.duration);
+    return { distance: offset.length(), turn: yaw };
+}
@@ -0,0 +1,62 @@
+import { getAnimationSlots } from './animationSlots.js';
+import { createToolPanel, escapeHTML } from './panels.js';
+
+// Create the panel that lists every clip of the model with a slot dropdown.
+// onAssign(slot, clipName) is called when a clip is assigned to (or removed from) a slot
+// and onReset() when the mapping should go back to the auto-detected one
+export function createSlotMappingPanel({ onAssign, onReset }) {
+    const { content } = createToolPanel('Animation Slots');
+
+    content.innerHTML = `
+        <div class="slot-mapping-list"></div>
+        <button type="button" class="panel-button slot-mapping-reset">Reset to auto-detected</button>
+    `;
+
+    const list = content.querySelector('.slot-mapping-list');
+
+    list.addEventListener('change', e => {
+        const select = e.target.closest('select[data-clip]');
+        if (!select) return;
+
+        const clipName = select.dataset.clip;
+        const previousSlot = select.dataset.slot;
+
+        // Remove the clip from its previous slot before assigning the new one
+        if (previousSlot) {
+            onAssign(previousSlot, null);
+        }
+        if (select.value) {
+            onAssign(select.value, clipName);
+        }
+    });
+
+    content.querySelector('.slot-mapping-reset').addEventListener('click', () => onReset());
+
+    // Render the clips of the current model and their assigned slots
+    function update(clips, mapping) {
+        if (clips.length === 0) {
+            list.innerHTML = '<p class="panel-empty">No animations in this model</p>';
+            return;
+        }
+
+        const slots = getAnimationSlots();
+        list.innerHTML = clips.map((clip, index) => {
+            const slot = slots.find(slot => mapping[slot] === clip.name) || '';
+            const options = ['', ...slots].map(option =>
+                `<option value="${option}"${option === slot ? ' selected' : ''}>${option || '—'}</option>`
+            ).join('');
+
+            return `
+                <div class="slot-mapping-row">
+                    <span class="slot-mapping-clip" title="${escapeHTML(clip.name)}">${escapeHTML(clip.name || `Clip ${index}`)}</span>
+                    <span class="slot-mapping-duration">${clip.duration.toFixed(2)}s</span>
+                    <select data-clip="${escapeHTML(clip.name)}" data-slot="${slot}">${options}</select>
+                </div>
+            `;
+        }).join('');
+    }
+
+    update([], {});
+
+    return { update };
+}
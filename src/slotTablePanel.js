@@ -0,0 +1,163 @@
+import {
+    ATTACK_VARIANT_MODES,
+    getSlotTable,
+    parseSlotTable,
+    resetSlotTable,
+    setSlotTable
+} from './animationSlots.js';
+import { createToolPanel, downloadFile, escapeHTML } from './panels.js';
+
+// Create the panel to edit the slot table: the slots, the rules that detect them from clip
+// names, their playback flags and variants, with JSON import and export.
+// onChange() is called once the edited table is in use
+export function createSlotTablePanel({ onChange }) {
+    const { content } = createToolPanel('Slot Table', { open: false });
+
+    content.innerHTML = `
+        <label class="panel-field">
+            ATTACK variants
+            <select class="slot-table-attack-mode">
+                ${ATTACK_VARIANT_MODES.map(mode => `<option value="${mode}">${mode}</option>`).join('')}
+            </select>
+        </label>
+        <p class="panel-hint">Clips take the first free slot with a matching rule, top to bottom. One rule per line: a keyword found in the clip name or a /regex/flags.</p>
+        <div class="slot-table-list"></div>
+        <div class="slot-table-add">
+            <input type="text" class="slot-table-name" placeholder="NEW_SLOT">
+            <button type="button" class="panel-button slot-table-add-button">Add slot</button>
+        </div>
+        <input type="file" id="slot-table-input" accept=".json">
+        <label for="slot-table-input" class="panel-button">Import JSON</label>
+        <button type="button" class="panel-button slot-table-export">Export JSON</button>
+        <button type="button" class="panel-button slot-table-reset">Reset to defaults</button>
+    `;
+
+    const attackModeSelect = content.querySelector('.slot-table-attack-mode');
+    const list = content.querySelector('.slot-table-list');
+    const nameInput = content.querySelector('.slot-table-name');
+
+    // Working copy of the table, edited by the controls and applied as a whole
+    let table = getSlotTable();
+
+    // Show the table
+    function render() {
+        attackModeSelect.value = table.attackVariants;
+
+        list.innerHTML = table.slots.map((entry, index) => {
+            const bases = table.slots.filter(other => other !== entry && !other.variantOf);
+
+            return `
+                <div class="slot-table-row" data-index="${index}">
+                    <div class="slot-table-header">
+                        <span class="slot-table-slot">${entry.slot}</span>
+                        <button type="button" class="slot-table-icon" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                        <button type="button" class="slot-table-icon" data-action="down" title="Move down"${index === table.slots.length - 1 ? ' disabled' : ''}>↓</button>
+                        <button type="button" class="slot-table-icon" data-action="remove" title="Remove ${entry.slot}">×</button>
+                    </div>
+                    <textarea class="slot-table-rules" data-field="rules" rows="${Math.max(entry.rules.length, 1)}">${escapeHTML(entry.rules.join('\n'))}</textarea>
+                    <div class="slot-table-flags">
+                        <label><input type="checkbox" data-field="oneShot"${entry.oneShot ? ' checked' : ''}> one-shot</label>
+                        <label><input type="checkbox" data-field="optional"${entry.optional ? ' checked' : ''}> optional</label>
+                        <select data-field="variantOf" title="Variant of">
+                            <option value="">not a variant</option>
+                            ${bases.map(base =>
+                                `<option value="${base.slot}"${base.slot === entry.variantOf ? ' selected' : ''}>variant of ${base.slot}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Use the edited table, reporting invalid tables to the user
+    function apply(data) {
+        try {
+            setSlotTable(data);
+        } catch (error) {
+            alert(`Invalid slot table: ${error.message}`);
+        }
+
+        table = getSlotTable();
+        render();
+        onChange();
+    }
+
+    attackModeSelect.addEventListener('change', () => {
+        apply(Object.assign({}, table, { attackVariants: attackModeSelect.value }));
+    });
+
+    list.addEventListener('change', (e) => {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.slot-table-row');
+        if (!field || !row) return;
+
+        const entry = table.slots[Number(row.dataset.index)];
+        if (field === 'rules') {
+            entry.rules = e.target.value.split('\n').map(rule => rule.trim()).filter(Boolean);
+        } else if (field === 'variantOf') {
+            entry.variantOf = e.target.value || null;
+        } else {
+            entry[field] = e.target.checked;
+        }
+        apply(table);
+    });
+
+    list.addEventListener('click', (e) => {
+        const action = e.target.dataset.action;
+        const row = e.target.closest('.slot-table-row');
+        if (!action || !row) return;
+
+        const index = Number(row.dataset.index);
+        const slots = table.slots;
+
+        if (action === 'remove') {
+            // Variants of a removed slot become slots of their own
+            const [removed] = slots.splice(index, 1);
+            slots.forEach((entry) => {
+                if (entry.variantOf === removed.slot) entry.variantOf = null;
+            });
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            [slots[index], slots[target]] = [slots[target], slots[index]];
+        }
+        apply(table);
+    });
+
+    content.querySelector('.slot-table-add-button').addEventListener('click', () => {
+        const slot = nameInput.value.trim().toUpperCase();
+        if (!slot) return;
+
+        // A new slot is detected by its own name until rules are added
+        table.slots.push({ slot, rules: [slot], oneShot: false, optional: true, variantOf: null });
+        nameInput.value = '';
+        apply(table);
+    });
+
+    content.querySelector('#slot-table-input').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        file.text()
+            .then(text => parseSlotTable(JSON.parse(text)))
+            .then(apply)
+            .catch((error) => {
+                console.error('Error importing slot table:', error);
+                alert(`Error importing slot table: ${error.message}`);
+            });
+    });
+
+    content.querySelector('.slot-table-export').addEventListener('click', () => {
+        downloadFile(JSON.stringify(getSlotTable(), null, 2), 'slot-table.json', 'application/json');
+    });
+
+    content.querySelector('.slot-table-reset').addEventListener('click', () => {
+        resetSlotTable();
+        table = getSlotTable();
+        render();
+        onChange();
+    });
+
+    render();
+}
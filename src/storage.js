@@ -0,0 +1,42 @@
+// Prefix of every key this application stores in localStorage
+const STORAGE_PREFIX = 'model-tester:';
+
+// Check if localStorage exists (it doesn't when the modules run in Node, see bin/model-tester.js)
+function hasStorage() {
+    return typeof localStorage !== 'undefined';
+}
+
+// Read a JSON value from localStorage, or null if it is missing or unreadable
+export function loadStoredJSON(key) {
+    if (!hasStorage()) return null;
+
+    try {
+        const saved = localStorage.getItem(STORAGE_PREFIX + key);
+        return saved ? JSON.parse(saved) : null;
+    } catch (e) {
+        console.warn(`Could not read "${key}" from storage:`, e);
+        return null;
+    }
+}
+
+// Write a JSON value to localStorage
+export function saveStoredJSON(key, value) {
+    if (!hasStorage()) return;
+
+    try {
+        localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save "${key}" to storage:`, e);
+    }
+}
+
+// Remove a value from localStorage
+export function removeStored(key) {
+    if (!hasStorage()) return;
+
+    try {
+        localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (e) {
+        console.warn(`Could not remove "${key}" from storage:`, e);
+    }
+}
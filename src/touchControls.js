@@ -0,0 +1,133 @@
+// On-screen buttons: press actions fire once, held actions count while the button is held
+const TOUCH_BUTTONS = [
+    { action: 'jump', label: 'Jump', press: true },
+    { action: 'attack', label: 'Attack', press: true },
+    { action: 'run', label: 'Run' },
+    { action: 'crouch', label: 'Crouch' },
+    { action: 'emote', label: 'Emote', press: true }
+];
+
+// Check if the device has a touch screen
+function isTouchDevice() {
+    return navigator.maxTouchPoints > 0 || (window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+}
+
+// Create the on-screen controls of touch devices: a virtual joystick on the left (up and down move,
+// left and right turn) and the action buttons on the right. They show on touch devices and after
+// the first touch, onPress(action) is called when a press action button is touched
+export function createTouchControls({ onPress }) {
+    const container = document.createElement('div');
+    container.className = 'touch-controls';
+    container.hidden = !isTouchDevice();
+    container.innerHTML = `
+        <div class="touch-joystick">
+            <div class="touch-joystick-knob"></div>
+        </div>
+        <div class="touch-buttons">
+            ${TOUCH_BUTTONS.map(button =>
+                `<button type="button" class="touch-button" data-action="${button.action}">${button.label}</button>`
+            ).join('')}
+        </div>
+    `;
+    document.body.appendChild(container);
+
+    const joystick = container.querySelector('.touch-joystick');
+    const knob = container.querySelector('.touch-joystick-knob');
+
+    // Joystick deflection between -1 and 1 (y is down) and the pointer moving it
+    let stick = { x: 0, y: 0 };
+    let stickPointer = null;
+
+    // Held buttons by pointer id
+    const heldButtons = new Map();
+
+    // Show the controls once the screen is touched, even on devices that didn't say they have one
+    window.addEventListener('touchstart', () => {
+        container.hidden = false;
+    }, { once: true, passive: true });
+
+    // Move the joystick towards a pointer position, within its radius
+    function moveStick(e) {
+        const rect = joystick.getBoundingClientRect();
+        const radius = rect.width / 2;
+        if (radius <= 0) return;
+
+        let x = (e.clientX - rect.left - radius) / radius;
+        let y = (e.clientY - rect.top - radius) / radius;
+
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+
+        stick = { x, y };
+        knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+    }
+
+    // Center the joystick
+    function releaseStick() {
+        stick = { x: 0, y: 0 };
+        stickPointer = null;
+        knob.style.transform = '';
+    }
+
+    joystick.addEventListener('pointerdown', (e) => {
+        stickPointer = e.pointerId;
+        joystick.setPointerCapture(e.pointerId);
+        moveStick(e);
+    });
+
+    joystick.addEventListener('pointermove', (e) => {
+        if (e.pointerId === stickPointer) moveStick(e);
+    });
+
+    ['pointerup', 'pointercancel'].forEach((type) => {
+        joystick.addEventListener(type, (e) => {
+            if (e.pointerId === stickPointer) releaseStick();
+        });
+    });
+
+    container.querySelector('.touch-buttons').addEventListener('pointerdown', (e) => {
+        const button = e.target.closest('.touch-button');
+        if (!button) return;
+
+        e.preventDefault();
+        const { action } = button.dataset;
+        heldButtons.set(e.pointerId, action);
+        button.classList.add('is-held');
+
+        if (TOUCH_BUTTONS.find(entry => entry.action === action).press) {
+            onPress(action);
+        }
+    });
+
+    ['pointerup', 'pointercancel'].forEach((type) => {
+        window.addEventListener(type, (e) => {
+            const action = heldButtons.get(e.pointerId);
+            if (!action) return;
+
+            heldButtons.delete(e.pointerId);
+            if (!Array.from(heldButtons.values()).includes(action)) {
+                container.querySelector(`[data-action="${action}"]`).classList.remove('is-held');
+            }
+        });
+    });
+
+    // Show or hide the controls
+    function setVisible(visible) {
+        container.hidden = !visible;
+        if (!visible) {
+            releaseStick();
+            heldButtons.clear();
+            container.querySelectorAll('.touch-button').forEach(button => button.classList.remove('is-held'));
+        }
+    }
+
+    return {
+        getStick: () => stick,
+        isDown: action => Array.from(heldButtons.values()).includes(action),
+        setVisible,
+        isVisible: () => !container.hidden
+    };
+}
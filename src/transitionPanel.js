@@ -0,0 +1,85 @@
+import { getAnimationSlots } from './animationSlots.js';
+import {
+    getDefaultFadeTime,
+    getTransitionFadeTime,
+    setDefaultFadeTime,
+    setTransitionFadeTime
+} from './animationTransitions.js';
+import { createToolPanel } from './panels.js';
+
+// Create the panel to edit the cross-fade time of every transition between slots.
+// The transitions of one slot are shown at a time, call update() when the slot table changes
+export function createTransitionPanel() {
+    const { content } = createToolPanel('Transitions', { open: false });
+
+    content.innerHTML = `
+        <label class="panel-field">
+            Default fade (s)
+            <input type="number" class="transition-default" min="0" max="5" step="0.05" value="${getDefaultFadeTime()}">
+        </label>
+        <label class="panel-field">
+            From slot
+            <select class="transition-from"></select>
+        </label>
+        <p class="panel-hint">Fade time to each slot. Leave empty to use the default, variants such as ATTACK_2 use the times of their slot.</p>
+        <div class="transition-list"></div>
+    `;
+
+    const defaultInput = content.querySelector('.transition-default');
+    const fromSelect = content.querySelector('.transition-from');
+    const list = content.querySelector('.transition-list');
+
+    // Show the transitions from the selected slot
+    function renderTransitions() {
+        const fromSlot = fromSelect.value;
+
+        list.innerHTML = getAnimationSlots().filter(toSlot => toSlot !== fromSlot).map((toSlot) => {
+            const fadeTime = getTransitionFadeTime(fromSlot, toSlot);
+            return `
+                <label class="panel-field transition-row">
+                    → ${toSlot}
+                    <input type="number" min="0" max="5" step="0.05"
+                        data-to="${toSlot}"
+                        title="${fromSlot} → ${toSlot}"
+                        placeholder="${getDefaultFadeTime()}"
+                        value="${fadeTime !== null ? fadeTime : ''}">
+                </label>
+            `;
+        }).join('');
+    }
+
+    // Fill the slot list, keeping the selected slot when it is still in the table
+    function update() {
+        const slots = getAnimationSlots();
+        const selected = slots.includes(fromSelect.value) ? fromSelect.value : slots[0];
+
+        fromSelect.innerHTML = slots.map(slot =>
+            `<option value="${slot}"${slot === selected ? ' selected' : ''}>${slot}</option>`
+        ).join('');
+        renderTransitions();
+    }
+
+    defaultInput.addEventListener('change', () => {
+        const fadeTime = parseFloat(defaultInput.value);
+        if (!isNaN(fadeTime)) {
+            setDefaultFadeTime(fadeTime);
+        }
+
+        defaultInput.value = getDefaultFadeTime();
+        renderTransitions();
+    });
+
+    fromSelect.addEventListener('change', renderTransitions);
+
+    list.addEventListener('change', (e) => {
+        const toSlot = e.target.dataset.to;
+        if (!toSlot) return;
+
+        const fadeTime = parseFloat(e.target.value);
+        setTransitionFadeTime(fromSelect.value, toSlot, isNaN(fadeTime) ? null : fadeTime);
+    });
+
+    update();
+
+    return { update };
+}